@@ -0,0 +1,21 @@
+/**
+ * Check a timers file for problems without starting the bot.
+ * Usage: node scripts/validate-timers.js [path/to/timer_settings.json]
+ */
+const { loadDataFromJSON } = require('../src/modules/file-utils');
+const { validateTimerData, describeTimerErrors } = require('../src/modules/timer-validation');
+
+const path = process.argv[2] || 'data/timer_settings.json';
+
+loadDataFromJSON(path).then(timerData => {
+    const errors = validateTimerData(timerData);
+    if (errors.length) {
+        console.error(`${path} has ${errors.length} problems:\n${describeTimerErrors(errors)}`);
+        process.exitCode = 1;
+    } else {
+        console.log(`${path} has no problems.`);
+    }
+}).catch(err => {
+    console.error(`Could not read timers from '${path}':\n`, err);
+    process.exitCode = 1;
+});
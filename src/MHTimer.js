@@ -2,7 +2,7 @@
  * MHTimer Bot
  */
 // Import required modules
-const { DateTime, Duration, Interval } = require('luxon');
+const { DateTime, Duration } = require('luxon');
 const Discord = require('discord.js');
 const fs = require('fs');
 
@@ -12,6 +12,8 @@ const { Client, Collection, Guild, GuildMember, Message, MessageReaction, Messag
 
 // Import our own local classes and functions.
 const Timer = require('./modules/timers.js');
+const Reminder = require('./modules/reminders');
+const { readReminderFile, createReminderFile } = Reminder;
 const CommandResult = require('./interfaces/command-result');
 const {
     oxfordStringifyValues,
@@ -26,6 +28,24 @@ const {
     addMessageReaction,
 } = require('./modules/message-utils');
 const security = require('./modules/security.js');
+const { scheduler } = require('./modules/scheduler');
+const { isSubscribedTimer, formatDuration } = require('./modules/timer-helper');
+const { getGuildTemplate, findNextActivation } = require('./modules/timer-templates');
+const { updateDashboards, isDashboard } = require('./modules/dashboard');
+const { getTimerRoleIds, handleRoleReaction } = require('./modules/timer-roles');
+const { findStaleAnnouncements, cleanUpAnnouncement } = require('./modules/announcement-cleanup');
+const {
+    initialize: initializePreferences, save: savePreferences, getUserTimezone, getUserQuietHours, formatLocalTime,
+} = require('./modules/user-preferences');
+const { isHeld, getQuietEnd } = require('./modules/quiet-hours');
+const { buildDigest, getNextDigestTime } = require('./modules/digest');
+const {
+    addReminderControls, watchReminderControls, describeControls, snooze_duration, control_lifetime,
+} = require('./modules/reminder-controls');
+const { validateTimerData, describeTimerErrors } = require('./modules/timer-validation');
+const { getNextOccurrence, describeConditions, describeOccurrence, occurrence_horizon, occurrence_recheck } = require('./modules/conditions');
+const { deliveryQueue } = require('./modules/delivery-queue');
+const { sendChannelReminder } = require('./modules/channel-reminders');
 
 // Access external URIs, like @devjacksmith 's tools.
 const fetch = require('node-fetch');
@@ -38,6 +58,9 @@ const textChannelTypes = new Set(['text', 'dm', 'group']);
 const main_settings_filename = 'data/settings.json',
     timer_settings_filename = 'data/timer_settings.json',
     reminder_filename = 'data/reminders.json',
+    last_activation_filename = 'data/last_activations.json',
+    announcement_filename = 'data/announcements.json',
+    dead_letter_filename = 'data/dead_letters.json',
     dbgames_filename = 'data/dbgames_locations.json',
     nickname_urls_filename = 'data/nicknames.json';
 
@@ -47,26 +70,56 @@ const settings = {},
         location: 'unknown',
         source: 'startup',
         last_seen: DateTime.fromMillis(0),
-        timeout: null,
     },
     nickname_urls = {};
 
 client.nicknames = new Map();
 /** @type {Timer[]} */
 client.timers_list = [];
-/** @type {TimerReminder[]} */
+/** @type {Reminder[]} */
 client.reminders = [];
+/** @type {Object <string, string>} The most recently announced activation of each timer, keyed by Timer#key */
+const last_activations = {};
+/** @type {Object <string, AnnouncementRecord[]>} The announcements that were sent before the last shutdown, keyed by Timer#key */
+const saved_announcements = {};
+/**
+ * Runtime timer management, for commands that add, change, or remove timers without a restart.
+ */
+client.timerControl = {
+    // Unlike loadTimers, a read error is not hidden, so that callers cannot accidentally overwrite the file.
+    load: () => loadDataFromJSON(timer_settings_filename),
+    save: timerData => saveTimers(timerData),
+    schedule: timer => scheduleTimer(timer, getAnnouncementChannels()),
+    unschedule: timer => unscheduleTimer(timer),
+    reload: () => reloadTimers(),
+    refreshChannels: () => refreshTimerChannels(),
+    refreshDashboards: () => refreshDashboards(),
+    scheduleReminder: reminder => scheduleReminder(reminder),
+};
+/** @type {string} The serialized content of the timers file, as it was last loaded or saved. */
+let timer_file_snapshot = '';
+const timer_file_poll_rate = Duration.fromObject({ seconds: 5 });
 
 const refresh_rate = Duration.fromObject({ minutes: 5 });
+const dashboard_refresh_rate = Duration.fromObject({ minutes: 1 });
+const cleanup_rate = Duration.fromObject({ minutes: 1 });
 /** @type {Object<string, DateTime>} */
 const last_timestamps = {
     reminder_save: DateTime.utc(),
 };
 
-/** @type {Object <string, NodeJS.Timer>} */
+/** @type {Object <string, string>} The scheduler job ids of the periodic data saves and refreshes */
 const dataTimers = {};
-/** @type {Map <string, {active: boolean, channels: TextChannel[], inactiveChannels: TextChannel[]}>} */
+/** @type {Map <string, {active: boolean, channels: TextChannel[], inactiveChannels: TextChannel[], job: string}>} */
 const timer_config = new Map();
+/** @type {Map <string, {job: string, items: {reminder: Reminder, timer?: Timer, notice?: Notice, activation?: DateTime, occurrence?: import('./modules/conditions').Occurrence}[]}>} The reminders held during each user's quiet hours, for their digest */
+const quiet_digests = new Map();
+/** @type {Map <string, string>} The scheduler job id of each reminder with a custom lead time, keyed by reminder id */
+const reminder_jobs = new Map();
+/** @type {Map <string, string>} The scheduler job id of each snoozed reminder's repeat, keyed by reminder id */
+const snoozed_jobs = new Map();
+/** @type {Set <string>} The users who were told in a server channel that their DMs are closed, since the bot started */
+const closed_dm_notices = new Set();
 
 // A collection to hold all the commands in the commands directory
 client.commands = new Collection();
@@ -122,18 +175,54 @@ function Main() {
             // Settings loaded successfully, so initiate loading of other resources.
             const saveInterval = refresh_rate.as('milliseconds');
 
-            // Schedule the daily Relic Hunter reset. Reset cancelled by issue 152
-            // rescheduleResetRH();
-
             // Create timers list from the timers file.
             const hasTimers = loadTimers()
                 .then(timerData => {
+                    timer_file_snapshot = JSON.stringify(timerData);
                     createTimersFromList(timerData);
                     Logger.log(`Timers: imported ${timerData.length} from file.`);
                     return client.timers_list.length > 0;
                 })
                 .catch(err => failedLoad('Timers: import error:\n', err));
 
+            // Recall which activations were announced before the last shutdown.
+            const hasActivations = loadLastActivations()
+                .then(activationData => {
+                    Object.assign(last_activations, activationData);
+                    Logger.log(`Timers: imported ${Object.keys(activationData).length} last activations from file.`);
+                    return Object.keys(last_activations).length > 0;
+                })
+                .catch(err => failedLoad('Timers: last activation import error:\n', err));
+            hasActivations.then(() => {
+                dataTimers['activations'] = scheduler.every('save last activations', refresh_rate, saveLastActivations);
+            });
+
+            // Recall which announcements may need to be cleaned up.
+            const hasAnnouncements = loadAnnouncements()
+                .then(announcementData => {
+                    Object.assign(saved_announcements, announcementData);
+                    Logger.log(`Announcements: imported sent announcements of ${Object.keys(announcementData).length} timers from file.`);
+                    return true;
+                })
+                .catch(err => failedLoad('Announcements: import error:\n', err));
+            hasAnnouncements.then(() => {
+                dataTimers['announcements'] = scheduler.every('save announcements', refresh_rate, saveAnnouncements);
+            });
+
+            // Reminder deliveries that cannot succeed turn off their reminders, and are kept in the dead-letter log.
+            deliveryQueue.onUndeliverable = handleUndeliverable;
+            const hasDeadLetters = loadDeadLetters()
+                .then(deadLetters => {
+                    deliveryQueue.restoreDeadLetters(deadLetters);
+                    Logger.log(`Delivery: imported ${deadLetters.length} dead letters from file.`);
+                    return true;
+                })
+                .catch(err => failedLoad('Delivery: import error:\n', err));
+
+            // Recall each user's preferences, such as their timezone and quiet hours, which reminders honor.
+            const hasPreferences = initializePreferences()
+                .catch(err => failedLoad('Preferences: import error:\n', err));
+
             // Create reminders list from the reminders file.
             const hasReminders = loadReminders()
                 .then(reminderData => {
@@ -145,10 +234,11 @@ function Main() {
                 .catch(err => failedLoad('Reminders: import error:\n', err));
             hasReminders.then(() => {
                 Logger.log(`Reminders: Configuring save every ${saveInterval / (60 * 1000)} min.`);
-                dataTimers['reminders'] = setInterval(() => {
+                dataTimers['reminders'] = scheduler.every('save reminders', refresh_rate, () => {
                     pruneExpiredReminders();
                     saveReminders();
-                }, saveInterval);
+                    saveDeadLetters();
+                });
             });
 
             // Register known nickname URIs
@@ -163,7 +253,7 @@ function Main() {
                 .then(refreshNicknameData)
                 .then(() => {
                     Logger.log(`Nicknames: Configuring data refresh every ${saveInterval / (60 * 1000)} min.`);
-                    dataTimers['nicknames'] = setInterval(refreshNicknameData, saveInterval);
+                    dataTimers['nicknames'] = scheduler.every('refresh nicknames', refresh_rate, refreshNicknameData);
                 });
 
             // Register DBGames short -> long mappings
@@ -187,20 +277,54 @@ function Main() {
                 migrateSettings(client.settings);
 
                 // Find all text channels on which to send announcements.
-                const announcables = client.guilds.cache.reduce((channels, guild) => {
-                    const candidates = guild.channels.cache
-                        .filter(c => client.settings.guilds[guild.id].timedAnnouncementChannels.has(c.name) && textChannelTypes.has(c.type))
-                        .map(tc => tc);
-                    if (candidates.length)
-                        Array.prototype.push.apply(channels, candidates);
-                    else
-                        Logger.warn(`Timers: No valid channels in ${guild.name} for announcements.`);
-                    return channels;
-                }, []);
+                const announcables = getAnnouncementChannels();
 
                 // Use one timeout per timer to manage default reminders and announcements.
                 client.timers_list.forEach(timer => scheduleTimer(timer, announcables));
                 Logger.log(`Timers: Initialized ${timer_config.size} timers on channels ${announcables}.`);
+                restoreAnnouncementRecords(saved_announcements);
+                catchUpMissedActivations();
+                // Reminders with custom lead times are sent on their own schedules.
+                client.reminders.forEach(scheduleReminder);
+                // Reactions on the reminders sent before a restart still control them.
+                client.reminders.forEach(resumeReminderControls);
+
+                // Remove stale announcements, per each guild's cleanup policy.
+                dataTimers['cleanup'] = scheduler.every('clean up announcements', cleanup_rate, cleanUpAnnouncements);
+
+                // Keep each guild's dashboard current, and replace it if it is deleted.
+                refreshDashboards();
+                dataTimers['dashboards'] = scheduler.every('update dashboards', dashboard_refresh_rate, refreshDashboards);
+                client.on('messageDelete', message => {
+                    if (message.guild && isDashboard(message, client.settings.guilds[message.guild.id]))
+                        refreshDashboards();
+                });
+
+                // Members pick their timer roles by reacting to their guild's role menu, which must be cached to receive reactions.
+                client.guilds.cache.forEach(guild => {
+                    const menu = client.settings.guilds[guild.id] && client.settings.guilds[guild.id].timerRoleMenu;
+                    const channel = menu && guild.channels.cache.get(menu.channel);
+                    if (channel)
+                        channel.messages.fetch(menu.message)
+                            .catch(err => Logger.warn(`Timer roles: could not load the role menu of ${guild.name}:\n`, err));
+                });
+                const onRoleReaction = added => (reaction, user) => {
+                    if (reaction.message.guild)
+                        handleRoleReaction(reaction, user, added, client.settings.guilds[reaction.message.guild.id])
+                            .catch(err => Logger.error('Timer roles: error while changing roles from the role menu:\n', err));
+                };
+                client.on('messageReactionAdd', onRoleReaction(true));
+                client.on('messageReactionRemove', onRoleReaction(false));
+
+                // Reload the timers whenever the timers file is edited.
+                fs.watchFile(timer_settings_filename, { interval: timer_file_poll_rate.as('milliseconds') }, (curr, prev) => {
+                    if (curr.mtimeMs !== prev.mtimeMs)
+                        loadTimers().then(timerData => {
+                            // Our own saves do not need a reload.
+                            if (JSON.stringify(timerData) !== timer_file_snapshot)
+                                return reloadTimers(timerData);
+                        }).catch(err => Logger.error('Timers: error while reloading edited timers file:\n', err));
+                });
 
                 // If we disconnect and then reconnect, do not bother rescheduling the already-scheduled timers.
                 client.on('ready', () => Logger.log('I am inVINCEeble!'));
@@ -251,7 +375,11 @@ function Main() {
             return Promise.all([
                 hasNicknames,
                 hasReminders,
+                hasPreferences,
+                hasDeadLetters,
                 hasTimers,
+                hasActivations,
+                hasAnnouncements,
                 hasDBGamesLocations,
                 ...remoteData,
             ]);
@@ -280,17 +408,9 @@ function quit() {
         )
         .then(() => { Logger.log('Shutdown: destroying client'); return client.destroy(); })
         .then(() => {
-            Logger.log('Shutdown: deactivating data refreshes');
-            for (const timer of Object.values(dataTimers))
-                clearInterval(timer);
-            Logger.log('Shutdown: deactivating timers');
-            for (const timer of client.timers_list) {
-                timer.stopInterval();
-                timer.stopTimeout();
-            }
-            if (relic_hunter.timeout) {
-                clearTimeout(relic_hunter.timeout);
-            }
+            Logger.log('Shutdown: deactivating data refreshes and timers');
+            fs.unwatchFile(timer_settings_filename);
+            scheduler.stop();
         })
         .then(() => process.exitCode = 1)
         .catch(err => {
@@ -309,7 +429,7 @@ function doSaveAll() {
         Logger.log(`Saving ${command.name}`);
         Promise.resolve(command.save());
     }));
-    return (saveSettings().then(saveReminders()));
+    return (saveSettings().then(saveReminders()).then(saveLastActivations()).then(saveAnnouncements()).then(saveDeadLetters()).then(savePreferences()));
 }
 
 /**
@@ -378,6 +498,9 @@ function loadSettings(path = main_settings_filename) {
                 }
             }
         }
+        // Unless disabled, catch up on the timer activations that were missed while offline.
+        settings.catchUpAnnouncements = settings.catchUpAnnouncements !== false;
+        settings.catchUpReminders = settings.catchUpReminders !== false;
         if (settings.DBGames && !isValidURL(settings.DBGames)) {
             settings.DBGames = false;
             Logger.log('Settings: invalid value for DBGames, set to false');
@@ -400,7 +523,10 @@ function loadSettings(path = main_settings_filename) {
 function saveSettings(path = main_settings_filename) {
     const outobj = {};
     Object.assign(outobj, client.settings);
-    for (const guild in outobj.guilds) {
+    // Copy each guild's settings, since the running bot still needs its Sets.
+    outobj.guilds = {};
+    for (const guild in client.settings.guilds) {
+        outobj.guilds[guild] = Object.assign({}, client.settings.guilds[guild]);
         outobj.guilds[guild].timedAnnouncementChannels = Array.from(outobj.guilds[guild].timedAnnouncementChannels);
     }
     return saveDataAsJSON(path, outobj);
@@ -426,7 +552,7 @@ function loadDBGamesLocations(path = dbgames_filename) {
  * that can be made into timers.
  *
  * @param {string} [path] The path to a JSON file to read data from. Default is the 'timer_settings_filename'
- * @returns {Promise <TimerSeed[]>} All local information for creating timers
+ * @returns {Promise <(TimerSeed|CycleSeed)[]>} All local information for creating timers
  */
 function loadTimers(path = timer_settings_filename) {
     return loadDataFromJSON(path).then(data => {
@@ -438,30 +564,142 @@ function loadTimers(path = timer_settings_filename) {
 }
 
 /**
- * Create Timer objects from the given array input.
+ * Create Timer objects from the given array input. Cycle definitions are expanded into one Timer per phase.
  * Returns true if any timers were created, false if none were created.
  *
- * @param {TimerSeed[]} timerData An array containing data objects, each of which can create a timer, e.g. a timer "seed"
+ * @param {(TimerSeed|CycleSeed)[]} timerData An array containing data objects, each of which can create a timer, e.g. a timer "seed",
+ *                                            or a cycle that can create several timers.
  * @returns {boolean} Whether or not any timers were created from the input.
  */
 function createTimersFromList(timerData) {
     const knownTimers = client.timers_list.length;
-    for (const seed of timerData) {
-        let timer;
-        try {
-            timer = new Timer(seed);
-        } catch (err) {
-            Logger.error(`Timers: error occured while constructing timer: '${err}'. Received object:\n`, seed);
-            continue;
+    const errors = validateTimerData(timerData);
+    if (errors.length)
+        Logger.error(`Timers: found ${errors.length} problems in the timers data:\n${describeTimerErrors(errors)}`);
+    for (const entry of timerData) {
+        let seeds = [entry];
+        if (Timer.isCycle(entry)) {
+            try {
+                seeds = Timer.expandCycle(entry);
+            } catch (err) {
+                Logger.error(`Timers: error occured while expanding cycle: '${err}'. Received object:\n`, entry);
+                continue;
+            }
+        }
+        for (const seed of seeds) {
+            let timer;
+            try {
+                timer = new Timer(seed);
+            } catch (err) {
+                Logger.error(`Timers: error occured while constructing timer: '${err}'. Received object:\n`, seed);
+                continue;
+            }
+            client.timers_list.push(timer);
         }
-        client.timers_list.push(timer);
     }
     return client.timers_list.length !== knownTimers;
 }
 
 /**
- * Create the timeout (and interval) that will activate this particular timer, in order to send
- * its default announcement and its default reminders.
+ * Serialize the given timer data to the given path, defaulting to the value of 'timer_settings_filename'.
+ *
+ * @param {(TimerSeed|CycleSeed)[]} timerData The seeds and cycles that define all timers.
+ * @param {string} [path] The path to a file to write JSON data to. Default is the 'timer_settings_filename'.
+ * @returns {Promise <boolean>} Whether the save operation completed without error.
+ */
+function saveTimers(timerData, path = timer_settings_filename) {
+    return saveDataAsJSON(path, timerData).then(didSave => {
+        Logger.log(`Timers: ${didSave ? 'Saved' : 'Failed to save'} ${timerData.length} to '${path}'.`);
+        if (didSave && path === timer_settings_filename)
+            timer_file_snapshot = JSON.stringify(timerData);
+        return didSave;
+    });
+}
+
+/**
+ * Replace all timers with those defined in the timers file, and schedule them on the current announcement channels.
+ * The bot owner is told about any active reminders that no longer match a timer.
+ *
+ * @param {(TimerSeed|CycleSeed)[]} [timerData] The new timer definitions, if they were already loaded from the timers file.
+ * @returns {Promise <string>} A description of the outcome.
+ */
+async function reloadTimers(timerData) {
+    if (!timerData)
+        timerData = await loadTimers();
+
+    // Keep the existing timers if the new data cannot make any.
+    const previous = client.timers_list.splice(0);
+    if (!createTimersFromList(timerData)) {
+        Array.prototype.push.apply(client.timers_list, previous);
+        Logger.warn('Timers: reload created no timers, so the existing timers were kept.');
+        return 'I couldn\'t create any timers from the timers file, so I kept the existing ones.';
+    }
+    timer_file_snapshot = JSON.stringify(timerData);
+
+    // The new timers are still responsible for cleaning up the announcements of the timers they replace.
+    const records = getAnnouncementRecords();
+    previous.forEach(unscheduleTimer);
+    timer_config.clear();
+    const channels = getAnnouncementChannels();
+    for (const timer of client.timers_list) {
+        scheduleTimer(timer, channels);
+        if (!last_activations[timer.key])
+            last_activations[timer.key] = timer.getLastAnnounced().toUTC().toISO();
+    }
+    restoreAnnouncementRecords(records);
+    client.reminders.forEach(scheduleReminder);
+    const summary = `Reloaded ${client.timers_list.length} timers (previously ${previous.length}), announcing on ${channels.length} channels.`;
+    Logger.log(`Timers: ${summary}`);
+
+    // Reminders for areas or sub-areas that vanished will never activate.
+    // Conditional reminders are orphaned if any of their phases vanished.
+    const orphans = client.reminders.filter(r => r.count !== 0 && !r.isPersonal() && !r.isDigest()
+        && !(r.conditions || [r]).every(c => client.timers_list.some(t => t.getArea() === c.area
+            && (!c.sub_area || t.getSubArea() === c.sub_area))));
+    if (orphans.length) {
+        const names = new Set(orphans.map(r => (r.isConditional() ? r.getName() : `${r.area}${r.sub_area ? ` (${r.sub_area})` : ''}`)));
+        const report = `After reloading timers, ${orphans.length} reminders reference timers that no longer exist: ${oxfordStringifyValues(names)}`;
+        Logger.warn(`Timers: ${report}`);
+        client.users.fetch(settings.owner)
+            .then(owner => owner.send(report, { split: true }))
+            .catch(err => Logger.error('Timers: could not notify the owner about orphaned reminders:\n', err));
+    }
+    return summary;
+}
+
+/**
+ * Update every guild's dashboard. Dashboards that had to be posted anew change their guild's settings, which are
+ * saved right away so that the new message is reused after a restart.
+ *
+ * @returns {Promise<void>}
+ */
+function refreshDashboards() {
+    return updateDashboards(client)
+        .then(posted => posted && saveSettings())
+        .catch(err => Logger.error('Dashboard: error while updating dashboards:\n', err));
+}
+
+/**
+ * Find all text channels, in all guilds, on which timer announcements should be sent.
+ *
+ * @returns {TextChannel[]} The announcement channels.
+ */
+function getAnnouncementChannels() {
+    return client.guilds.cache.reduce((channels, guild) => {
+        const candidates = guild.channels.cache
+            .filter(c => client.settings.guilds[guild.id].timedAnnouncementChannels.has(c.name) && textChannelTypes.has(c.type))
+            .map(tc => tc);
+        if (candidates.length)
+            Array.prototype.push.apply(channels, candidates);
+        else
+            Logger.warn(`Timers: No valid channels in ${guild.name} for announcements.`);
+        return channels;
+    }, []);
+}
+
+/**
+ * Register this particular timer with the scheduler, in order to send the announcement and the reminders
+ * of each of its notices whenever it activates. Each notice is scheduled independently.
  *
  * @param {Timer} timer The timer to schedule.
  * @param {TextChannel[]} channels the channels on which this timer will initially perform announcements.
@@ -469,21 +707,126 @@ function createTimersFromList(timerData) {
 function scheduleTimer(timer, channels) {
     if (timer.isSilent())
         return;
-    const msUntilActivation = timer.getNext().diffNow().minus(timer.getAdvanceNotice()).as('milliseconds');
-    timer.storeTimeout('scheduling',
-        setTimeout(t => {
-            t.stopTimeout('scheduling');
-            t.storeInterval('scheduling',
-                setInterval(timer => {
-                    doRemind(timer);
-                    doAnnounce(timer);
-                }, t.getRepeatInterval().as('milliseconds'), t),
-            );
-            doRemind(t);
-            doAnnounce(t);
-        }, msUntilActivation, timer),
-    );
-    timer_config.set(timer.id, { active: true, channels: channels, inactiveChannels: [] });
+    const previous = timer_config.get(timer.id);
+    if (previous)
+        previous.jobs.forEach(job => scheduler.cancel(job));
+
+    const jobs = timer.getNotices().map(notice => {
+        // A notice that was sent before a restart or reload is not sent again for the same activation.
+        let activation = DateTime.fromISO(last_activations[timer.getNoticeKey(notice)] || '');
+        return scheduler.schedule(`timer ${timer.name} (${formatDuration(notice.offset)} notice)`, () => {
+            // Recompute the schedule from the timer after each activation. Timers for events that have ended are never due.
+            activation = timer.getNextNoticeActivation(notice, activation);
+            return activation && activation.minus(notice.offset);
+        }, () => activateTimer(timer, activation, notice));
+    }).filter(job => job);
+    if (jobs.length)
+        timer_config.set(timer.id, {
+            active: true,
+            channels: getSubscribedChannels(timer, channels),
+            inactiveChannels: [],
+            jobs,
+            messages: previous ? previous.messages : [],
+        });
+}
+
+/**
+ * Select the channels that subscribe to the given timer's area, per their guild's timer channel settings.
+ *
+ * @param {Timer} timer The timer to be announced.
+ * @param {TextChannel[]} channels The candidate announcement channels.
+ * @returns {TextChannel[]} The channels that should announce the timer.
+ */
+function getSubscribedChannels(timer, channels) {
+    return channels.filter(tc => {
+        const guildSettings = client.settings.guilds[tc.guild.id];
+        const subscriptions = guildSettings && guildSettings.timerChannelAreas;
+        return isSubscribedTimer(timer, subscriptions && subscriptions[tc.name]);
+    });
+}
+
+/**
+ * Update the announcement channels of each scheduled timer, e.g. after a guild changes which areas a channel receives.
+ * Channels that were deactivated due to send errors remain inactive.
+ */
+function refreshTimerChannels() {
+    const channels = getAnnouncementChannels();
+    for (const timer of client.timers_list) {
+        const config = timer_config.get(timer.id);
+        if (config) {
+            config.channels = getSubscribedChannels(timer, channels).filter(tc => !config.inactiveChannels.includes(tc));
+            if (config.channels.length)
+                config.active = true;
+        }
+    }
+}
+
+/**
+ * Remove this particular timer from the scheduler, so it no longer sends its announcements or reminders.
+ *
+ * @param {Timer} timer The timer to unschedule.
+ */
+function unscheduleTimer(timer) {
+    if (timer_config.has(timer.id))
+        timer_config.get(timer.id).jobs.forEach(job => scheduler.cancel(job));
+    timer_config.delete(timer.id);
+}
+
+/**
+ * Send the reminders and announcements of the given notice of the timer, and remember that the notice was sent
+ * for this activation.
+ *
+ * @param {Timer} timer The timer that activated.
+ * @param {DateTime} activation The activation being announced (which is in the future, if the notice is in advance).
+ * @param {Notice} notice The notice being sent.
+ */
+function activateTimer(timer, activation, notice) {
+    doRemind(timer, undefined, notice, activation);
+    doAnnounce(timer, notice, activation);
+    last_activations[timer.getNoticeKey(notice)] = activation.toUTC().toISO();
+}
+
+/**
+ * Inspect each timer for activations that occurred while the bot was offline. Depending on the settings,
+ * post a summary of them to the timer's announcement channels, and send the reminders that are still relevant.
+ */
+function catchUpMissedActivations() {
+    /** @type {Map <TextChannel, string[]>} */
+    const summaries = new Map();
+    for (const timer of client.timers_list) {
+        if (timer.isSilent())
+            continue;
+        // Timers without a record (e.g. new timers) have nothing to catch up on. An activation whose advance notice
+        // has passed, but which hasn't happened yet, is announced by the scheduler rather than caught up on.
+        const since = DateTime.fromISO(last_activations[timer.key] || '');
+        const missed = timer.getMissedActivations(since);
+        if (!since.isValid)
+            last_activations[timer.key] = timer.getLastActivation().toUTC().toISO();
+        if (!missed.length)
+            continue;
+        last_activations[timer.key] = missed[missed.length - 1].toUTC().toISO();
+
+        const latest = missed[missed.length - 1];
+        Logger.log(`(${timer.name}): missed ${missed.length} activations while offline, most recently ${latest.toHTTP()}.`);
+        if (settings.catchUpReminders && timer.isOngoing(latest))
+            doRemind(timer, latest);
+
+        const config = timer_config.get(timer.id);
+        if (settings.catchUpAnnouncements && config && config.active) {
+            const when = `${missed.length > 1 ? `${missed.length} times, most recently ` : ''}${latest.toRelative()}`;
+            config.channels.forEach(tc => {
+                if (!summaries.has(tc))
+                    summaries.set(tc, []);
+                const template = getGuildTemplate(client.settings.guilds[tc.guild.id], timer.getArea(), 'announce');
+                summaries.get(tc).push(`${timer.getAnnouncement({ at: latest, timers: client.timers_list, template })} (${when})`);
+            });
+        }
+    }
+    summaries.forEach((lines, tc) => {
+        if (tc.guild.available)
+            tc.send(`While I was offline, I missed these timers:\n${lines.join('\n')}`, { split: true })
+                .catch(err => Logger.error(`Timers: Error sending missed timer summary on channel "${tc.name}" in "${tc.guild.name}":\n`, err));
+    });
 }
 
 /**
@@ -532,16 +875,8 @@ function parseUserMessage(message) {
             message.reply(reply);
         }
         else {
-            let canRun = true;
-            if ('minPerm' in dynCommand) {
-                canRun = false;
-                //Protected command, confirm they're allowed to run it
-                if (message.author.id === message.client.settings.owner)
-                    canRun = true;
-                else if (('member' in message) && security.checkPerms(message.member, message.minPerm))
-                    canRun = true;
-            }
-            if (canRun) {
+            // Protected command, confirm they're allowed to run it
+            if (security.canRunCommand(message, dynCommand)) {
                 // Wrap in a promise, in case the dynamic command does not return a promise / is not async.
                 Promise.resolve(dynCommand.execute(message, tokens))
                     // Ideally our dynamic commands will never throw (i.e. they will catch and handle any errors
@@ -687,27 +1022,16 @@ async function convertRewardLink(message) {
     }
 }
 
-/**
- * @typedef {Object} TimerReminder
- * @property {User} user The Discord user who requested the reminder.
- * @property {number} count The number of remaining times this reminder will activate.
- * @property {string} area The area to which this reminder applies, e.g. "fg"
- * @property {string} [sub_area] A logical "location" within the area, e.g. "close" or "open" for Forbidden Grove.
- * @property {number} [fail] The number of times this particular reminder encountered an error (during send, etc.)
- */
-
 /**
  * Load reminder data from the input path, defaulting to the value of 'reminder_filename'.
  * Returns an array of data objects (or an empty array if there was an error reading the file)
- * that can be made into reminders.
+ * that can be made into reminders. Files in older formats are migrated.
  *
  * @param {string} [path] The path to a JSON file to read data from. Default is the 'reminder_filename'.
  * @returns {Promise <ReminderSeed[]>} Local data that can be used to create reminders.
  */
 function loadReminders(path = reminder_filename) {
-    return loadDataFromJSON(path).then(data => {
-        return Array.isArray(data) ? data : Array.from(data);
-    }).catch(err => {
+    return loadDataFromJSON(path).then(readReminderFile).catch(err => {
         Logger.error(`Reminders: error during loading from '${path}':\n`, err);
         return [];
     });
@@ -722,11 +1046,13 @@ function loadReminders(path = reminder_filename) {
  */
 function createRemindersFromData(reminderData) {
     const knownReminders = client.reminders.length;
-    /** TODO: Reminders as class instead of just formatted object
-     * Class instantiation code would be here and replace the push call.
-     */
-    // Add each of these objects to the reminder list.
-    Array.prototype.push.apply(client.reminders, reminderData);
+    reminderData.forEach(seed => {
+        try {
+            client.reminders.push(new Reminder(seed));
+        } catch (err) {
+            Logger.error('Reminders: could not construct reminder from seed:\n', seed, '\n', err);
+        }
+    });
     return client.reminders.length !== knownReminders;
 }
 
@@ -734,33 +1060,12 @@ function createRemindersFromData(reminderData) {
  * Inspect the reminders list and remove any that are no longer active.
  */
 function pruneExpiredReminders() {
-    // Remove any expired timers - no need to save them.
-    if (client.reminders.length) {
-        // Move expired reminders to the end.
-        client.reminders.sort((a, b) => (a.count === 0) ? 1 : (b.count - a.count));
-
-        // Find the first non-expired one.
-        let i = client.reminders.length,
-            numExpired = 0;
-        while (i--) {
-            if (client.reminders[i].count === 0)
-                ++numExpired;
-            else
-                break;
-        }
-        if (numExpired === client.reminders.length)
-            client.reminders.length = 0;
-        else if (numExpired) {
-            // Advance to the next record (which should be expired and a valid index).
-            ++i;
-            // If the current reminder is expired, splice it and the others away.
-            if (i < client.reminders.length && client.reminders[i].count === 0) {
-                const discarded = client.reminders.splice(i, numExpired);
-                Logger.log(`Reminders: spliced ${discarded.length} that were expired. ${client.reminders.length} remaining.`);
-            }
-            else
-                Logger.warn(`Reminders: found ${numExpired} expired, but couldn't splice because reminder at index ${i} was bad:\n`, client.reminders, '\n', client.reminders[i]);
-        }
+    // Remove any expired reminders - no need to save them. The array is shared with commands, so update it in place.
+    const active = client.reminders.filter(reminder => !reminder.isExpired());
+    const numExpired = client.reminders.length - active.length;
+    if (numExpired) {
+        client.reminders.splice(0, client.reminders.length, ...active);
+        Logger.log(`Reminders: removed ${numExpired} that were expired. ${client.reminders.length} remaining.`);
     }
 }
 
@@ -771,20 +1076,93 @@ function pruneExpiredReminders() {
  * @returns {Promise <boolean>} Whether the save operation completed without error.
  */
 function saveReminders(path = reminder_filename) {
-    // Write out the JSON of the reminders array
-    return saveDataAsJSON(path, client.reminders).then(didSave => {
+    // Write out the JSON of the reminders array, along with the version of the file format.
+    return saveDataAsJSON(path, createReminderFile(client.reminders)).then(didSave => {
         Logger.log(`Reminders: ${didSave ? 'Saved' : 'Failed to save'} ${client.reminders.length} to '${path}'.`);
         last_timestamps.reminder_save = DateTime.utc();
         return didSave;
     });
 }
 
+/**
+ * Load the last announced activation of each timer from the input path, defaulting to the value of 'last_activation_filename'.
+ * Returns an object keyed by Timer#key (or an empty object if there was an error reading the file).
+ *
+ * @param {string} [path] The path to a JSON file to read data from. Default is the 'last_activation_filename'.
+ * @returns {Promise <Object <string, string>>} The ISO timestamp of each timer's last announced activation.
+ */
+function loadLastActivations(path = last_activation_filename) {
+    return loadDataFromJSON(path).catch(err => {
+        Logger.error(`Timers: error during loading last activations from '${path}':\n`, err);
+        return {};
+    });
+}
+
+/**
+ * Serialize the last announced activation of each timer to the given path, defaulting to the value of 'last_activation_filename'
+ *
+ * @param {string} [path] The path to a file to write JSON data to. Default is the 'last_activation_filename'.
+ * @returns {Promise <boolean>} Whether the save operation completed without error.
+ */
+function saveLastActivations(path = last_activation_filename) {
+    return saveDataAsJSON(path, last_activations);
+}
+
+/**
+ * Load the sent announcements of each timer from the input path, defaulting to the value of 'announcement_filename'.
+ * Returns an object keyed by Timer#key (or an empty object if there was an error reading the file).
+ *
+ * @param {string} [path] The path to a JSON file to read data from. Default is the 'announcement_filename'.
+ * @returns {Promise <Object <string, AnnouncementRecord[]>>} The announcements that each timer has sent.
+ */
+function loadAnnouncements(path = announcement_filename) {
+    return loadDataFromJSON(path).catch(err => {
+        Logger.error(`Announcements: error during loading sent announcements from '${path}':\n`, err);
+        return {};
+    });
+}
+
+/**
+ * Serialize the sent announcements of each timer to the given path, defaulting to the value of 'announcement_filename'
+ *
+ * @param {string} [path] The path to a file to write JSON data to. Default is the 'announcement_filename'.
+ * @returns {Promise <boolean>} Whether the save operation completed without error.
+ */
+function saveAnnouncements(path = announcement_filename) {
+    return saveDataAsJSON(path, getAnnouncementRecords());
+}
+
+/**
+ * Load the reminder deliveries that were given up on, from the input path, defaulting to the value of 'dead_letter_filename'.
+ *
+ * @param {string} [path] The path to a JSON file to read data from. Default is the 'dead_letter_filename'.
+ * @returns {Promise <import('./modules/delivery-queue').DeadLetter[]>} The dead letters, oldest first.
+ */
+function loadDeadLetters(path = dead_letter_filename) {
+    return loadDataFromJSON(path).catch(err => {
+        Logger.error(`Delivery: error during loading dead letters from '${path}':\n`, err);
+        return [];
+    });
+}
+
+/**
+ * Serialize the delivery queue's dead letters to the given path, defaulting to the value of 'dead_letter_filename'
+ *
+ * @param {string} [path] The path to a file to write JSON data to. Default is the 'dead_letter_filename'.
+ * @returns {Promise <boolean>} Whether the save operation completed without error.
+ */
+function saveDeadLetters(path = dead_letter_filename) {
+    return saveDataAsJSON(path, deliveryQueue.getDeadLetters());
+}
+
 /**
  * Instruct the given timer to send its announcement to all channels it is instructed to send to.
  *
  * @param {Timer} timer The timer being announced.
+ * @param {Notice} [notice] The notice being announced (default: the timer's default notice).
+ * @param {DateTime} [activation] The activation being announced (default: the timer's next activation).
  */
-function doAnnounce(timer) {
+function doAnnounce(timer, notice = timer && timer.getNotice(), activation) {
     if (!timer)
         return;
     const config = timer_config.get(timer.id);
@@ -793,10 +1171,17 @@ function doAnnounce(timer) {
     if (!config.channels.length)
         config.active = false;
 
-    const message = timer.getAnnouncement();
+    // Guilds may replace the default announcement of each area.
+    const context = { at: activation, timers: client.timers_list };
     config.channels.forEach(tc => {
+        const guildSettings = client.settings.guilds[tc.guild.id];
+        const template = (notice.isDefault && getGuildTemplate(guildSettings, timer.getArea(), 'announce'))
+            || notice.announcement;
+        // Members who opted in to the area's role are pinged.
+        const mentions = getTimerRoleIds(guildSettings, timer).map(id => `<@&${id}> `).join('');
+        const announcement = `${mentions}${timer.getAnnouncement(Object.assign({ template }, context))}`;
         if (tc.guild.available)
-            tc.send(message).catch(err => {
+            tc.send(announcement).then(message => recordAnnouncement(timer, message, activation), err => {
                 Logger.error(`(${timer.name}): Error during announcement on channel "${tc.name}" in "${tc.guild.name}".\nClient status: ${client.status}\n`, err);
                 // Deactivate this channel only if we are connected to Discord. (Status === 'READY')
                 // TODO: actually use the enum instead of a value for the enum (in case it changes):
@@ -810,25 +1195,110 @@ function doAnnounce(timer) {
     });
 }
 
+/**
+ * Remember a sent announcement, if its guild cleans up announcements, and apply the guild's policy right away.
+ *
+ * @param {Timer} timer The announced timer.
+ * @param {Message} message The announcement.
+ * @param {DateTime} [activation] The announced activation (default: the timer's next activation).
+ */
+function recordAnnouncement(timer, message, activation) {
+    const config = timer_config.get(timer.id);
+    if (!config || !client.settings.guilds[message.guild.id].announcementCleanup)
+        return;
+    const at = activation || timer.getNext() || DateTime.utc();
+    // Phases without a known duration end when the area's next phase begins.
+    const duration = timer.getDuration();
+    const next = duration ? null : findNextActivation(client.timers_list.filter(t => t.getArea() === timer.getArea()), at);
+    const ends = duration ? at.plus(duration) : next && next.at;
+    config.messages.push({
+        channel: message.channel.id,
+        message: message.id,
+        area: timer.getArea(),
+        sent: DateTime.utc().toISO(),
+        ends: ends ? ends.toUTC().toISO() : null,
+    });
+    cleanUpAnnouncements();
+}
+
+/**
+ * Delete or edit the announcements that each guild's cleanup policy no longer keeps.
+ */
+function cleanUpAnnouncements() {
+    const configs = Array.from(timer_config.values());
+    const records = [].concat(...configs.map(config => config.messages));
+    client.guilds.cache.forEach(guild => {
+        const policy = client.settings.guilds[guild.id] && client.settings.guilds[guild.id].announcementCleanup;
+        if (!policy || !guild.available)
+            return;
+        const stale = findStaleAnnouncements(records.filter(record => guild.channels.cache.has(record.channel)), policy);
+        for (const record of stale) {
+            configs.forEach(config => {
+                const index = config.messages.indexOf(record);
+                if (index !== -1)
+                    config.messages.splice(index, 1);
+            });
+            cleanUpAnnouncement(guild.channels.cache.get(record.channel), record, policy);
+        }
+    });
+}
+
+/**
+ * Collect the announcements that each timer has sent and may need to clean up.
+ *
+ * @returns {Object <string, AnnouncementRecord[]>} The announcements, keyed by Timer#key.
+ */
+function getAnnouncementRecords() {
+    const records = {};
+    for (const timer of client.timers_list) {
+        const config = timer_config.get(timer.id);
+        if (config && config.messages.length)
+            records[timer.key] = (records[timer.key] || []).concat(config.messages);
+    }
+    return records;
+}
+
+/**
+ * Give each scheduled timer the announcements it sent before a restart or reload.
+ *
+ * @param {Object <string, AnnouncementRecord[]>} records The announcements, keyed by Timer#key.
+ */
+function restoreAnnouncementRecords(records) {
+    for (const timer of client.timers_list) {
+        const config = timer_config.get(timer.id);
+        if (config && records[timer.key])
+            config.messages = records[timer.key].slice();
+    }
+}
+
 /**
  * Locate any known reminders that reference this timer, and send a PM to
  * the chatter who requested it.
  *
  * @param {Timer} timer The activated timer.
+ * @param {DateTime} [missedAt] If the reminder is late because the bot was offline, when the timer activated.
+ * @param {Notice} [notice] The notice being sent. If omitted, reminders for every notice are sent.
+ * @param {DateTime} [activation] The activation being reminded of (default: when the timer was missed, if it was).
  */
-function doRemind(timer) {
+function doRemind(timer, missedAt, notice, activation = missedAt) {
     if (!timer) return;
 
     // Cache these values.
     const area = timer.getArea(),
         sub = timer.getSubArea();
+    // Reminders without a requested notice use the timer's default notice.
+    const defaultOffset = timer.getAdvanceNotice().as('milliseconds');
+    const isRequestedNotice = r => !notice
+        || notice.offset.as('milliseconds') === (typeof r.notice === 'number' ? r.notice : defaultOffset);
 
     // TODO: Build a basic embed template object and package that to each recipient, rather than
     // fully construct the (basically equivalent) embed for each user.
     const toDispatch = client.reminders
         // If there no sub-area for this reminder, or the one specified matches
         // that of the timer, send the reminder.
-        .filter(r => area === r.area && r.count !== 0 && (!r.sub_area || r.sub_area === sub))
+        // Reminders with custom lead times are sent on their own schedules (see scheduleReminder).
+        .filter(r => area === r.area && r.count !== 0 && (!r.sub_area || r.sub_area === sub) && r.lead === undefined
+            && isRequestedNotice(r))
         // The reminder is sent using whichever one has the fewest remaining reminders.
         // For reminders with equivalent remaining quota, the more specific reminder is sent.
         .sort((a, b) => {
@@ -844,41 +1314,293 @@ function doRemind(timer) {
             return a.count - b.count;
         });
 
-    // Obtain a set of users who have not yet been notified from the sorted reminder array.
+    // Obtain a set of users (and channels) who have not yet been notified from the sorted reminder array.
     const sent = new Set();
     // Dispatch the reminders, and update the set as we go.
     toDispatch.forEach(reminder => {
-        const uid = reminder.user;
-        if (!sent.has(uid)) {
-            sent.add(uid);
-            client.users.fetch(uid).then(user => sendRemind(user, reminder, timer))
-                .catch(err => {
-                    reminder.fail = (reminder.fail || 0) + 1;
-                    Logger.error(`Reminders: Error during notification of user <@${uid}>:\n`, err);
-                });
+        const recipient = reminder.isChannel() ? `channel ${reminder.channel}` : reminder.user;
+        if (!sent.has(recipient)) {
+            sent.add(recipient);
+            dispatchReminder(reminder, timer, missedAt, notice, activation);
         }
     });
 }
 
 /**
- * Takes a user object and a reminder "object" and sends
- * the reminder as a MessageEmbed via PM.
+ * Send the reminder to its user, unless it is held back by their quiet hours. Channel reminders are posted in their
+ * channel, regardless of the quiet hours of the mod who created them.
+ *
+ * @param {Reminder} reminder The reminder to send
+ * @param {Timer} [timer] The Timer that activated. Conditional reminders have an occurrence instead.
+ * @param {DateTime} [missedAt] If the reminder is late because the bot was offline, when the timer activated.
+ * @param {Notice} [notice] The notice being sent (default: the notice the user asked for).
+ * @param {DateTime} [activation] The activation being reminded of.
+ * @param {import('./modules/conditions').Occurrence} [occurrence] For conditional reminders, when the phases line up.
+ */
+function dispatchReminder(reminder, timer, missedAt, notice, activation, occurrence) {
+    if (reminder.isChannel()) {
+        sendChannelReminder(client, reminder, timer, missedAt, notice, activation);
+        return;
+    }
+    const uid = reminder.user;
+    const quiet = getUserQuietHours(uid);
+    if (isHeld(reminder, quiet, getUserTimezone(uid))) {
+        holdReminder(uid, quiet, reminder, timer, notice, activation, occurrence);
+        return;
+    }
+    if (reminder.isConditional())
+        sendConditionalRemind(reminder, occurrence);
+    else
+        sendRemind(uid, reminder, timer, missedAt, notice, activation);
+}
+
+/**
+ * Schedule the reminder, if it has a custom lead time, to be sent that long before each activation of its timers.
+ * Personal reminders are scheduled for the time the user chose, and daily digests for each day at the time the user
+ * chose. Any existing schedule for the reminder is replaced.
+ *
+ * @param {Reminder} reminder The reminder to schedule
+ * @returns {string | null} The id of the scheduler job, or null if the reminder is not scheduled.
+ */
+function scheduleReminder(reminder) {
+    if (reminder_jobs.has(reminder.id)) {
+        scheduler.cancel(reminder_jobs.get(reminder.id));
+        reminder_jobs.delete(reminder.id);
+    }
+    if ((reminder.lead === undefined && !reminder.isPersonal() && !reminder.isDigest() && !reminder.isConditional())
+        || reminder.isExpired())
+        return null;
+    if (reminder.isDigest()) {
+        // The user's timezone is looked up each day, in case they change it.
+        const job = scheduler.schedule(`daily digest #${reminder.id}`, previous => (reminder.isExpired()
+            ? null
+            : getNextDigestTime(reminder.digest.time, getUserTimezone(reminder.user), previous || scheduler.now())),
+        () => sendDigest(reminder));
+        if (job)
+            reminder_jobs.set(reminder.id, job);
+        return job;
+    }
+    if (reminder.isConditional()) {
+        // The phases are predicted anew before each run, so that changes to the timers are followed. If the phases
+        // don't line up within the horizon, look again later rather than giving up.
+        let occurrence = null;
+        const job = scheduler.schedule(`conditional reminder #${reminder.id}`, previous => {
+            if (reminder.isExpired()) {
+                reminder_jobs.delete(reminder.id);
+                return null;
+            }
+            occurrence = getNextOccurrence(client.timers_list, reminder.conditions, previous || scheduler.now());
+            return occurrence ? occurrence.start : scheduler.now().plus(occurrence_recheck);
+        }, () => {
+            if (occurrence)
+                dispatchReminder(reminder, undefined, undefined, undefined, occurrence.start, occurrence);
+        });
+        if (job)
+            reminder_jobs.set(reminder.id, job);
+        return job;
+    }
+    if (reminder.isPersonal()) {
+        const job = scheduler.schedule(`personal reminder #${reminder.id}`, previous => (previous ? null : reminder.at), () => {
+            reminder_jobs.delete(reminder.id);
+            return sendPersonalRemind(reminder);
+        });
+        if (job)
+            reminder_jobs.set(reminder.id, job);
+        return job;
+    }
+
+    // The scheduler asks for the next due time before each run, so remember which activation it is for.
+    let pending = null;
+    const job = scheduler.schedule(`reminder #${reminder.id} (${formatDuration(reminder.getLeadTime())} before)`, previous => {
+        pending = reminder.isExpired() ? null : reminder.getNextDispatch(client.timers_list, previous || scheduler.now());
+        if (!pending)
+            reminder_jobs.delete(reminder.id);
+        return pending && pending.due;
+    }, () => {
+        if (reminder.isExpired())
+            return;
+        const { timer, activation } = pending;
+        dispatchReminder(reminder, timer, undefined, getLeadNotice(reminder, timer, activation), activation);
+    });
+    if (job)
+        reminder_jobs.set(reminder.id, job);
+    return job;
+}
+
+/**
+ * Create the notice that a reminder with a custom lead time is sent with.
+ *
+ * @param {Reminder} reminder The reminder with a custom lead time
+ * @param {Timer} timer The timer the reminder is for
+ * @param {DateTime} activation The activation the reminder is for
+ * @returns {Notice}
+ */
+function getLeadNotice(reminder, timer, activation) {
+    const lead = reminder.getLeadTime();
+    return {
+        offset: lead,
+        announcement: `${timer.getDemand({ at: activation, timers: client.timers_list })} in ${formatDuration(lead)}`,
+        isDefault: false,
+    };
+}
+
+/**
+ * Update the pending dispatch of a reminder after the user changed it with a reaction control. Snoozed timer
+ * reminders are sent again for the same activation, while other changes reschedule the reminder. A reminder that
+ * was pruned after its last send is tracked again if the control revives it.
+ *
+ * @param {Reminder} reminder The reminder that was changed
+ * @param {'snooze' | 'stop' | 'always'} action The control the user chose
+ * @param {{timer: Timer, notice: Notice, activation?: DateTime}} [context] What the reminder was last sent for. If
+ *                                                                         unknown (e.g. after a restart), the next
+ *                                                                         activation of the reminder's timers is used.
+ */
+function onReminderControl(reminder, action, context) {
+    // A reminder's last send expires it, and it may have been pruned since. Snoozing or repeating it brings it back.
+    if (!reminder.isExpired() && !client.reminders.includes(reminder)) {
+        client.reminders.push(reminder);
+        Logger.log(`Reminders: restored #${reminder.id} after its ${action} control.`);
+    }
+    // A pending snooze is dropped when the reminder is stopped, and pushed back when it is snoozed again.
+    if (snoozed_jobs.has(reminder.id) && action !== 'always') {
+        scheduler.cancel(snoozed_jobs.get(reminder.id));
+        snoozed_jobs.delete(reminder.id);
+        // The activation was already given back by the earlier snooze.
+        if (action === 'snooze' && !reminder.isPersonal() && reminder.count > 0)
+            reminder.count -= 1;
+    }
+    if (action !== 'snooze' || reminder.isPersonal() || reminder.isExpired()) {
+        scheduleReminder(reminder);
+        return;
+    }
+    if (!context) {
+        const [timer] = client.timers_list.filter(t => reminder.matches(t) && !t.isExpired())
+            .sort((a, b) => a.getNext() - b.getNext());
+        if (!timer)
+            return;
+        const activation = timer.getNext();
+        const notice = reminder.lead !== undefined
+            ? getLeadNotice(reminder, timer, activation)
+            : timer.getNotice(reminder.notice) || timer.getNotice();
+        context = { timer, notice, activation };
+    }
+    const { timer, notice, activation } = context;
+    const due = scheduler.now().plus(snooze_duration);
+    const job = scheduler.schedule(`snoozed reminder #${reminder.id}`, previous => (previous ? null : due), () => {
+        snoozed_jobs.delete(reminder.id);
+        dispatchReminder(reminder, timer, undefined, notice, activation);
+    });
+    if (job)
+        snoozed_jobs.set(reminder.id, job);
+}
+
+/**
+ * Collect the reactions on the reminder's last DM again, e.g. after a restart, while its controls still work.
+ *
+ * @param {Reminder} reminder The reminder
+ */
+function resumeReminderControls(reminder) {
+    if (!reminder.lastMessage || reminder.isExpired() || !reminder.lastSent
+        || reminder.lastSent < DateTime.utc().minus(control_lifetime))
+        return;
+    client.users.fetch(reminder.user)
+        .then(user => user.createDM())
+        .then(channel => channel.messages.fetch(reminder.lastMessage))
+        .then(message => watchReminderControls(message, reminder, onReminderControl, reminder.lastSent))
+        .catch(err => Logger.warn(`Reminders: could not resume the controls of #${reminder.id}:\n`, err));
+}
+
+/**
+ * Hold back a reminder that activated during the user's quiet hours. Depending on the user's choice, it is
+ * either skipped, or added to the digest that is sent when their quiet hours end.
+ *
+ * @param {string} uid The Discord ID of the user to be reminded
+ * @param {import('./modules/quiet-hours').QuietHours} quiet The user's quiet hours
+ * @param {Reminder} reminder The user's reminder
+ * @param {Timer} [timer] The Timer that activated. Conditional reminders have an occurrence instead.
+ * @param {Notice} [notice] The notice being sent (default: the notice the user asked for).
+ * @param {DateTime} [activation] The activation being reminded of.
+ * @param {import('./modules/conditions').Occurrence} [occurrence] For conditional reminders, when the phases line up.
+ */
+function holdReminder(uid, quiet, reminder, timer, notice, activation, occurrence) {
+    if (quiet.mode !== 'digest') {
+        Logger.log(`Reminders: skipped ${timer ? timer.name : `#${reminder.id}`} for <@${uid}> during their quiet hours.`);
+        return;
+    }
+    if (!quiet_digests.has(uid)) {
+        const end = getQuietEnd(quiet, getUserTimezone(uid));
+        quiet_digests.set(uid, {
+            job: scheduler.schedule(`quiet hours digest for ${uid}`, previous => (previous ? null : end), () => sendQuietDigest(uid)),
+            items: [],
+        });
+    }
+    quiet_digests.get(uid).items.push(occurrence ? { reminder, occurrence } : {
+        reminder,
+        timer,
+        notice: notice || timer.getNotice(reminder.notice) || timer.getNotice(),
+        activation,
+    });
+}
+
+/**
+ * Send the user one message with the reminders that were held during their quiet hours.
+ *
+ * @param {string} uid The Discord ID of the user to be reminded
+ * @returns {Promise<void>}
+ */
+async function sendQuietDigest(uid) {
+    const digest = quiet_digests.get(uid);
+    quiet_digests.delete(uid);
+    // Reminders that were turned off during the quiet hours are not sent.
+    const items = digest ? digest.items.filter(({ reminder }) => reminder.count !== 0) : [];
+    if (!items.length)
+        return;
+
+    const output = new MessageEmbed({ title: 'Reminders from your quiet hours' });
+    output.setDescription(items.map(({ reminder, timer, notice, activation, occurrence }) => {
+        if (occurrence)
+            return `• ${describeConditions(reminder.conditions)} (${occurrence.start.toRelative()})`;
+        const title = timer.getAnnouncement({ at: activation, timers: client.timers_list, template: notice.announcement });
+        return `• ${title}${activation ? ` (${activation.toRelative()})` : ''}`;
+    }).join('\n'));
+    output.addField('To Update:', `Use \`${settings.botPrefix} iam quiet\` to change your quiet hours.`, false);
+    output.setTimestamp(new Date());
+    output.setFooter('Sent:');
+
+    const message = await deliveryQueue.deliver({
+        recipient: uid,
+        label: 'quiet hours digest',
+        reminders: items.map(({ reminder }) => reminder),
+        send: () => client.users.fetch(uid).then(user => user.send({ embed: output })),
+    });
+    // For non-perpetual reminders, decrement the counter once they are delivered.
+    if (message)
+        items.forEach(({ reminder }) => {
+            if (reminder.count > 0)
+                --reminder.count;
+            reminder.recordSent();
+        });
+}
+
+/**
+ * Takes a user's ID and a reminder "object" and sends
+ * the reminder as a MessageEmbed via PM, through the delivery queue.
  * MAYBE: Add ReminderInfo class, let Timers ID one, and have timer definitions provide additional information
  *      to improve the appearance of the reminders.
- * @param {User} user The Discord user to be reminded
- * @param {TimerReminder} remind the user's specific data w.r.t. the Timer that activated
+ * @param {string} uid The Discord ID of the user to be reminded
+ * @param {Reminder} remind the user's specific data w.r.t. the Timer that activated
  * @param {Timer} timer the Timer that activated
+ * @param {DateTime} [missedAt] If the reminder is late because the bot was offline, when the timer activated.
+ * @param {Notice} [notice] The notice being sent (default: the notice the user asked for).
+ * @param {DateTime} [activation] The activation being reminded of (default: the timer's next activation).
  */
-function sendRemind(user, remind, timer) {
-    // Don't remind invalid users.
-    if (!user) {
-        remind.fail = (remind.fail || 0) + 1;
-        return;
-    }
+function sendRemind(uid, remind, timer, missedAt, notice = timer.getNotice(remind.notice) || timer.getNotice(), activation) {
     if (remind.count === 0)
         return;
     // TODO: better timer title info - no markdown formatting in the title.
-    const output = new MessageEmbed({ title: timer.getAnnouncement() });
+    const output = new MessageEmbed({
+        title: timer.getAnnouncement({ at: activation, timers: client.timers_list, template: notice.announcement }),
+    });
 
     if (timer.getArea() === 'relic_hunter') {
         output.addField('Current Location', `She's in **${relic_hunter.location}**`, true);
@@ -886,44 +1608,215 @@ function sendRemind(user, remind, timer) {
         output.setTitle(`RH: ${relic_hunter.location}`);
     }
 
-    // Describe the remaining reminders.
-    if (remind.fail > 10)
-        remind.count = 1;
-    // For non-perpetual reminders, decrement the counter.
-    output.addField('Reminders Left', (remind.count < 0) ? 'unlimited' : --remind.count, true);
-
-    const advanceAmount = timer.getAdvanceNotice().as('milliseconds');
-    // Should this be next user reminder, or next activation of this timer?
-    output.addField('Next Reminder', (advanceAmount
-        ? timer.getNext().plus(timer.getRepeatInterval()).minus(advanceAmount)
-        : timer.getNext()
-    ).diffNow().toFormat('dd\'d \'hh\'h \'mm\'m\'', { round: true }), true);
+    // Describe the remaining reminders. For non-perpetual reminders, the counter is decremented once this is delivered.
+    const left = (remind.count < 0) ? remind.count : remind.count - 1;
+    output.addField('Reminders Left', (left < 0) ? 'unlimited' : left, true);
+    if (remind.lead !== undefined)
+        output.addField('Lead Time', `${formatDuration(remind.getLeadTime())} before`, true);
+
+    // With advance notice, the timer has yet to activate, so the next reminder is for the first activation
+    // whose notice has yet to be sent.
+    let nextReminder = null;
+    for (const activation of timer.upcoming()) {
+        if (activation.minus(notice.offset) > DateTime.utc()) {
+            nextReminder = activation.minus(notice.offset);
+            break;
+        }
+    }
+    const zone = getUserTimezone(uid);
+    output.addField('Next Reminder', nextReminder
+        ? nextReminder.diffNow().toFormat('dd\'d \'hh\'h \'mm\'m\'', { round: true })
+            + (zone ? `\n${formatLocalTime(nextReminder, zone)}` : '')
+        : 'None, the event has ended', true);
 
     // How to add or remove additional counts.
     let alter_str = `Use \`${settings.botPrefix} remind ${remind.area}${remind.sub_area ? ` ${remind.sub_area}` : ''}`;
-    alter_str += (!remind.count) ? '` to turn this reminder back on.' : ' stop` to end these sooner.';
+    if (typeof remind.notice === 'number')
+        alter_str += ` ${formatDuration(Duration.fromMillis(remind.notice))}`;
+    if (remind.lead !== undefined)
+        alter_str += ` ${formatDuration(remind.getLeadTime())} before`;
+    alter_str += (!left) ? '` to turn this reminder back on.' : ' stop` to end these sooner.';
+    alter_str += `\n${describeControls(remind)}`;
     alter_str += `\nUse \`${settings.botPrefix} help remind\` for additional info.`;
     output.addField('To Update:', alter_str, false);
 
 
-    if (remind.fail) {
-        output.setDescription(`(There were ${remind.fail} failures before this got through.)`);
-        if (remind.fail > 10)
-            Logger.warn(`Reminders: Removing reminder for ${remind.user} due to too many failures`);
-    }
+    const description = [];
+    if (missedAt)
+        description.push(`(I was offline when this timer activated ${missedAt.toRelative()}.)`);
+    if (remind.fail)
+        description.push(`(There were ${remind.fail} failures before this got through.)`);
+    if (description.length)
+        output.setDescription(description.join('\n'));
 
     // The timestamp could be the activation time, not the notification time. If there is
     // advance notice, then the activation time is yet to come (vs. moments ago).
     output.setTimestamp(new Date());
     output.setFooter('Sent:');
 
-    user.send({ embed: output }).then(
-        () => remind.fail = 0,
-        () => remind.fail = (remind.fail || 0) + 1,
-    );
+    deliveryQueue.deliver({
+        recipient: uid,
+        label: `reminder #${remind.id}`,
+        reminders: [remind],
+        send: () => client.users.fetch(uid).then(user => user.send({ embed: output })),
+    }).then(message => {
+        if (!message)
+            return;
+        if (remind.count > 0)
+            --remind.count;
+        remind.recordSent();
+        return addReminderControls(message, remind, (r, action) => onReminderControl(r, action, { timer, notice, activation }));
+    });
 }
 
+/**
+ * Send a personal reminder, which isn't tied to a timer, as a MessageEmbed via PM. Personal reminders are only sent once.
+ *
+ * @param {Reminder} reminder The personal reminder
+ * @returns {Promise<void>}
+ */
+async function sendPersonalRemind(reminder) {
+    if (reminder.isExpired())
+        return;
+    reminder.count = 0;
+    const output = new MessageEmbed({ title: reminder.text });
+
+    const description = [`You asked me to remind you ${reminder.created.toRelative()}.`];
+    if (reminder.at < DateTime.utc().minus(refresh_rate))
+        description.push(`(I was offline when this was due ${reminder.at.toRelative()}.)`);
+    output.setDescription(description.join('\n'));
+    output.addField('To Update:', `Use \`${settings.botPrefix} remind me in <time> <note>\` to set another.`
+        + `\n${describeControls(reminder)}\nUse \`${settings.botPrefix} help remind\` for additional info.`, false);
+    output.setTimestamp(new Date());
+    output.setFooter('Sent:');
 
+    const message = await deliveryQueue.deliver({
+        recipient: reminder.user,
+        label: `personal reminder #${reminder.id}`,
+        reminders: [reminder],
+        send: () => client.users.fetch(reminder.user).then(user => user.send({ embed: output })),
+    });
+    if (message) {
+        reminder.recordSent();
+        await addReminderControls(message, reminder, onReminderControl);
+    }
+}
+
+/**
+ * Send a conditional reminder, when its areas have just reached the phases the user asked for, as a MessageEmbed via PM.
+ * Quiet hours are applied before this, by dispatchReminder.
+ *
+ * @param {Reminder} reminder The conditional reminder
+ * @param {import('./modules/conditions').Occurrence} occurrence The time span during which the phases line up
+ * @returns {Promise<void>}
+ */
+async function sendConditionalRemind(reminder, occurrence) {
+    if (reminder.isExpired())
+        return;
+    const uid = reminder.user;
+    const zone = getUserTimezone(uid);
+    const output = new MessageEmbed({ title: describeConditions(reminder.conditions) });
+    output.setDescription(describeOccurrence(occurrence, zone));
+    // For non-perpetual reminders, the counter is decremented once this is delivered.
+    const left = (reminder.count < 0) ? reminder.count : reminder.count - 1;
+    output.addField('Reminders Left', (left < 0) ? 'unlimited' : left, true);
+    const next = left && getNextOccurrence(client.timers_list, reminder.conditions, occurrence.start);
+    output.addField('Next Reminder', next ? describeOccurrence(next, zone)
+        : left ? `Not in the next ${occurrence_horizon.as('days')} days` : 'None', true);
+    output.addField('To Update:', `Use \`${settings.botPrefix} remind #${reminder.id} stop\` to end these sooner.`
+        + `\n${describeControls(reminder)}\nUse \`${settings.botPrefix} help remind\` for additional info.`, false);
+    output.setTimestamp(new Date());
+    output.setFooter('Sent:');
+
+    const message = await deliveryQueue.deliver({
+        recipient: uid,
+        label: `conditional reminder #${reminder.id}`,
+        reminders: [reminder],
+        send: () => client.users.fetch(uid).then(user => user.send({ embed: output })),
+    });
+    if (message) {
+        if (reminder.count > 0)
+            --reminder.count;
+        reminder.recordSent();
+        await addReminderControls(message, reminder, onReminderControl);
+    }
+}
+
+/**
+ * Send a daily digest: an agenda of the next 24 hours of timers in the areas the user chose, as a MessageEmbed via PM.
+ *
+ * @param {Reminder} reminder The daily digest reminder
+ * @returns {Promise<void>}
+ */
+async function sendDigest(reminder) {
+    if (reminder.isExpired())
+        return;
+    const output = buildDigest(client.timers_list, reminder.digest.areas, getUserTimezone(reminder.user) || 'UTC');
+    output.addField('To Update:', `Use \`${settings.botPrefix} remind digest <HH:mm> <areas>\` to change it.`
+        + `\n${describeControls(reminder)}\nUse \`${settings.botPrefix} help remind\` for additional info.`, false);
+    output.setFooter('Sent:');
+
+    const message = await deliveryQueue.deliver({
+        recipient: reminder.user,
+        label: `daily digest #${reminder.id}`,
+        reminders: [reminder],
+        send: () => client.users.fetch(reminder.user).then(user => user.send({ embed: output })),
+    });
+    if (message) {
+        reminder.recordSent();
+        await addReminderControls(message, reminder, onReminderControl);
+    }
+}
+
+/**
+ * Stop the reminders of a delivery that cannot succeed, e.g. because the user left Discord or the channel was deleted.
+ * Users whose DMs are closed have all of their DM reminders stopped, and are told so in a server channel, since they
+ * can't be told in a DM.
+ *
+ * @param {import('./modules/delivery-queue').Delivery} delivery The delivery that failed
+ * @param {string} kind The kind of failure, e.g. "dms_closed"
+ */
+function handleUndeliverable(delivery, kind) {
+    // None of the user's DM reminders can get through while their DMs are closed.
+    const reminders = Array.from(new Set((delivery.reminders || []).concat(kind === 'dms_closed'
+        ? client.reminders.filter(r => r.user === delivery.recipient && !r.isChannel() && !r.isExpired())
+        : [])));
+    reminders.forEach(reminder => {
+        reminder.count = 0;
+        scheduleReminder(reminder);
+    });
+    Logger.warn(`Reminders: turned off ${reminders.length} reminders for ${delivery.recipient}, as they are undeliverable (${kind}).`);
+    if (kind === 'dms_closed' && reminders.length && !closed_dm_notices.has(delivery.recipient)) {
+        closed_dm_notices.add(delivery.recipient);
+        notifyClosedDms(delivery.recipient)
+            .catch(err => Logger.error(`Reminders: could not tell <@${delivery.recipient}> that their DMs are closed:\n`, err));
+    }
+}
+
+/**
+ * Tell the user, in a server they share with the bot, that their reminders were turned off because their DMs are closed.
+ * The notice is posted in the server's DM notice channel, or else in one of its timer channels.
+ *
+ * @param {string} uid The Discord ID of the user
+ * @returns {Promise<void>}
+ */
+async function notifyClosedDms(uid) {
+    for (const guild of client.guilds.cache.values()) {
+        const guildSettings = settings.guilds[guild.id];
+        if (!guildSettings)
+            continue;
+        const channel = guildSettings.dmNoticeChannel
+            ? guild.channels.cache.get(guildSettings.dmNoticeChannel)
+            : guild.channels.cache.find(c => guildSettings.timedAnnouncementChannels.has(c.name) && c.type === 'text');
+        if (!channel || !(await guild.members.fetch(uid).catch(() => null)))
+            continue;
+        await channel.send(`<@${uid}>, I couldn't send you your reminders because you don't accept direct messages,`
+            + ' so I turned them off. Allow direct messages from server members in your privacy settings,'
+            + ` then use \`${guildSettings.botPrefix || settings.botPrefix} remind\` to set them up again.`);
+        return;
+    }
+    Logger.warn(`Reminders: no shared channel in which to tell <@${uid}> that their DMs are closed.`);
+}
 
 /**
  * Get the help text.
@@ -938,16 +1831,7 @@ function getHelpMessage(message, tokens) {
     // TODO: Remove these as external commands are added
     const keywordArray = [ 'remind', 'schedule' ];
     const allowedCommands = client.commands
-        .filter(command => {
-            let canRun = false;
-            if (!command.minPerm)
-                canRun = true;
-            else if (message.author.id === message.client.settings.owner)
-                canRun = true;
-            else if (('member' in message) && security.checkPerms(message.member, command.minPerm))
-                canRun = true;
-            return canRun;
-        });
+        .filter(command => security.canRunCommand(message, command));
     keywordArray.push(...allowedCommands.map(command => command.name));
     const keywords = oxfordStringifyValues(keywordArray.map(name => `\`${name}\``));
     const prefix = settings.botPrefix.trim();
@@ -1048,21 +1932,6 @@ function resetRH() {
     relic_hunter.location = 'unknown';
     relic_hunter.source = 'reset';
     relic_hunter.last_seen = DateTime.fromMillis(0);
-    // Schedule the next reset.
-    rescheduleResetRH();
-}
-
-/**
- * Continue resetting Relic Hunter location
- */
-function rescheduleResetRH() {
-    return; // Rescheduled reset cancelled by issue 152
-    // eslint-disable-next-line no-unreachable
-    if (relic_hunter.timeout)
-        clearTimeout(relic_hunter.timeout);
-
-    const now = DateTime.utc();
-    relic_hunter.timeout = setTimeout(resetRH, Interval.fromDateTimes(now, now.endOf('day')).length('milliseconds'));
 }
 
 /**
@@ -5,14 +5,89 @@ const { Message } = require('discord.js');
 const CommandResult = require('../interfaces/command-result');
 const Logger = require('../modules/logger');
 const security = require('../modules/security');
+const { timerAliases } = require('../modules/timer-helper');
+const { placeholderNames } = require('../modules/timer-templates');
+const { getRoleKey, describeRoleKey, buildRoleMenu } = require('../modules/timer-roles');
+const { cleanup_modes, describeCleanupPolicy } = require('../modules/announcement-cleanup');
 const usage = [
     'view - see current settings for this server',
     'modrole - define the role on this server for moderation level',
     'adminrole - define the role on this server for admin level',
     'prefix - change the prefix on this server',
     'timers [add|remove] [<channel>] - add or remove a channel to announce timers in',
+    'timers areas <channel> <area|sub-area> [<area|sub-area> ...] - only announce these timers in the channel ("all" for every timer)',
+    'dashboard [<channel>|off] - keep a pinned message in the channel up to date with the state of each area',
+    'dmnotice [<channel>|off] - where to tell members that their reminders stopped because their DMs are closed (default: a timer channel)',
+    'roles [<area> [<sub-area>] <role>|off] - mention the role when the area\'s timers are announced',
+    'roles menu <channel> - post a message that members can react to, to get the timer roles themselves',
+    'cleanup [off|keep <number>|phase|strike] - keep only the latest announcements of each area, delete them when their phase ends, or strike them through',
+    'templates [<area> [announce|demand] [<text>|reset]] - replace the announcement or demand text of an area\'s timers',
 ].join('\n\t');
 
+/**
+ * Describe which timers are announced in the given timer channel.
+ *
+ * @param {Object} guildSettings The settings of the channel's guild.
+ * @param {string} channelName The name of the timer channel.
+ * @returns {string} The channel name and the areas it announces.
+ */
+function describeChannel(guildSettings, channelName) {
+    const subscriptions = guildSettings.timerChannelAreas && guildSettings.timerChannelAreas[channelName];
+    const areas = subscriptions && subscriptions.length
+        ? subscriptions.map(entry => entry.replace(':', ' ')).join(', ')
+        : 'all timers';
+    return `${channelName}: ${areas}`;
+}
+
+/**
+ * Describe a guild's replacement announcement and demand text for the given areas.
+ *
+ * @param {Object} guildSettings The settings of the guild.
+ * @param {string[]} areas The areas to describe.
+ * @returns {string} One line per replaced text.
+ */
+function describeTemplates(guildSettings, areas) {
+    const lines = [];
+    for (const area of areas) {
+        const templates = (guildSettings.timerTemplates && guildSettings.timerTemplates[area]) || {};
+        ['announce', 'demand']
+            .filter(kind => templates[kind])
+            .forEach(kind => lines.push(`${area} ${kind}: ${templates[kind]}`));
+    }
+    return lines.join('\n');
+}
+
+/**
+ * Describe the roles that are mentioned when each area's timers are announced.
+ *
+ * @param {Object} guildSettings The settings of the guild.
+ * @param {Guild} guild The guild, to name its roles (rather than mention them).
+ * @returns {string} One line per role.
+ */
+function describeRoles(guildSettings, guild) {
+    const roles = guildSettings.timerRoles || {};
+    return Object.keys(roles).map(key => {
+        const role = guild.roles && guild.roles.cache.get(roles[key]);
+        return `${describeRoleKey(key)}: ${role ? role.name : `role ${roles[key]}`}`;
+    }).join('\n');
+}
+
+/**
+ * Post a message in the given channel, which members can react to in order to get or drop the timer roles.
+ *
+ * @param {TextChannel} channel The channel for the menu.
+ * @param {Object} guildSettings The settings of the channel's guild.
+ * @returns {Promise<string>} The reply to the admin.
+ */
+async function postRoleMenu(channel, guildSettings) {
+    const { content, emojis } = buildRoleMenu(guildSettings);
+    const menu = await channel.send(content, { allowedMentions: { parse: [] } });
+    guildSettings.timerRoleMenu = { channel: channel.id, message: menu.id, emojis };
+    for (const emoji of Object.keys(emojis))
+        await menu.react(emoji);
+    return `Members can now pick their timer roles in ${channel.toString()}.`;
+}
+
 /**
  *
  * @param {Message} message the message that triggered the command
@@ -87,6 +162,8 @@ async function doSet(message, tokens) {
                     reply = `Didn't remove ${channel.toString()} because I couldn't figure out its name`;
                 else if (guildSettings.timedAnnouncementChannels.has(channel.name)) {
                     guildSettings.timedAnnouncementChannels.delete(channel.name);
+                    if (guildSettings.timerChannelAreas)
+                        delete guildSettings.timerChannelAreas[channel.name];
                     reply = `Removed ${channel.name} but because Aard is lazy it won't stop being used until next restart`;
                 }
                 else {
@@ -96,9 +173,182 @@ async function doSet(message, tokens) {
                 reply = 'I only work with mentions of channels and none was mentioned';
             }
         }
+        else if (subAction === 'areas') {
+            // The channel mention is followed by the areas and sub-areas that the channel should announce.
+            const channel = message.mentions.channels.first();
+            const requested = tokens.filter(token => !/^<#\d+>$/.test(token)).map(token => token.toLowerCase());
+            if (!channel)
+                reply = 'I only work with mentions of channels and none was mentioned';
+            else if (!guildSettings.timedAnnouncementChannels.has(channel.name))
+                reply = `${channel.name} isn't a timer channel yet. Add it first with \`config timers add\``;
+            else if (!requested.length)
+                reply = 'Which areas should I announce there? Use "all" for every timer.';
+            else {
+                const subscriptions = [];
+                const unknown = [];
+                if (!requested.includes('all')) {
+                    requested.forEach(token => {
+                        const { area, sub_area } = timerAliases(message.client.timers_list, [token]);
+                        if (!area)
+                            unknown.push(token);
+                        else
+                            subscriptions.push(sub_area ? `${area}:${sub_area}` : area);
+                    });
+                }
+                if (unknown.length)
+                    reply = `I don't know these areas: ${unknown.join(', ')}`;
+                else {
+                    if (!guildSettings.timerChannelAreas)
+                        guildSettings.timerChannelAreas = {};
+                    if (subscriptions.length)
+                        guildSettings.timerChannelAreas[channel.name] = Array.from(new Set(subscriptions));
+                    else
+                        delete guildSettings.timerChannelAreas[channel.name];
+                    if (message.client.timerControl)
+                        message.client.timerControl.refreshChannels();
+                    reply = `Timers for ${describeChannel(guildSettings, channel.name)}`;
+                }
+            }
+        }
         else {
             const timers = Array.from(guildSettings.timedAnnouncementChannels);
-            reply = `Timer channels for this server: ${timers.join(', ')}`;
+            reply = `Timer channels for this server:\n${timers.map(name => describeChannel(guildSettings, name)).join('\n')}`;
+        }
+    }
+    else if (action === 'dashboard') {
+        const channel = message.mentions.channels.first();
+        const previous = guildSettings.dashboard;
+        if (tokens.length && tokens[0].toLowerCase() === 'off') {
+            delete guildSettings.dashboard;
+            reply = previous
+                ? 'I\'ll stop updating the dashboard. You can delete its message.'
+                : 'This server doesn\'t have a dashboard.';
+        }
+        else if (!channel) {
+            reply = previous
+                ? `The dashboard is in <#${previous.channel}>.`
+                : 'This server doesn\'t have a dashboard. Mention a channel to create one.';
+        }
+        else if (channel.type !== 'text')
+            reply = `I can't keep a dashboard in ${channel.toString()} because it's not a text channel`;
+        else if (previous && previous.channel === channel.id)
+            reply = `The dashboard is already in ${channel.toString()}.`;
+        else {
+            guildSettings.dashboard = { channel: channel.id };
+            if (message.client.timerControl)
+                message.client.timerControl.refreshDashboards();
+            reply = `I'll keep a dashboard pinned in ${channel.toString()}, and update it every minute.`;
+            if (previous)
+                reply += ' You can delete the old dashboard message.';
+        }
+    }
+    else if (action === 'dmnotice') {
+        const channel = message.mentions.channels.first();
+        if (tokens.length && tokens[0].toLowerCase() === 'off') {
+            delete guildSettings.dmNoticeChannel;
+            reply = 'I\'ll tell members whose DMs are closed in a timer channel.';
+        }
+        else if (!channel) {
+            reply = guildSettings.dmNoticeChannel
+                ? `I tell members whose DMs are closed in <#${guildSettings.dmNoticeChannel}>.`
+                : 'I tell members whose DMs are closed in a timer channel. Mention a channel to use it instead.';
+        }
+        else if (channel.type !== 'text')
+            reply = `I can't post in ${channel.toString()} because it's not a text channel`;
+        else {
+            guildSettings.dmNoticeChannel = channel.id;
+            reply = `I'll tell members whose DMs are closed in ${channel.toString()}.`;
+        }
+    }
+    else if (action === 'roles') {
+        const role = message.mentions.roles && message.mentions.roles.first();
+        const channel = message.mentions.channels && message.mentions.channels.first();
+        const words = tokens.filter(token => !/^<[@#]&?\d+>$/.test(token)).map(token => token.toLowerCase());
+        if (!words.length)
+            reply = describeRoles(guildSettings, guild) || 'This server doesn\'t mention any roles in timer announcements.';
+        else if (words[0] === 'menu') {
+            if (!Object.keys(guildSettings.timerRoles || {}).length)
+                reply = 'Add some timer roles first.';
+            else if (!channel || channel.type !== 'text')
+                reply = 'Which text channel should have the role menu?';
+            else {
+                try {
+                    reply = await postRoleMenu(channel, guildSettings);
+                } catch (err) {
+                    Logger.error('Config: failed to post the timer role menu', err);
+                    reply = `I couldn't post the role menu in ${channel.toString()}.`;
+                }
+            }
+        }
+        else {
+            const off = words[words.length - 1] === 'off';
+            const key = getRoleKey(message.client.timers_list, off ? words.slice(0, -1) : words);
+            if (!key)
+                reply = `I don't know the area "${words.join(' ')}"`;
+            else if (off) {
+                if (guildSettings.timerRoles)
+                    delete guildSettings.timerRoles[key];
+                reply = `I won't mention a role for ${describeRoleKey(key)} timers.`;
+            }
+            else if (!role)
+                reply = 'Which role should I mention? Mention the role, or use "off".';
+            else {
+                if (!guildSettings.timerRoles)
+                    guildSettings.timerRoles = {};
+                guildSettings.timerRoles[key] = role.id;
+                reply = `I'll mention ${role.name} when ${describeRoleKey(key)} timers are announced.`;
+            }
+        }
+    }
+    else if (action === 'cleanup') {
+        const mode = tokens.length ? tokens.shift().toLowerCase() : '';
+        const count = parseInt(tokens[0], 10);
+        if (!mode)
+            reply = `On this server, ${describeCleanupPolicy(guildSettings.announcementCleanup)}.`;
+        else if (mode === 'off') {
+            delete guildSettings.announcementCleanup;
+            reply = `On this server, ${describeCleanupPolicy()}.`;
+        }
+        else if (!cleanup_modes.includes(mode))
+            reply = `I only know these cleanup policies: off, ${cleanup_modes.join(', ')}`;
+        else if (mode === 'keep' && !(count > 0))
+            reply = 'How many announcements of each area should I keep?';
+        else {
+            guildSettings.announcementCleanup = mode === 'keep' ? { mode, count } : { mode };
+            reply = `On this server, ${describeCleanupPolicy(guildSettings.announcementCleanup)}. This applies to new announcements.`;
+        }
+    }
+    else if (action === 'templates') {
+        const area = tokens.length ? timerAliases(message.client.timers_list, [tokens.shift()]).area : null;
+        const kind = tokens.length ? tokens.shift().toLowerCase() : '';
+        const text = tokens.join(' ');
+        const placeholders = placeholderNames.map(name => `{${name}}`).join(', ');
+        if (!area) {
+            const areas = Object.keys(guildSettings.timerTemplates || {});
+            reply = describeTemplates(guildSettings, areas) || 'This server uses the default text for every timer.';
+            reply += `\nTemplates may use these placeholders: ${placeholders}`;
+        }
+        else if (!kind)
+            reply = describeTemplates(guildSettings, [area]) || `This server uses the default text for ${area} timers.`;
+        else if (kind !== 'announce' && kind !== 'demand')
+            reply = 'I can only replace the `announce` or `demand` text.';
+        else if (!text)
+            reply = `What should the ${kind} text be? It may use these placeholders: ${placeholders}`;
+        else if (text.toLowerCase() === 'reset') {
+            if (guildSettings.timerTemplates && guildSettings.timerTemplates[area]) {
+                delete guildSettings.timerTemplates[area][kind];
+                if (!Object.keys(guildSettings.timerTemplates[area]).length)
+                    delete guildSettings.timerTemplates[area];
+            }
+            reply = `${area} timers will use their default ${kind} text.`;
+        }
+        else {
+            if (!guildSettings.timerTemplates)
+                guildSettings.timerTemplates = {};
+            if (!guildSettings.timerTemplates[area])
+                guildSettings.timerTemplates[area] = {};
+            guildSettings.timerTemplates[area][kind] = text;
+            reply = `${area} timers will use this ${kind} text: ${text}`;
         }
     }
     else if (action === 'prefix') {
@@ -0,0 +1,79 @@
+// eslint-disable-next-line no-unused-vars
+const { Message } = require('discord.js');
+
+const CommandResult = require('../interfaces/command-result');
+const Logger = require('../modules/logger');
+const { deliveryQueue } = require('../modules/delivery-queue');
+const usage = [
+    '- shows how many reminder DMs are waiting to be sent or retried, and how many were sent, retried, or given up on',
+    'dead [<number>] - lists the latest reminder deliveries that were given up on (default 10)',
+].join('\n\t');
+
+/**
+ * Describe the delivery queue's workload and results.
+ *
+ * @param {Object} stats The queue's statistics, from DeliveryQueue#getStats.
+ * @returns {string}
+ */
+function describeStats(stats) {
+    return [
+        '**Reminder deliveries**',
+        `Waiting: ${stats.pending} (${stats.retrying} to be retried)${stats.oldest
+            ? `, the oldest for ${Math.round(stats.oldest.as('seconds'))}s` : ''}`,
+        `Sent: ${stats.sent}`,
+        `Retried: ${stats.retried}`,
+        `Given up: ${stats.permanent} undeliverable, ${stats.exhausted} after too many retries`,
+    ].join('\n');
+}
+
+/**
+ * Describe the latest deliveries that were given up on.
+ *
+ * @param {import('../modules/delivery-queue').DeadLetter[]} deadLetters The dead letters, oldest first.
+ * @param {number} count How many to describe.
+ * @returns {string}
+ */
+function describeDeadLetters(deadLetters, count) {
+    if (!deadLetters.length)
+        return 'No reminder deliveries have been given up on.';
+    return deadLetters.slice(-count).reverse()
+        .map(letter => `${letter.at}: ${letter.label} for ${letter.recipient} (${letter.kind}, ${letter.attempts} attempts): ${letter.reason}`)
+        .join('\n');
+}
+
+/**
+ * Show the reminder delivery queue's statistics, or its dead letters.
+ *
+ * @param {Message} message The message that triggered the action
+ * @param {string[]} tokens The tokens of the command
+ * @returns {Promise<CommandResult>} Status of the execution
+ */
+async function doDELIVERIES(message, tokens) {
+    const theResult = new CommandResult({ message, success: false, sentDm: false });
+    let reply;
+    if (tokens.length && tokens[0].toLowerCase() === 'dead') {
+        const count = parseInt(tokens[1], 10);
+        reply = describeDeadLetters(deliveryQueue.getDeadLetters(), count > 0 ? count : 10);
+    } else
+        reply = describeStats(deliveryQueue.getStats());
+    try {
+        await message.channel.send(reply, { split: true });
+        theResult.replied = true;
+        theResult.success = true;
+        theResult.sentDm = message.channel.type === 'dm';
+    } catch (err) {
+        Logger.error('DELIVERIES: failed to send reply', err);
+        theResult.botError = true;
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'deliveries',
+    args: false,
+    usage: usage,
+    description: 'Show the reminder delivery queue [owner only]',
+    canDM: true,
+    minPerm: 'owner',
+    execute: doDELIVERIES,
+};
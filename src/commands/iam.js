@@ -5,6 +5,8 @@ const { Message } = require('discord.js');
 const CommandResult = require('../interfaces/command-result');
 const Logger = require('../modules/logger');
 const { unsetHunterID, setHunterID, setHunterProperty, initialize, save, getHunterProperties } = require('../modules/hunter-registry');
+const { setUserTimezone, getUserTimezone, getUserQuietHours, setUserQuietHours } = require('../modules/user-preferences');
+const { parseQuietHours, describeQuietHours } = require('../modules/quiet-hours');
 const usage = [
     '#### - provide a number to set your hunter ID (**Must be done first**)',
     'rank <rank> - identify your rank',
@@ -13,6 +15,9 @@ const usage = [
     'not - removes you from the registry',
     'status - shows you what the bot knows about you',
     'auto - turns on automatic updating of rank and location. Set either of those to turn it off.',
+    'tz <timezone> - show times in your timezone, e.g. America/Chicago ("tz off" to stop). No hunter ID needed',
+    'quiet <start>-<end> [drop|digest|urgent] - hold reminders during these hours in your timezone, e.g. "quiet 23:00-07:00 digest".',
+    '\tdrop skips them, digest sends them together afterwards, urgent only sends "urgent" reminders. "quiet off" to stop',
 ].join('\n\t');
 
 /**
@@ -32,6 +37,35 @@ async function doIAM(message, tokens) {
         reply = setHunterProperty(message.author.id, 'manual', false);
     else if (tokens.length === 1 && tokens[0].toLowerCase() === 'status')
         reply = getHunterProperties(message.author.id);
+    else if (['tz', 'timezone'].includes(tokens[0].toLowerCase())) {
+        const zone = tokens[1];
+        if (!zone)
+            reply = getUserTimezone(message.author.id)
+                ? `Your timezone is ${getUserTimezone(message.author.id)}.`
+                : 'I don\'t know your timezone. Set it with a name like America/Chicago.';
+        else
+            reply = setUserTimezone(message.author.id, zone.toLowerCase() === 'off' ? undefined : zone);
+    }
+    else if (tokens[0].toLowerCase() === 'quiet') {
+        const zone = getUserTimezone(message.author.id);
+        if (tokens.length === 2 && tokens[1].toLowerCase() === 'off') {
+            setUserQuietHours(message.author.id);
+            reply = 'Your quiet hours are off. I\'ll send reminders at any hour.';
+        }
+        else if (tokens.length > 1) {
+            const quiet = parseQuietHours(tokens.slice(1));
+            if (quiet) {
+                setUserQuietHours(message.author.id, quiet);
+                reply = describeQuietHours(quiet, zone);
+                if (!zone)
+                    reply += ' Set your timezone with "iam tz <timezone>" to use your local time.';
+            }
+            else
+                reply = 'I didn\'t understand those hours. Try e.g. "quiet 23:00-07:00 digest".';
+        }
+        else
+            reply = describeQuietHours(getUserQuietHours(message.author.id), zone);
+    }
     else {
         // received -mh iam <words>. The user can specify where they are hunting, their rank/title, or their in-game id.
         // Nobody should need this many tokens to specify their input, but someone is gonna try for more.
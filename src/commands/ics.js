@@ -0,0 +1,89 @@
+const Logger = require('../modules/logger');
+const CommandResult = require('../interfaces/command-result');
+const { timerAliases, formatDuration } = require('../modules/timer-helper');
+const { buildCalendar } = require('../modules/ics');
+const { DateTime } = require('luxon');
+
+const default_days = 7;
+const max_days = 30;
+const usage = [
+    'Sends a calendar file (.ics) of the upcoming timers, for import into calendar apps.',
+    '<area>            -> specify a particular area with a timer (sg)',
+    '<sub-area>        -> specify the specific sub-area (autumn)',
+    `<number>          -> How many days into the future to include (default ${default_days}, at most ${max_days})`,
+    'Example: "-mh ics spill arch 14" will send a calendar of the Archduke spill levels for the next 14 days.',
+    'See Also: schedule; for seeing the upcoming timers in Discord.',
+].join('\n\t');
+
+/**
+ * Describe a timer's activations in the next days as calendar events.
+ *
+ * @param {import('../modules/timers')} timer The timer to describe.
+ * @param {DateTime} until The time after which activations are not included.
+ * @param {import('../modules/timers')[]} timers_list The known timers, for placeholders that depend on other timers.
+ * @returns {import('../modules/ics').CalendarEvent[]}
+ */
+function getTimerEvents(timer, until, timers_list) {
+    const duration = timer.getDuration();
+    return Array.from(timer.upcoming(until), start => {
+        // Each event describes its own activation, e.g. for the "{absolute_utc}" placeholder.
+        // Calendar apps do not render Discord markdown.
+        const summary = timer.getDemand({ at: start, timers: timers_list }).replace(/\*\*/g, '');
+        return {
+            uid: `${timer.key.replace(/\|/g, '-')}-${start.toMillis()}@mhtimerbot`,
+            start,
+            end: duration ? start.plus(duration) : null,
+            summary,
+            description: duration ? `${summary}\nLasts ${formatDuration(duration)}` : summary,
+        };
+    });
+}
+
+/**
+ * Send a calendar file of the upcoming timers, optionally filtered to an area or sub-area.
+ *
+ * @param {Message} message the message that triggered the command
+ * @param {string[]} tokens tokenized arguments to the command
+ * @returns {Promise<CommandResult>}
+ */
+async function doICS(message, tokens) {
+    const theResult = new CommandResult({ message, success: false, sentDM: false });
+    const timerRequest = tokens.length ? timerAliases(message.client.timers_list, tokens) : {};
+    const days = Math.min(timerRequest.count > 0 ? timerRequest.count : default_days, max_days);
+    const area = timerRequest.area;
+    const subArea = timerRequest.sub_area;
+
+    const until = DateTime.utc().plus({ days });
+    const timers = message.client.timers_list
+        .filter(t => !t.isSilent() && (!area || t.getArea() === area) && (!subArea || t.getSubArea() === subArea));
+    const events = [].concat(...timers.map(timer => getTimerEvents(timer, until, message.client.timers_list)))
+        .sort((a, b) => a.start - b.start);
+
+    const name = `MouseHunt Timers${area ? ` - ${area}${subArea ? ` ${subArea}` : ''}` : ''}`;
+    const reply = events.length
+        ? `Here are the ${events.length} timers coming up in the next ${days} days, as a calendar file.`
+        : `There are no timers coming up in the next ${days} days.`;
+    const options = events.length
+        ? { files: [{ attachment: Buffer.from(buildCalendar(events, name), 'utf8'), name: 'mhtimer.ics' }] }
+        : {};
+    try {
+        await message.channel.send(reply, options);
+        theResult.replied = true;
+        theResult.success = events.length > 0;
+        theResult.sentDM = ['dm', 'group'].includes(message.channel.type);
+    } catch (err) {
+        Logger.error('ICS: failed to send reply', err);
+        theResult.botError = true;
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'ics',
+    args: true,
+    usage: usage,
+    description: 'Export the upcoming timers as a calendar file',
+    canDM: true,
+    aliases: ['ical', 'calendar'],
+    execute: doICS,
+};
@@ -1,11 +1,16 @@
 const Logger = require('../modules/logger');
 const CommandResult = require('../interfaces/command-result');
 const { getKnownTimersDetails, timerAliases, nextTimer } = require('../modules/timer-helper');
+const { getGuildTemplate } = require('../modules/timer-templates');
+const { getUserTimezone } = require('../modules/user-preferences');
+const { isConditionRequest, parseConditions, nextOccurrence } = require('../modules/conditions');
 const usage = [
     '<area> or <sub-area> will provide a message about the next related occurrence.',
     'Areas are Seasonal Garden (sg), Forbidden Grove (fg), Toxic Spill (ts), Balack\'s Cove (cove), and the daily reset (reset).',
     'Sub areas are the seasons (winter, spring, summer, fall), open/close, spill ranks, and tide levels (low, mid, high)',
     'Example: "next sg fall" will tell how long until Autumn in Seasonal Garden',
+    'Combine several areas\' phases with "and" or "during" to find when they happen at once.',
+    'Example: "next cove low during fg open" will tell when the tide is low while the Forbidden Grove is open',
     'See Also: remind; for setting reminders. schedule; for seeing a bunch of timers at once.',
 ].join('\n\t');
 
@@ -20,11 +25,21 @@ async function doNEXT(message, tokens) {
     let reply = '';
 
     const aboutTimers = `I know these timers:\n${getKnownTimersDetails(message.client.timers_list)}`;
+    let botPrefix = message.client.settings.botPrefix;
+    const guildSettings = message.guild ? message.client.settings.guilds[message.guild.id] : null;
+    if (guildSettings && guildSettings.botPrefix)
+        botPrefix = guildSettings.botPrefix;
     // Parse the message to see if it matches any known timer areas, sub-areas, or has count information.
     const reminderRequest = tokens.length ? timerAliases(message.client.timers_list, tokens) : {};
     if (!tokens.length) {
         // TODO: pretty-print known timer info
         reply = aboutTimers;
+    } else if (isConditionRequest(tokens)) {
+        // Several areas' phases at once, e.g. "spill arch and sg winter".
+        const request = parseConditions(message.client.timers_list, tokens);
+        reply = typeof request === 'string'
+            ? request
+            : nextOccurrence(message.client.timers_list, request.conditions, botPrefix, getUserTimezone(message.author.id));
     } else if (!reminderRequest || !reminderRequest['area']) {
         // received "-mh next <words>", but the words didn't match any known timer information.
         // Currently, the only other information we handle is RONZA.
@@ -37,10 +52,8 @@ async function doNEXT(message, tokens) {
         }
     } else {
         // Display information about this known timer.
-        let botPrefix = message.client.settings.botPrefix;
-        if (message.guild && message.client.settings.guilds[message.guild.id].botPrefix)
-            botPrefix = message.client.settings.guilds[message.guild.id].botPrefix;
-        reply = nextTimer(message.client.timers_list, reminderRequest, botPrefix);
+        const template = getGuildTemplate(guildSettings, reminderRequest.area, 'demand');
+        reply = nextTimer(message.client.timers_list, reminderRequest, botPrefix, template, getUserTimezone(message.author.id));
     }
     if (reply) {
         try {
@@ -0,0 +1,41 @@
+const Logger = require('../modules/logger');
+const CommandResult = require('../interfaces/command-result');
+const { areaStatus } = require('../modules/timer-helper');
+const usage = [
+    'Shows the current phase of each area: the Seasonal Garden season, the Balack\'s Cove tide, the Toxic Spill level',
+    'and whether it is rising or falling, whether the Forbidden Grove is open, and when each will next change.',
+    'The reply is more detailed in DMs.',
+    'See Also: next; for when a specific timer occurs next. schedule; for seeing a bunch of timers at once.',
+].join('\n\t');
+
+/**
+ * Reply with the current state of every area.
+ *
+ * @param {Message} message The message that triggered the action
+ * @param {Array} tokens The tokens of the command
+ * @returns {Promise<CommandResult>} Status of the execution
+ */
+async function doNOW(message) {
+    const theResult = new CommandResult({ message, success: false, sentDM: false });
+    const detailed = ['dm', 'group'].includes(message.channel.type);
+    try {
+        await message.channel.send('', { embed: areaStatus(message.client.timers_list, detailed) });
+        theResult.replied = true;
+        theResult.success = true;
+        theResult.sentDM = detailed;
+    } catch (err) {
+        Logger.error('NOW: failed to send reply', err);
+        theResult.botError = true;
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'now',
+    args: false,
+    usage: usage,
+    description: 'Display the current state of each area',
+    canDM: true,
+    aliases: ['status'],
+    execute: doNOW,
+};
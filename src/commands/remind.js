@@ -1,16 +1,39 @@
 const Logger = require('../modules/logger');
 const CommandResult = require('../interfaces/command-result');
-const { listRemind, timerAliases, getKnownTimersDetails } = require('../modules/timer-helper');
+const { listRemind, timerAliases, getKnownTimersDetails, formatDuration } = require('../modules/timer-helper');
 const { oxfordStringifyValues } = require('../modules/format-utils');
+const { Duration } = require('luxon');
+const Reminder = require('../modules/reminders');
+const { findUserReminder, parsePersonalReminder } = Reminder;
+const { getUserTimezone, formatLocalTime } = require('../modules/user-preferences');
+const { parseDigestRequest, getNextDigestTime } = require('../modules/digest');
+const security = require('../modules/security');
+const { parseConditions, describeConditions, getNextOccurrence, describeOccurrence } = require('../modules/conditions');
 
 const usage = [
     'Provide no arguments for a list of your reminders. Use [<area>] [<sub-area>] [<number>] to set a reminder',
     '<area>            -> specify a particular area with a timer (sg)',
     '<sub-area>        -> specify the specific sub-area for the reminder (autumn)',
     '<number>          -> How many time it should remind you, default 1 (once, always, 5, etc)',
+    '<notice>          -> How far in advance to remind you (1h, 15m, 30 minutes before, etc). Lead times that aren\'t one of the',
+    '                     timer\'s notices are sent on their own schedule, and must be shorter than the time between activations',
+    'urgent            -> Send the reminder even during your quiet hours (see: iam quiet)',
     'Areas are Seasonal Garden (sg), Forbidden Grove (fg), Toxic Spill (ts), Balack\'s Cove (cove), and the daily reset (reset).',
     'Sub areas are the seasons (winter, spring, summer, fall), open/close, spill ranks, and tide levels (low, mid, high)',
     'Example: "-mh remind close always" will always PM you 15 minutes before the Forbidden Grove closes.',
+    'Example: "-mh remind close 1h always" will always PM you 1 hour before the Forbidden Grove closes.',
+    'Example: "-mh remind arch 30m before" will PM you 30 minutes before the Toxic Spill reaches Archduke.',
+    'Example: "-mh remind #3fa2c1 stop" will turn off the reminder with that ID (see your list of reminders).',
+    'Use "me in <time> <note>" or "me at <HH:mm> <note>" for a personal reminder that isn\'t tied to a timer. Times of day',
+    '                     are in your timezone (see: iam tz), and may start with a date (2020-07-14 18:00)',
+    'Example: "-mh remind me in 2h30m check my trap" will PM you "check my trap" in 2 hours and 30 minutes.',
+    'Use "when <area> <sub-area> and <area> <sub-area> [<number>]" to be reminded when several areas are in those phases at once',
+    'Example: "-mh remind when spill arch and sg winter always" will PM you whenever the spill is at Archduke in Winter.',
+    'Use "digest <HH:mm> <areas>" for a daily PM with the next 24 hours of timers in those areas ("digest stop" to end it)',
+    'Example: "-mh remind digest 08:00 fg spill cove" will PM you the day\'s Forbidden Grove, Toxic Spill and Cove timers at 8am.',
+    '(mods) Use "channel <#channel> <area> [<sub-area>] [<notice>] [<number>] [<@role>]" to post reminders in a channel instead,',
+    '                     optionally mentioning a role. "channel list" shows this server\'s channel reminders, and "channel stop <ID>" ends one',
+    'Example: "-mh remind channel #team close 15m always @fg-team" will post in #team, and ping @fg-team, 15 minutes before the gate closes.',
     'See Also: next; for when a timer occurs next. schedule; for seeing a bunch of timers at once.',
 ].join('\n\t');
 
@@ -28,7 +51,27 @@ async function doREMIND(message, tokens) {
     if (message.guild && message.client.settings.guilds[message.guild.id].botPrefix) {
         botPrefix = message.client.settings.guilds[message.guild.id].botPrefix;
     }
-    if (!tokens.length || !timerRequest.area) {
+    // Personal reminders come first, since their notes could contain anything.
+    const isPersonal = tokens.length > 1 && tokens[0].toLowerCase() === 'me' && ['in', 'at'].includes(tokens[1].toLowerCase());
+    // Conditional reminders start with "when", e.g. "remind me when spill arch and sg winter".
+    const whenIndex = tokens.findIndex(token => token.toLowerCase() === 'when');
+    const isConditional = !isPersonal && (whenIndex === 0 || (whenIndex === 1 && tokens[0].toLowerCase() === 'me'));
+    // Individual reminders can be addressed by their ID, e.g. "remind #3fa2c1 stop".
+    const idToken = !isPersonal && !isConditional && tokens.find(token => findUserReminder(message.client.reminders, message.author.id, token));
+    if (isPersonal)
+        reply = createPersonalReminder(message, tokens.slice(1));
+    else if (isConditional)
+        reply = createConditionalReminder(message, tokens.slice(whenIndex + 1));
+    else if (tokens.length && tokens[0].toLowerCase() === 'digest')
+        reply = setDigest(message, tokens.slice(1));
+    else if (tokens.length && tokens[0].toLowerCase() === 'channel')
+        reply = doChannelReminder(message, tokens.slice(1));
+    else if (idToken) {
+        const reminder = findUserReminder(message.client.reminders, message.author.id, idToken);
+        reply = updateReminder(reminder, timerAliases(message.client.timers_list, tokens.filter(token => token !== idToken)));
+        message.client.timerControl.scheduleReminder(reminder);
+    }
+    else if (!tokens.length || !timerRequest.area) {
         // This reminders array could be pre-filtered
         reply = listRemind(message.author.id, message.client.reminders, botPrefix);
     }
@@ -41,7 +84,9 @@ async function doREMIND(message, tokens) {
     
         // Default to reminding the user once.
         const count = timerRequest.count || (timerRequest.count === 0 ? 0 : 1);
-        const requestName = `${area}${subArea ? `: ${subArea}` : ''}`;
+        const notice = timerRequest.notice;
+        const requestName = `${area}${subArea ? `: ${subArea}` : ''}${notice !== null && notice !== undefined
+            ? ` (${formatDuration(Duration.fromMillis(notice))} notice)` : ''}`;
     
         // Delete the reminder, if that is being requested.
         // (Rather than try to modify the positions and number of elements in
@@ -49,7 +94,8 @@ async function doREMIND(message, tokens) {
         if (!count) {
             const responses = [];
             for (const reminder of message.client.reminders) {
-                if (reminder.user === message.author.id && reminder.area === area) {
+                if (reminder.user === message.author.id && reminder.area === area && !reminder.isChannel()
+                    && (notice === null || notice === undefined || isSameNotice(reminder, notice, message.client.timers_list))) {
                     if (subArea && subArea === reminder.sub_area) {
                         reminder.count = 0;
                         responses.push(`Reminder for '${requestName}' turned off.`);
@@ -77,7 +123,7 @@ async function doREMIND(message, tokens) {
     
         // User asked to be reminded - find a timer that meets the request, and sort in order of next activation.
         const choices = message.client.timers_list
-            .filter(t => area === t.getArea() && (!subArea || subArea === t.getSubArea()))
+            .filter(t => area === t.getArea() && (!subArea || subArea === t.getSubArea()) && !t.isExpired())
             .sort((a, b) => a.getNext() - b.getNext());
         Logger.log(`Timers: found ${choices.length} matching input request:\n`, timerRequest);
     
@@ -85,7 +131,7 @@ async function doREMIND(message, tokens) {
         const [timer] = choices;
         if (!timer) {
             try {
-                await message.author.send(`I'm sorry, there weren't any timers I know of that match your request. I know\n${getKnownTimersDetails()}`);
+                await message.author.send(`I'm sorry, there weren't any timers I know of that match your request. I know\n${getKnownTimersDetails(message.client.timers_list)}`);
                 theResult.success = false;
                 theResult.sentDm = true;
             } catch (err) {
@@ -94,17 +140,36 @@ async function doREMIND(message, tokens) {
             }
             return theResult;
         }
-    
+
+        const resolved = resolveNotice(choices, notice);
+        if (typeof resolved === 'string') {
+            try {
+                await message.author.send(resolved);
+                theResult.sentDm = true;
+            } catch (err) {
+                Logger.error('REMIND: Failed to DM the user', err);
+                theResult.botError = true;
+            }
+            return theResult;
+        }
+        const { notice: requestedNotice, lead: requestedLead } = resolved;
+
         // If the reminder already exists, set its new count to the requested count.
         const responses = [];
         for (const reminder of message.client.reminders)
-            if (reminder.user === message.author.id && reminder.area === area)
+            if (reminder.user === message.author.id && reminder.area === area && reminder.notice === requestedNotice
+                && reminder.lead === requestedLead && !reminder.isChannel())
                 if ((subArea && reminder.sub_area === subArea)
                     || (!subArea && !reminder.sub_area))
                 {
                     responses.push(`Updated reminder count for '${requestName}' from '${reminder.count === -1
                         ? 'always' : reminder.count}' to '${count === -1 ? 'always' : count}'.`);
                     reminder.count = count;
+                    if (timerRequest.urgent)
+                        reminder.urgent = true;
+                    else
+                        delete reminder.urgent;
+                    message.client.timerControl.scheduleReminder(reminder);
                 }
     
         if (responses.length) {
@@ -121,17 +186,24 @@ async function doREMIND(message, tokens) {
         }
     
         // No updates were made - free to add a new reminder.
-        const newReminder = {
+        const newReminder = new Reminder({
             'count': count,
             'area': area,
             'user': message.author.id,
-        };
+        });
         // If the matched timer has a sub-area, we need to care about the sub-area specified
         // in the request. It will either be the same as that of this timer, or it will be
         // null / undefined (i.e. a request for reminders from all timers in the area).
         if (timer.getSubArea())
             newReminder.sub_area = subArea;
+        if (requestedNotice !== undefined)
+            newReminder.notice = requestedNotice;
+        if (requestedLead !== undefined)
+            newReminder.lead = requestedLead;
+        if (timerRequest.urgent)
+            newReminder.urgent = true;
         message.client.reminders.push(newReminder);
+        message.client.timerControl.scheduleReminder(newReminder);
     
         // If the user entered a generic reminder, they may not expect the specific name. Generic reminder
         // requests will have matched more than one timer, so we can reference 'choices' to determine the
@@ -142,6 +214,7 @@ async function doREMIND(message, tokens) {
             ? `You'll get reminders for ${oxfordStringifyValues(subAreas)}. I'll PM you about them`
             : 'I\'ll PM you about it'}`);
         responses.push((count === 1) ? 'once.' : (count < 0) ? 'until you stop it.' : `${count} times.`);
+        responses.push(`Its ID is #${newReminder.id}.`);
     
         // Inform a new user of the reminder functionality (i.e. PM only).
         if (message.channel.type !== 'dm' && !message.client.reminders.some(r => r.user === message.author.id))
@@ -173,6 +246,260 @@ async function doREMIND(message, tokens) {
     return theResult;
 }
 
+/**
+ * Create a one-off personal reminder, which isn't tied to any timer.
+ *
+ * @param {Message} message The message that requested the reminder
+ * @param {string[]} tokens The request, e.g. ["in", "2h", "check", "my", "trap"]
+ * @returns {string} A reply for the user.
+ */
+function createPersonalReminder(message, tokens) {
+    const zone = getUserTimezone(message.author.id);
+    const request = parsePersonalReminder(tokens, zone);
+    if (typeof request === 'string')
+        return request;
+
+    const reminder = new Reminder({ user: message.author.id, count: 1, at: request.at.toISO(), text: request.text });
+    message.client.reminders.push(reminder);
+    message.client.timerControl.scheduleReminder(reminder);
+    Logger.log(`Reminders: ${message.author.username} set a personal reminder for ${reminder.at.toISO()}.`);
+    return `I'll remind you ${reminder.getName()} ${reminder.at.toRelative()}${zone
+        ? ` (${formatLocalTime(reminder.at, zone)})` : ''}. Its ID is #${reminder.id}.`;
+}
+
+/**
+ * Create a reminder for when several areas are in the given phases at once, or change the count of the user's
+ * existing reminder for those phases.
+ *
+ * @param {Message} message The message that requested the reminder
+ * @param {string[]} tokens The request, e.g. ["spill", "arch", "and", "sg", "winter", "always"]
+ * @returns {string} A reply for the user.
+ */
+function createConditionalReminder(message, tokens) {
+    const request = parseConditions(message.client.timers_list, tokens);
+    if (typeof request === 'string')
+        return request;
+    const { conditions } = request;
+    const count = request.count === null ? 1 : request.count;
+    const key = reminder => reminder.conditions.map(({ area, sub_area }) => `${area}:${sub_area}`).sort().join();
+    const requested = key({ conditions });
+    const existing = message.client.reminders.find(r => r.user === message.author.id && r.isConditional() && !r.isExpired()
+        && key(r) === requested);
+    if (existing) {
+        existing.count = count;
+        message.client.timerControl.scheduleReminder(existing);
+        return count
+            ? `Reminder #${existing.id} (${existing.getName()}) will remind you ${count === -1 ? 'until you stop it' : `${count} more times`}.`
+            : `Reminder #${existing.id} (${existing.getName()}) turned off.`;
+    }
+    if (!count)
+        return 'You don\'t have a reminder for those phases.';
+
+    const reminder = new Reminder({ user: message.author.id, count, conditions });
+    message.client.reminders.push(reminder);
+    message.client.timerControl.scheduleReminder(reminder);
+    Logger.log(`Reminders: ${message.author.username} set a conditional reminder for ${reminder.getName()}.`);
+    const zone = getUserTimezone(message.author.id);
+    const next = getNextOccurrence(message.client.timers_list, conditions);
+    return `I'll remind you when **${describeConditions(conditions)}**, ${count === -1 ? 'until you stop it' : `${count} times`}.`
+        + ` Its ID is #${reminder.id}. ${next
+            ? `The next time: ${describeOccurrence(next, zone)}.`
+            : 'That won\'t happen in the next few weeks, but I\'ll keep watching.'}`;
+}
+
+/**
+ * Find the notice or custom lead time of a reminder for the given timers. Reminders for one of the timer's notices are
+ * sent with its announcements. Other lead times are a custom lead time, which is sent on its own schedule, and must be
+ * shorter than the time between the timers' activations.
+ *
+ * @param {Timer[]} choices The timers that match the request, soonest first.
+ * @param {number | null} notice The requested notice or lead time, in milliseconds, if any.
+ * @returns {{ notice?: number, lead?: number } | string} What to store on the reminder, or an error for the user.
+ */
+function resolveNotice(choices, notice) {
+    const [timer] = choices;
+    const timerNotice = timer.getNotice(notice === null ? undefined : notice);
+    const maxLead = Math.min(...choices.map(t => t.getRepeatInterval().as('milliseconds')));
+    if (!timerNotice && !(notice > 0 && notice < maxLead)) {
+        const offsets = timer.getNotices().map(n => `**${formatDuration(n.offset)}**`);
+        return `The **${timer.name}** timer doesn't have that notice. You can choose ${oxfordStringifyValues(offsets, 'or')},`
+            + ` or a lead time shorter than ${formatDuration(Duration.fromMillis(maxLead))}.`;
+    }
+    // Reminders for the default notice do not store it, so that they follow changes to the timer's default.
+    return {
+        notice: timerNotice && !timerNotice.isDefault ? timerNotice.offset.as('milliseconds') : undefined,
+        lead: timerNotice ? undefined : notice,
+    };
+}
+
+/**
+ * Create, list, or stop the reminders that post in a server's channels, rather than in a user's DMs.
+ *
+ * @param {Message} message The message that requested the change
+ * @param {string[]} tokens The request, e.g. ["<#123>", "close", "15m", "always", "<@&456>"], ["list"], or ["stop", "#3fa2c1"]
+ * @returns {string} A reply for the user.
+ */
+function doChannelReminder(message, tokens) {
+    if (!message.guild)
+        return 'Channel reminders are set up from a server channel.';
+    if (!security.checkPerms(message.member, 'mod'))
+        return 'Only mods can manage channel reminders.';
+    const guildReminders = message.client.reminders.filter(r => r.guild === message.guild.id && !r.isExpired());
+    const action = (tokens[0] || '').toLowerCase();
+
+    if (!tokens.length || action === 'list') {
+        if (!guildReminders.length)
+            return 'This server has no channel reminders.';
+        return ['This server\'s channel reminders:', ...guildReminders.map(r => `#${r.id}: **${r.getName()}**${r.role
+            ? ` pinging <@&${r.role}>` : ''}, ${r.count === -1 ? 'until stopped' : `${r.count} more times`}.`)].join('\n');
+    }
+    if (action === 'stop') {
+        const id = String(tokens[1] || '').replace(/^#/, '').toLowerCase();
+        const reminder = guildReminders.find(r => r.id === id);
+        if (!reminder)
+            return `This server has no channel reminder #${id}. Use "channel list" to see them.`;
+        reminder.count = 0;
+        message.client.timerControl.scheduleReminder(reminder);
+        return `Channel reminder #${reminder.id} (${reminder.getName()}) turned off.`;
+    }
+
+    const channelMatch = /^<#(\d+)>$/.exec(tokens[0]);
+    const channel = channelMatch && message.guild.channels.cache.get(channelMatch[1]);
+    if (!channel || channel.type !== 'text')
+        return 'Which channel? Start with a channel mention, e.g. "channel #team close 15m always".';
+    const roleToken = tokens.find(token => /^<@&\d+>$/.test(token));
+    const role = roleToken ? roleToken.slice(3, -1) : undefined;
+    const request = timerAliases(message.client.timers_list, tokens.slice(1).filter(token => token !== roleToken));
+    const choices = message.client.timers_list
+        .filter(t => request.area === t.getArea() && (!request.sub_area || request.sub_area === t.getSubArea()) && !t.isExpired())
+        .sort((a, b) => a.getNext() - b.getNext());
+    if (!request.area || !choices.length)
+        return `I'm sorry, there weren't any timers I know of that match your request. I know\n${getKnownTimersDetails(message.client.timers_list)}`;
+    const count = request.count === null ? 1 : request.count;
+    if (!count) {
+        const stopped = guildReminders.filter(r => r.channel === channel.id && r.area === request.area
+            && (request.sub_area ? r.sub_area === request.sub_area : !r.sub_area)
+            && (request.notice === null || request.notice === undefined || isSameNotice(r, request.notice, message.client.timers_list)));
+        stopped.forEach(reminder => {
+            reminder.count = 0;
+            message.client.timerControl.scheduleReminder(reminder);
+        });
+        return stopped.length
+            ? `Turned off ${stopped.map(r => `#${r.id} (${r.getName()})`).join(', ')}.`
+            : `<#${channel.id}> has no matching channel reminder. Use "channel list" to see them.`;
+    }
+    const resolved = resolveNotice(choices, request.notice);
+    if (typeof resolved === 'string')
+        return resolved;
+
+    const reminder = new Reminder({
+        user: message.author.id,
+        area: request.area,
+        sub_area: choices[0].getSubArea() ? request.sub_area : undefined,
+        count,
+        notice: resolved.notice,
+        lead: resolved.lead,
+        channel: channel.id,
+        guild: message.guild.id,
+        role,
+    });
+    message.client.reminders.push(reminder);
+    message.client.timerControl.scheduleReminder(reminder);
+    Logger.log(`Reminders: ${message.author.username} set channel reminder #${reminder.id} in ${channel.name} of ${message.guild.name}.`);
+    return `Channel reminder #${reminder.id} set: **${reminder.getName()}**${role ? `, pinging <@&${role}>` : ''}, `
+        + `${reminder.count === -1 ? 'until stopped' : `${reminder.count} times`}.`;
+}
+
+/**
+ * Create, change, or stop the user's daily digest.
+ *
+ * @param {Message} message The message that requested the digest
+ * @param {string[]} tokens The request, e.g. ["08:00", "fg", "spill"], or ["stop"]
+ * @returns {string} A reply for the user.
+ */
+function setDigest(message, tokens) {
+    const digest = message.client.reminders.find(r => r.user === message.author.id && r.isDigest() && !r.isExpired());
+    const zone = getUserTimezone(message.author.id);
+    if (!tokens.length)
+        return digest
+            ? `You get a ${digest.getName()}. Its ID is #${digest.id}.`
+            : 'You don\'t have a daily digest. Set one with e.g. "remind digest 08:00 fg spill".';
+    if (['stop', 'off'].includes(tokens[0].toLowerCase())) {
+        if (!digest)
+            return 'You don\'t have a daily digest.';
+        digest.count = 0;
+        message.client.timerControl.scheduleReminder(digest);
+        return 'Your daily digest is turned off.';
+    }
+
+    const request = parseDigestRequest(message.client.timers_list, tokens);
+    if (typeof request === 'string')
+        return request;
+    // Each user has one digest, which is replaced by new requests.
+    if (digest)
+        digest.digest = request;
+    const reminder = digest || new Reminder({ user: message.author.id, count: -1, digest: request });
+    if (!digest)
+        message.client.reminders.push(reminder);
+    message.client.timerControl.scheduleReminder(reminder);
+    const next = getNextDigestTime(request.time, zone);
+    return `You'll get a ${reminder.getName()}, starting ${next.toRelative()}${zone
+        ? ` (${formatLocalTime(next, zone)})` : ' (UTC, see: iam tz)'}. Its ID is #${reminder.id}.`;
+}
+
+/**
+ * Change the count or urgency of the reminder that the user addressed by its ID.
+ *
+ * @param {Reminder} reminder The reminder to change.
+ * @param {ReminderRequest} request The changes the user asked for, e.g. a count of 0 to turn the reminder off.
+ * @returns {string} A reply for the user.
+ */
+function updateReminder(reminder, request) {
+    const name = `#${reminder.id} (${reminder.getName()})`;
+    if (request.count === 0) {
+        reminder.count = 0;
+        return `Reminder ${name} turned off.`;
+    }
+    // Personal reminders are sent once, so they can only be turned off. Daily digests are changed with "remind digest".
+    if (reminder.isPersonal())
+        return `Reminder ${name} is due ${reminder.at.toRelative()}. Add "stop" to turn it off.`;
+    if (reminder.isDigest())
+        return `Reminder ${name} is sent every day. Add "stop" to turn it off.`;
+    if (request.count === null && !request.urgent)
+        return `Reminder ${name} has ${reminder.count === -1 ? 'no limit' : `${reminder.count} reminders left`}${reminder.urgent
+            ? ' and is urgent' : ''}. It was created ${reminder.created.toRelative()}${reminder.lastSent
+            ? ` and last sent ${reminder.lastSent.toRelative()}` : ''}.`;
+
+    const changes = [];
+    if (request.count !== null) {
+        reminder.count = request.count;
+        changes.push(`will remind you ${request.count === -1 ? 'until you stop it' : `${request.count} more times`}`);
+    }
+    if (request.urgent && !reminder.urgent) {
+        reminder.urgent = true;
+        changes.push('is now urgent');
+    }
+    return `Reminder ${name} ${changes.join(' and ') || 'is unchanged'}.`;
+}
+
+/**
+ * Whether the reminder is for the notice with the given offset. Reminders without a notice are for the
+ * default notice of their area's timers, and reminders with a custom lead time are for that lead time.
+ *
+ * @param {Reminder} reminder The reminder to check.
+ * @param {number} offset The offset of the requested notice, in milliseconds.
+ * @param {Timer[]} timers_list The known timers.
+ * @returns {boolean}
+ */
+function isSameNotice(reminder, offset, timers_list) {
+    if (typeof reminder.lead === 'number')
+        return reminder.lead === offset;
+    if (typeof reminder.notice === 'number')
+        return reminder.notice === offset;
+    return timers_list.some(t => t.getArea() === reminder.area && (!reminder.sub_area || t.getSubArea() === reminder.sub_area)
+        && t.getAdvanceNotice().as('milliseconds') === offset);
+}
+
 module.exports = {
     name: 'remind',
     args: true,
@@ -3,6 +3,9 @@ const CommandResult = require('../interfaces/command-result');
 const { timerAliases } = require('../modules/timer-helper');
 const { DateTime, Duration } = require('luxon');
 const { timeLeft } = require('../modules/format-utils');
+const { getGuildTemplate } = require('../modules/timer-templates');
+const { getUserTimezone, formatLocalTime } = require('../modules/user-preferences');
+const { isConditionRequest, parseConditions, describeConditions, findOccurrences, describeOccurrence } = require('../modules/conditions');
 
 const usage = [
     'Displays upcoming reminders know or filtered to an area or sub-area.',
@@ -12,6 +15,9 @@ const usage = [
     'Areas are Seasonal Garden (sg), Forbidden Grove (fg), Toxic Spill (ts), Balack\'s Cove (cove), and the daily reset (reset).',
     'Sub areas are the seasons (winter, spring, summer, fall), open/close, spill ranks, and tide levels (low, mid, high)',
     'Example: "-mh sched 24" will show you the timers for the next 24 hours.',
+    'Combine several areas\' phases with "and" or "during" to see when they happen at once.',
+    'Example: "-mh sched spill arch and sg winter 240" will show when the spill is at Archduke in Winter, for the next 10 days.',
+    'Set your timezone with "-mh iam tz <timezone>" to also see the local time of each timer.',
     'See Also: next; for when a timer occurs next. remind; for setting a reminder for a specific timer.',
 ].join('\n\t');
 
@@ -19,7 +25,22 @@ const usage = [
 async function doSCHED(message, tokens) {
     const theResult = new CommandResult({ message, success: false, sentDM: false });
     let reply = '';
-    const timerRequest = tokens.length ? timerAliases(message.client.timers_list, tokens) : {};
+    // Several areas' phases at once, e.g. "spill arch and sg winter", are scheduled by when they all hold.
+    const conditionRequest = isConditionRequest(tokens) ? parseConditions(message.client.timers_list, tokens) : null;
+    if (typeof conditionRequest === 'string') {
+        try {
+            await message.channel.send(conditionRequest);
+            theResult.replied = true;
+            theResult.sentDM = ['dm', 'group'].includes(message.channel.type);
+        } catch (err) {
+            Logger.error('SCHED: failed to send reply', err);
+            theResult.botError = true;
+        }
+        return theResult;
+    }
+    const timerRequest = conditionRequest
+        ? { count: conditionRequest.count }
+        : tokens.length ? timerAliases(message.client.timers_list, tokens) : {};
     // Default the searched time period to 24 hours if it was not specified.
     timerRequest.count = timerRequest.count || 24;
 
@@ -46,30 +67,53 @@ async function doSCHED(message, tokens) {
 
     // Get the next occurrence for every timer. Compare its interval to determine how many of them to include
     const until = DateTime.utc().plus(req_hours);
-    /** @type {{time: DateTime, message: string}[]} */
-    const upcoming_timers = [];
-    const max_timers = 24;
-    (!area ? message.client.timers_list : message.client.timers_list.filter(t => t.getArea() === area && !t.isSilent()))
-        .forEach(timer => {
-            const message = timer.getDemand();
-            for (const time of timer.upcoming(until))
-                upcoming_timers.push({ time: time, message: message });
-        });
+    if (conditionRequest) {
+        const { conditions } = conditionRequest;
+        const zone = getUserTimezone(message.author.id);
+        const occurrences = findOccurrences(message.client.timers_list, conditions);
+        const upcoming = occurrences.filter(occurrence => occurrence.start < until);
+        reply = upcoming.length
+            ? [`**${describeConditions(conditions)}** ${upcoming.length} times in the next ${req_hours.as('hours')} hours:`,
+                ...upcoming.map(occurrence => describeOccurrence(occurrence, zone))].join('\n')
+            : `**${describeConditions(conditions)}** won't happen in the next ${req_hours.as('hours')} hours.`
+                + (occurrences.length ? ` The next time: ${describeOccurrence(occurrences[0], zone)}.` : '');
+    }
+    else {
+        /** @type {{time: DateTime, message: string}[]} */
+        const upcoming_timers = [];
+        const max_timers = 24;
+        const timers = message.client.timers_list;
+        const guildSettings = message.guild ? message.client.settings.guilds[message.guild.id] : null;
+        (!area ? timers : timers.filter(t => t.getArea() === area && !t.isSilent()))
+            .forEach(timer => {
+                const template = getGuildTemplate(guildSettings, timer.getArea(), 'demand');
+                for (const time of timer.upcoming(until))
+                    upcoming_timers.push({ time: time, message: timer.getDemand({ at: time, timers, template }) });
+            });
 
-    // Sort the list of upcoming timers in this area by time, so that the soonest is printed first.
-    upcoming_timers.sort((a, b) => a.time - b.time);
+        // Sort the list of upcoming timers in this area by time, so that the soonest is printed first.
+        upcoming_timers.sort((a, b) => a.time - b.time);
 
-    // Make a nice message to display.
-    reply = `I have ${upcoming_timers.length} timers coming up in the next ${req_hours.as('hours')} hours`;
-    if (upcoming_timers.length > max_timers) {
-        reply += `. Here are the next ${max_timers} of them`;
-        upcoming_timers.splice(max_timers, upcoming_timers.length);
-    }
-    reply += upcoming_timers.length ? ':\n' : '.';
+        // Make a nice message to display.
+        reply = `I have ${upcoming_timers.length} timers coming up in the next ${req_hours.as('hours')} hours`;
+        if (upcoming_timers.length > max_timers) {
+            reply += `. Here are the next ${max_timers} of them`;
+            upcoming_timers.splice(max_timers, upcoming_timers.length);
+        }
+        reply += upcoming_timers.length ? ':\n' : '.';
 
-    reply = upcoming_timers.reduce((str, val) => {
-        return `${str}${val.message} ${timeLeft(val.time)}\n`;
-    }, reply);
+        // With a timezone, show the local time of each timer, and where each local day begins.
+        const zone = getUserTimezone(message.author.id);
+        let day = '';
+        reply = upcoming_timers.reduce((str, val) => {
+            if (!zone)
+                return `${str}${val.message} ${timeLeft(val.time)}\n`;
+            const localDay = val.time.setZone(zone).toFormat('cccc, LLLL d');
+            const header = localDay !== day ? `__${localDay}__\n` : '';
+            day = localDay;
+            return `${str}${header}${val.message} ${timeLeft(val.time)} (${formatLocalTime(val.time, zone)})\n`;
+        }, reply);
+    }
 
     if (reply) {
         try {
@@ -0,0 +1,47 @@
+const CommandResult = require('../interfaces/command-result');
+const Logger = require('../modules/logger');
+const { changeTimerRole } = require('../modules/timer-roles');
+const usage = [
+    '<area> [<sub-area>] - get the server role that is mentioned when those timers are announced',
+    'Example: "-mh subscribe spill arch" to get pinged whenever the Toxic Spill reaches Archduke.',
+    'See Also: unsubscribe; to stop being pinged. remind; for reminders by PM instead.',
+].join('\n\t');
+
+/**
+ * Give the member the role that is mentioned in announcements of the given area or sub-area.
+ *
+ * @param {Message} message The message that triggered the command
+ * @param {string[]} tokens The arguments to the command
+ * @returns {Promise<CommandResult>}
+ */
+async function doSUBSCRIBE(message, tokens) {
+    const theResult = new CommandResult({ message, success: false });
+    let reply = '';
+    try {
+        reply = await changeTimerRole(message.member, message.client.settings.guilds[message.guild.id],
+            message.client.timers_list, tokens, true);
+        theResult.success = true;
+    } catch (err) {
+        Logger.error('SUBSCRIBE: failed to add the role', err);
+        reply = 'I wasn\'t able to give you that role.';
+        theResult.botError = true;
+    }
+    try {
+        await message.channel.send(reply);
+        theResult.replied = true;
+    } catch (err) {
+        Logger.error('SUBSCRIBE: failed to send reply', err);
+        theResult.botError = true;
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'subscribe',
+    requiresArgs: true,
+    usage: usage,
+    description: 'Get pinged when timers are announced in this server',
+    canDM: false,
+    aliases: ['sub'],
+    execute: doSUBSCRIBE,
+};
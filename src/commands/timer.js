@@ -0,0 +1,278 @@
+// Type-hinting imports
+// eslint-disable-next-line no-unused-vars
+const { Message } = require('discord.js');
+const { DateTime } = require('luxon');
+
+const CommandResult = require('../interfaces/command-result');
+const Logger = require('../modules/logger');
+const Timer = require('../modules/timers');
+const { timerAliases, parseDuration, formatDuration } = require('../modules/timer-helper');
+const { timeLeft } = require('../modules/format-utils');
+const { validateTimerData, describeTimerErrors } = require('../modules/timer-validation');
+
+const usage = [
+    'list [<area>] - list the known timers and their ids',
+    'show <id> - show the full definition of a timer',
+    'add <area> [<sub-area>] seed <time> repeat <duration> [<setting> <value> ...] - create a new timer [owner only]',
+    'edit <id> <setting> <value> [<setting> <value> ...] - change an existing timer [owner only]',
+    'remove <id> - delete a timer [owner only]',
+    'reload - replace all timers with the content of the timers file [owner only]',
+    'validate - check the timers file for problems [owner only]',
+    'Settings are area, sub, seed (an ISO time), repeat, offset, duration (e.g. 20h, 1d2h30m), announce, demand (quoted text), silent (yes/no),',
+    'and for limited-time events, from and until (ISO times), or once (yes/no) to activate only at the seed time.',
+    'Example: timer add fg close seed 2017-07-24T12:00:00Z repeat 20h offset 15m announce "The gate closes in 15 minutes"',
+].join('\n\t');
+
+/** @type {Object <string, string>} The user-facing name of each setting, and the TimerSeed property it sets */
+const settingKeys = {
+    area: 'area',
+    sub: 'sub_area',
+    seed: 'seed_time',
+    from: 'active_from',
+    until: 'active_until',
+    once: 'once',
+    repeat: 'repeat_time',
+    offset: 'announce_offset',
+    duration: 'duration',
+    announce: 'announce_string',
+    demand: 'demand_string',
+    silent: 'silent',
+};
+const durationKeys = ['repeat_time', 'announce_offset', 'duration'];
+/** The actions that change the timers, which are shared by every server, and so are left to the bot owner. */
+const ownerActions = ['add', 'edit', 'remove', 'reload', 'validate'];
+
+/**
+ * Convert "<setting> <value>" token pairs into (partial) TimerSeed properties.
+ *
+ * @param {string[]} tokens The setting names and values.
+ * @returns {{ seed: TimerSeed, errors: string[] }} The parsed properties, and any problems with the input.
+ */
+function parseSettings(tokens) {
+    const seed = {};
+    const errors = [];
+    for (let i = 0; i < tokens.length; i += 2) {
+        const setting = tokens[i].toLowerCase();
+        const key = settingKeys[setting];
+        const value = tokens[i + 1];
+        if (!key) {
+            errors.push(`I don't know the setting "${setting}".`);
+            continue;
+        }
+        if (value === undefined) {
+            errors.push(`The setting "${setting}" needs a value.`);
+            continue;
+        }
+
+        if (durationKeys.includes(key)) {
+            const duration = parseDuration(value);
+            if (duration)
+                seed[key] = duration.as('milliseconds');
+            else
+                errors.push(`"${value}" isn't a duration I understand for ${setting}. Try something like 20h or 1d2h30m.`);
+        } else if (['seed_time', 'active_from', 'active_until'].includes(key)) {
+            const time = DateTime.fromISO(value, { zone: 'utc' });
+            if (time.isValid)
+                seed[key] = time.toISO();
+            else
+                errors.push(`"${value}" isn't an ISO time, e.g. 2017-07-24T12:00:00Z.`);
+        } else if (key === 'silent' || key === 'once') {
+            seed[key] = ['yes', 'true', 'on', '1'].includes(value.toLowerCase());
+        } else {
+            seed[key] = key === 'area' || key === 'sub_area' ? value.toLowerCase() : value;
+        }
+    }
+    return { seed, errors };
+}
+
+/**
+ * Describe the given timer in full.
+ *
+ * @param {Timer} timer The timer to describe.
+ * @returns {string} A multi-line description of the timer.
+ */
+function describeTimer(timer) {
+    const duration = timer.getDuration();
+    const { from, until } = timer.getActiveWindow();
+    const next = timer.getNext();
+    return [
+        `**${timer.name}** (id \`${timer.id}\`)${timer.isSilent() ? ' (silent)' : ''}`,
+        timer.isOneShot()
+            ? `Seed: ${timer.getSeed().seed_time}, does not repeat`
+            : `Seed: ${timer.getSeed().seed_time}, repeats every ${formatDuration(timer.getRepeatInterval())}`,
+        ...(!timer.isOneShot() && (from || until)
+            ? [`Active from ${from ? from.toUTC().toISO() : 'the start'} until ${until ? until.toUTC().toISO() : 'forever'}`]
+            : []),
+        `Advance notice: ${formatDuration(timer.getAdvanceNotice())}, phase duration: ${duration ? formatDuration(duration) : 'unknown'}`,
+        `Next activation: ${next ? `${next.toUTC().toISO()} (${timeLeft(next)})` : 'never, the event has ended'}`,
+        `Announce: ${timer.getAnnouncement()}`,
+        `Demand: ${timer.getDemand()}`,
+    ].join('\n');
+}
+
+/**
+ * Locate the given timer's seed in the timers file data. Timers that were created by a cycle are not
+ * individually present in the file.
+ *
+ * @param {(TimerSeed|CycleSeed)[]} timerData The content of the timers file.
+ * @param {Timer} timer The timer to find.
+ * @returns {number} The index of the timer's seed, or -1 if not found.
+ */
+function findSeedIndex(timerData, timer) {
+    const text = JSON.stringify(timer.getSeed());
+    return timerData.findIndex(entry => JSON.stringify(entry) === text);
+}
+
+/**
+ * Check the changed timers file for problems that the change introduced, e.g. a duplicate of an existing timer.
+ * Problems that were already in the file are left to the validate action.
+ *
+ * @param {(TimerSeed|CycleSeed)[]} before The content of the timers file before the change.
+ * @param {(TimerSeed|CycleSeed)[]} after The content of the timers file after the change.
+ * @returns {string} A description of the new problems, or '' if there are none.
+ */
+function describeNewProblems(before, after) {
+    const known = new Set(validateTimerData(before).map(({ location, message }) => `${location}: ${message}`));
+    return describeTimerErrors(validateTimerData(after).filter(({ location, message }) => !known.has(`${location}: ${message}`)));
+}
+
+/**
+ * Create, change, or remove timers without restarting the bot.
+ *
+ * @param {Message} message the message that triggered the command
+ * @param {string[]} tokens tokenized arguments to the command
+ * @returns {Promise<CommandResult>}
+ */
+async function doTIMER(message, tokens) {
+    const theResult = new CommandResult({ message, success: false });
+    const timers = message.client.timers_list;
+    const control = message.client.timerControl;
+    const action = tokens.length ? tokens.shift().toLowerCase() : 'list';
+    let reply = '';
+    let success = false;
+    try {
+        if (ownerActions.includes(action) && message.author.id !== message.client.settings.owner) {
+            reply = `Only the bot owner can ${action} ${action === 'reload' || action === 'validate' ? 'the timers file' : 'timers'}, `
+                + 'since they are shared by every server.';
+        }
+        else if (action === 'list') {
+            const area = tokens.length ? timerAliases(timers, tokens).area : null;
+            const listed = timers.filter(t => !area || t.getArea() === area);
+            reply = listed.length
+                ? listed.map(t => `\`${t.id}\` **${t.name}**${t.isSilent() ? ' (silent)' : ''} ${t.isExpired() ? 'has ended' : `next activates ${timeLeft(t.getNext())}`}`).join('\n')
+                : 'I don\'t know any timers like that.';
+            success = listed.length > 0;
+        }
+        else if (action === 'show') {
+            const timer = timers.find(t => t.id === tokens[0]);
+            reply = timer ? describeTimer(timer) : `I don't know a timer with id "${tokens[0]}". Use \`timer list\` to see them.`;
+            success = !!timer;
+        }
+        else if (action === 'add') {
+            const newSeed = {};
+            if (tokens.length && !settingKeys[tokens[0].toLowerCase()])
+                newSeed.area = tokens.shift().toLowerCase();
+            if (tokens.length && !settingKeys[tokens[0].toLowerCase()])
+                newSeed.sub_area = tokens.shift().toLowerCase();
+            const { seed, errors } = parseSettings(tokens);
+            Object.assign(newSeed, seed);
+            if (errors.length)
+                reply = errors.join('\n');
+            else {
+                const timer = new Timer(newSeed);
+                const timerData = await control.load();
+                const problems = describeNewProblems(timerData, timerData.concat([newSeed]));
+                timerData.push(newSeed);
+                if (problems)
+                    reply = `I didn't add that timer, because:\n${problems}`;
+                else if (await control.save(timerData)) {
+                    timers.push(timer);
+                    control.schedule(timer);
+                    reply = `Added timer \`${timer.id}\`:\n${describeTimer(timer)}`;
+                    success = true;
+                } else
+                    reply = 'I couldn\'t save the timers file, so I didn\'t add that timer.';
+            }
+        }
+        else if (action === 'edit' || action === 'remove') {
+            const id = tokens.shift();
+            const timer = timers.find(t => t.id === id);
+            const timerData = timer ? await control.load() : [];
+            const index = timer ? findSeedIndex(timerData, timer) : -1;
+            const { seed, errors } = parseSettings(tokens);
+            if (!timer)
+                reply = 'I don\'t know a timer with that id. Use `timer list` to see them.';
+            else if (index === -1)
+                reply = `**${timer.name}** is part of a cycle, so I can't ${action} it by itself. Change the cycle in the timers file instead.`;
+            else if (errors.length)
+                reply = errors.join('\n');
+            else if (action === 'edit' && !Object.keys(seed).length)
+                reply = `What should I change about **${timer.name}**?`;
+            else {
+                const replacement = action === 'edit' ? new Timer(Object.assign(timer.getSeed(), seed)) : null;
+                const original = timerData.slice();
+                if (replacement)
+                    timerData.splice(index, 1, replacement.getSeed());
+                else
+                    timerData.splice(index, 1);
+                const problems = replacement ? describeNewProblems(original, timerData) : '';
+                if (problems)
+                    reply = `I didn't edit that timer, because:\n${problems}`;
+                else if (await control.save(timerData)) {
+                    control.unschedule(timer);
+                    if (replacement) {
+                        timers.splice(timers.indexOf(timer), 1, replacement);
+                        control.schedule(replacement);
+                        reply = `Updated timer \`${timer.id}\`, which is now \`${replacement.id}\`:\n${describeTimer(replacement)}`;
+                    } else {
+                        timers.splice(timers.indexOf(timer), 1);
+                        reply = `Removed timer \`${timer.id}\` (**${timer.name}**).`;
+                    }
+                    success = true;
+                } else
+                    reply = `I couldn't save the timers file, so I didn't ${action} that timer.`;
+            }
+        }
+        else if (action === 'reload') {
+            reply = await control.reload();
+            success = true;
+        }
+        else if (action === 'validate') {
+            const errors = validateTimerData(await control.load());
+            reply = errors.length
+                ? `The timers file has ${errors.length} problems:\n${describeTimerErrors(errors)}`
+                : 'The timers file has no problems.';
+            success = true;
+        }
+        else {
+            reply = `I don't know how to ${action} a timer. Try:\n\t${usage}`;
+        }
+    } catch (err) {
+        // Timer construction errors describe the problem with the requested seed.
+        Logger.error(`TIMER: error during ${action}:`, err);
+        reply = `I couldn't ${action} that timer: ${err.message}`;
+    }
+    if (reply) {
+        try {
+            await message.channel.send(reply, { split: true });
+            theResult.replied = true;
+            if (message.channel.type === 'dm') theResult.sentDm = true;
+            theResult.success = success;
+        } catch (err) {
+            Logger.error('TIMER: failed to send reply', err);
+            theResult.botError = true;
+        }
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'timer',
+    requiresArgs: false,
+    usage: usage,
+    description: 'Manage the timers without restarting the bot [changes are owner only]',
+    aliases: ['timers'],
+    canDM: true,
+    minPerm: 'admin',
+    execute: doTIMER,
+};
@@ -0,0 +1,47 @@
+const CommandResult = require('../interfaces/command-result');
+const Logger = require('../modules/logger');
+const { changeTimerRole } = require('../modules/timer-roles');
+const usage = [
+    '<area> [<sub-area>] - drop the server role that is mentioned when those timers are announced',
+    'Example: "-mh unsubscribe spill arch" to stop getting pinged whenever the Toxic Spill reaches Archduke.',
+    'See Also: subscribe; to get pinged again.',
+].join('\n\t');
+
+/**
+ * Take the role that is mentioned in announcements of the given area or sub-area from the member.
+ *
+ * @param {Message} message The message that triggered the command
+ * @param {string[]} tokens The arguments to the command
+ * @returns {Promise<CommandResult>}
+ */
+async function doUNSUBSCRIBE(message, tokens) {
+    const theResult = new CommandResult({ message, success: false });
+    let reply = '';
+    try {
+        reply = await changeTimerRole(message.member, message.client.settings.guilds[message.guild.id],
+            message.client.timers_list, tokens, false);
+        theResult.success = true;
+    } catch (err) {
+        Logger.error('UNSUBSCRIBE: failed to remove the role', err);
+        reply = 'I wasn\'t able to take that role from you.';
+        theResult.botError = true;
+    }
+    try {
+        await message.channel.send(reply);
+        theResult.replied = true;
+    } catch (err) {
+        Logger.error('UNSUBSCRIBE: failed to send reply', err);
+        theResult.botError = true;
+    }
+    return theResult;
+}
+
+module.exports = {
+    name: 'unsubscribe',
+    requiresArgs: true,
+    usage: usage,
+    description: 'Stop getting pinged when timers are announced in this server',
+    canDM: false,
+    aliases: ['unsub'],
+    execute: doUNSUBSCRIBE,
+};
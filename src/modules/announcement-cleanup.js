@@ -0,0 +1,111 @@
+// Removal of stale timer announcements, according to each guild's cleanup policy.
+const { DateTime } = require('luxon');
+const Logger = require('./logger');
+
+/** The Discord API error code for a message that no longer exists. */
+const unknown_message_code = 10008;
+
+/**
+ * @typedef {Object} CleanupPolicy A guild's policy for old announcements, stored in its settings as "announcementCleanup".
+ * @property {'keep' | 'phase' | 'strike'} mode "keep" deletes all but the latest announcements of each area, "phase"
+ *                                             deletes announcements once their phase ends, and "strike" edits
+ *                                             announcements to show they ended, once their phase ends or a newer
+ *                                             announcement for the area is sent.
+ * @property {number} [count] For the "keep" mode, how many announcements of each area are kept in each channel.
+ */
+
+/**
+ * @typedef {Object} AnnouncementRecord A timer announcement that was sent, stored in its timer's config.
+ * @property {string} channel The id of the channel the announcement was sent in.
+ * @property {string} message The id of the announcement message.
+ * @property {string} area The area of the announced timer.
+ * @property {string} sent When the announcement was sent, as an ISO timestamp.
+ * @property {string | null} ends When the announced phase ends, as an ISO timestamp, if known.
+ */
+
+const cleanup_modes = ['keep', 'phase', 'strike'];
+
+/**
+ * Group the records by channel and area, and sort each group newest first.
+ *
+ * @param {AnnouncementRecord[]} records The records to group.
+ * @returns {AnnouncementRecord[][]}
+ */
+function groupByChannelArea(records) {
+    const groups = new Map();
+    for (const record of records) {
+        const key = `${record.channel}|${record.area}`;
+        if (!groups.has(key))
+            groups.set(key, []);
+        groups.get(key).push(record);
+    }
+    return Array.from(groups.values(), group => group.sort((a, b) => b.sent.localeCompare(a.sent)));
+}
+
+/**
+ * Select the announcements that the policy no longer keeps.
+ *
+ * @param {AnnouncementRecord[]} records The announcements that were sent in a guild.
+ * @param {CleanupPolicy} policy The guild's cleanup policy.
+ * @param {DateTime} [now] The current time.
+ * @returns {AnnouncementRecord[]} The announcements that should be deleted (or, for the "strike" mode, edited).
+ */
+function findStaleAnnouncements(records, policy, now = DateTime.utc()) {
+    const hasEnded = record => !!record.ends && DateTime.fromISO(record.ends) <= now;
+    switch (policy && policy.mode) {
+        case 'keep':
+            return [].concat(...groupByChannelArea(records).map(group => group.slice(Math.max(policy.count, 0) || 0)));
+        case 'phase':
+            return records.filter(hasEnded);
+        case 'strike':
+            return [].concat(...groupByChannelArea(records).map(([latest, ...older]) => hasEnded(latest) ? [latest, ...older] : older));
+        default:
+            return [];
+    }
+}
+
+/**
+ * Delete the announcement, or for the "strike" mode, edit it to show that it has ended.
+ *
+ * @param {TextChannel} channel The channel with the announcement.
+ * @param {AnnouncementRecord} record The announcement.
+ * @param {CleanupPolicy} policy The guild's cleanup policy.
+ * @returns {Promise<void>}
+ */
+async function cleanUpAnnouncement(channel, record, policy) {
+    try {
+        const message = await channel.messages.fetch(record.message);
+        if (policy.mode === 'strike')
+            await message.edit(`~~${message.content}~~ (ended)`);
+        else
+            await message.delete();
+    } catch (err) {
+        // Announcements that were already deleted need no cleanup.
+        if (err.code !== unknown_message_code)
+            Logger.error(`Announcements: could not clean up message ${record.message} in ${channel.name}:\n`, err);
+    }
+}
+
+/**
+ * Describe the cleanup policy for users.
+ *
+ * @param {CleanupPolicy} [policy] The policy to describe.
+ * @returns {string}
+ */
+function describeCleanupPolicy(policy) {
+    switch (policy && policy.mode) {
+        case 'keep':
+            return `only the latest ${policy.count} announcements of each area are kept`;
+        case 'phase':
+            return 'announcements are deleted when their phase ends';
+        case 'strike':
+            return 'announcements are struck through when their phase ends or a newer one is sent';
+        default:
+            return 'announcements are kept forever';
+    }
+}
+
+module.exports.cleanup_modes = cleanup_modes;
+module.exports.findStaleAnnouncements = findStaleAnnouncements;
+module.exports.cleanUpAnnouncement = cleanUpAnnouncement;
+module.exports.describeCleanupPolicy = describeCleanupPolicy;
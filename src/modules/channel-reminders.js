@@ -0,0 +1,38 @@
+// Channel reminders: reminders that mods set up to be posted in a server channel, instead of sent via PM.
+const { deliveryQueue } = require('./delivery-queue');
+
+/**
+ * Post a channel reminder in its channel, mentioning its role (if any). Channel reminders are plain messages, like
+ * the timer's announcements, and have no reaction controls: mods change them with the remind channel command.
+ * A non-perpetual reminder's count is only used up once the post is delivered.
+ *
+ * @param {Client} client The bot client.
+ * @param {Reminder} reminder The channel reminder
+ * @param {Timer} timer The Timer that activated
+ * @param {DateTime} [missedAt] If the reminder is late because the bot was offline, when the timer activated.
+ * @param {Notice} [notice] The notice being sent (default: the notice the reminder asked for).
+ * @param {DateTime} [activation] The activation being reminded of.
+ * @returns {Promise<Message | null>} The posted message, or null if it could not be delivered.
+ */
+async function sendChannelReminder(client, reminder, timer, missedAt, notice = timer.getNotice(reminder.notice) || timer.getNotice(),
+    activation) {
+    if (reminder.isExpired())
+        return null;
+    const announcement = timer.getAnnouncement({ at: activation, timers: client.timers_list, template: notice.announcement });
+    const late = missedAt ? ` (I was offline when this timer activated ${missedAt.toRelative()}.)` : '';
+    const message = await deliveryQueue.deliver({
+        recipient: reminder.channel,
+        label: `channel reminder #${reminder.id}`,
+        reminders: [reminder],
+        send: () => client.channels.fetch(reminder.channel)
+            .then(channel => channel.send(`${reminder.role ? `<@&${reminder.role}> ` : ''}${announcement}${late}`)),
+    });
+    if (message) {
+        if (reminder.count > 0)
+            --reminder.count;
+        reminder.recordSent();
+    }
+    return message;
+}
+
+module.exports.sendChannelReminder = sendChannelReminder;
@@ -0,0 +1,193 @@
+// Compound conditions: several areas being in given phases at once, e.g. "spill arch and sg winter".
+const { MessageEmbed } = require('discord.js');
+const { DateTime, Duration } = require('luxon');
+const { timeLeft } = require('./format-utils');
+const { timerAliases, getAreaStates, getPhaseName } = require('./timer-helper');
+const { formatLocalTime } = require('./user-preferences');
+
+/** How far ahead to look for a combination of phases. */
+const occurrence_horizon = Duration.fromObject({ days: 60 });
+/** How often to look again for a combination of phases that is beyond the horizon, as the timers may have changed. */
+const occurrence_recheck = Duration.fromObject({ days: 1 });
+/** Words that join the conditions of a request, e.g. "cove low during fg open". */
+const condition_separators = ['and', '&', '+', 'during', 'while', 'with'];
+
+/**
+ * @typedef {Object} PhaseCondition That an area is in a given phase.
+ * @property {string} area The area, e.g. "spill".
+ * @property {string} sub_area The phase, e.g. "arch".
+ */
+
+/**
+ * @typedef {Object} Occurrence A time span during which every condition holds.
+ * @property {DateTime} start When the last of the conditions began to hold. May be in the past, if it holds now.
+ * @property {DateTime | null} end When the first of the conditions stops holding, or null if that is beyond the horizon.
+ */
+
+/**
+ * Whether the request combines several areas' phases, e.g. "when spill arch and sg winter", rather than naming one timer.
+ *
+ * @param {string[]} tokens The user's request.
+ * @returns {boolean}
+ */
+function isConditionRequest(tokens) {
+    const words = tokens.map(token => token.toLowerCase());
+    return words[0] === 'when' || words.some(word => condition_separators.includes(word));
+}
+
+/**
+ * Read the conditions from the user's request, e.g. ["spill", "is", "arch", "and", "sg", "winter", "always"].
+ * Each condition names an area's phase, and the conditions are joined by "and", "during", "while", etc.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {string[]} tokens The user's request, which may start with "when".
+ * @returns {{ conditions: PhaseCondition[], count: number | null } | string} The conditions and any requested count,
+ *                                                                            or an error for the user.
+ */
+function parseConditions(timers_list, tokens) {
+    const clauses = [[]];
+    tokens.map(token => token.toLowerCase().replace(/,$/, '')).forEach(token => {
+        if (condition_separators.includes(token))
+            clauses.push([]);
+        else if (token && token !== 'when')
+            clauses[clauses.length - 1].push(token);
+    });
+
+    const conditions = [];
+    let count = null;
+    for (const clause of clauses.filter(words => words.length)) {
+        const request = timerAliases(timers_list, clause);
+        if (request.count !== null)
+            count = request.count;
+        const { area, sub_area } = request;
+        if (!area || !sub_area || !timers_list.some(t => t.getArea() === area && t.getSubArea() === sub_area && !t.isSilent()))
+            return `I don't know which phase "${clause.join(' ')}" means. Try e.g. "spill arch and sg winter".`;
+        const other = conditions.find(condition => condition.area === area);
+        if (other && other.sub_area !== sub_area)
+            return `${getPhaseName(area)} can't be ${getPhaseName(area, other.sub_area)} and ${getPhaseName(area, sub_area)} at once.`;
+        if (!other)
+            conditions.push({ area, sub_area });
+    }
+    if (conditions.length < 2)
+        return 'Combine at least two areas\' phases, e.g. "spill arch and sg winter", or "cove low during fg open".';
+    return { conditions, count };
+}
+
+/**
+ * Describe the conditions for users, e.g. "Toxic Spill is Archduke/Archduchess and Seasonal Garden is Winter".
+ *
+ * @param {PhaseCondition[]} conditions The conditions.
+ * @returns {string}
+ */
+function describeConditions(conditions) {
+    return conditions.map(({ area, sub_area }) => `${getPhaseName(area)} is ${getPhaseName(area, sub_area)}`).join(' and ');
+}
+
+/**
+ * Predict when every condition holds at once, starting from the current phase of each area. The phase of an area
+ * changes with each activation of its timers, so the predictions follow the timers' upcoming activations.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {PhaseCondition[]} conditions The conditions.
+ * @param {Object} [options]
+ * @param {DateTime} [options.until] How far ahead to look. Default is the occurrence horizon.
+ * @param {number} [options.limit] The most occurrences to return.
+ * @returns {Occurrence[]} The occurrences, soonest first. The first may be ongoing.
+ */
+function findOccurrences(timers_list, conditions, { until = DateTime.utc().plus(occurrence_horizon), limit = Infinity } = {}) {
+    const areas = Array.from(new Set(conditions.map(condition => condition.area)));
+    /** @type {Map <string, { sub_area: string, at: DateTime } | null>} The phase each area is in, and since when */
+    const phases = new Map(areas.map(area => [area, null]));
+    getAreaStates(timers_list)
+        .filter(state => phases.has(state.area) && state.current)
+        .forEach(({ area, current }) => phases.set(area, { sub_area: current.timer.getSubArea(), at: current.at }));
+
+    const changes = [];
+    timers_list
+        .filter(timer => phases.has(timer.getArea()) && timer.getSubArea() && !timer.isSilent())
+        .forEach(timer => {
+            for (const at of timer.upcoming(until))
+                changes.push({ at, area: timer.getArea(), sub_area: timer.getSubArea() });
+        });
+    changes.sort((a, b) => a.at - b.at);
+
+    const holds = () => conditions.every(({ area, sub_area }) => phases.get(area) && phases.get(area).sub_area === sub_area);
+    const occurrences = [];
+    let ongoing = holds() ? { start: DateTime.max(...areas.map(area => phases.get(area).at)), end: null } : null;
+    for (const change of changes) {
+        if (occurrences.length >= limit)
+            break;
+        phases.set(change.area, { sub_area: change.sub_area, at: change.at });
+        const held = holds();
+        if (ongoing && !held) {
+            ongoing.end = change.at;
+            occurrences.push(ongoing);
+            ongoing = null;
+        } else if (!ongoing && held)
+            ongoing = { start: change.at, end: null };
+    }
+    if (ongoing && occurrences.length < limit)
+        occurrences.push(ongoing);
+    return occurrences;
+}
+
+/**
+ * Find the next time every condition begins to hold at once.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {PhaseCondition[]} conditions The conditions.
+ * @param {DateTime} [after] The time after which the occurrence starts. Default is now.
+ * @returns {Occurrence | null} The next occurrence, or null if there is none within the horizon.
+ */
+function getNextOccurrence(timers_list, conditions, after = DateTime.utc()) {
+    return findOccurrences(timers_list, conditions).find(occurrence => occurrence.start > after) || null;
+}
+
+/**
+ * Describe when the occurrence starts and ends, e.g. "Starts in 2 days and 3 hours, ends in 2 days and 4 hours".
+ *
+ * @param {Occurrence} occurrence The occurrence.
+ * @param {string} [zone] The user's timezone, in which to also show the times.
+ * @returns {string}
+ */
+function describeOccurrence({ start, end }, zone) {
+    const at = time => `${timeLeft(time)}${zone ? ` (${formatLocalTime(time, zone)})` : ''}`;
+    return `${start <= DateTime.utc() ? 'Now' : `Starts ${at(start)}`}, `
+        + `${end ? `ends ${at(end)}` : `lasts beyond the next ${occurrence_horizon.as('days')} days`}`;
+}
+
+/**
+ * Returns the current or next time every condition holds at once as a MessageEmbed, like the next command does for a timer.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {PhaseCondition[]} conditions The conditions.
+ * @param {string} botPrefix The prefix for the bot on this guild.
+ * @param {string} [zone] The requester's timezone, in which to also show the times.
+ * @returns {MessageEmbed | string} A summary of the next occurrences, or a message explaining that there are none.
+ */
+function nextOccurrence(timers_list, conditions, botPrefix, zone) {
+    const title = describeConditions(conditions);
+    const occurrences = findOccurrences(timers_list, conditions, { limit: 2 });
+    if (!occurrences.length)
+        return `**${title}** won't happen in the next ${occurrence_horizon.as('days')} days.`;
+
+    const syntax = `${botPrefix} remind when ${conditions.map(({ area, sub_area }) => `${area} ${sub_area}`).join(' and ')}`;
+    const next = occurrences.find(occurrence => occurrence.start > DateTime.utc());
+    return (new MessageEmbed()
+        .setTitle(title)
+        .setDescription(occurrences.map((occurrence, i) => `${i ? 'Then: ' : ''}${describeOccurrence(occurrence, zone)}`).join('\n')
+            + `\nTo schedule this reminder: \`${syntax}\``)
+        .setTimestamp((next || occurrences[0]).start.toJSDate())
+        .setFooter(next ? 'Next at' : 'Since')
+    );
+}
+
+module.exports.occurrence_horizon = occurrence_horizon;
+module.exports.occurrence_recheck = occurrence_recheck;
+module.exports.isConditionRequest = isConditionRequest;
+module.exports.parseConditions = parseConditions;
+module.exports.describeConditions = describeConditions;
+module.exports.findOccurrences = findOccurrences;
+module.exports.getNextOccurrence = getNextOccurrence;
+module.exports.describeOccurrence = describeOccurrence;
+module.exports.nextOccurrence = nextOccurrence;
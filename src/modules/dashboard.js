@@ -0,0 +1,100 @@
+// Dashboards: messages that the bot keeps up to date with the current phase of each area, instead of announcing each change.
+const Logger = require('./logger');
+const { areaStatus } = require('./timer-helper');
+
+/** The Discord API error code for a message that no longer exists. */
+const unknown_message_code = 10008;
+
+/**
+ * @typedef {Object} DashboardSettings A guild's dashboard, stored in its settings as "dashboard".
+ * @property {string} channel The id of the channel that hosts the dashboard.
+ * @property {string} [message] The id of the dashboard message, once it has been posted.
+ */
+
+/**
+ * Create the content of a dashboard, describing each area's current phase and the countdown to its next change.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @returns {MessageEmbed}
+ */
+function buildDashboard(timers_list) {
+    return areaStatus(timers_list, true)
+        .setTitle('Timer dashboard')
+        .setFooter('Updated every minute. Last update');
+}
+
+/**
+ * Update the given guild's dashboard message, or post (and pin) a new one if it does not exist yet or was deleted.
+ *
+ * @param {Guild} guild The guild whose dashboard should be updated.
+ * @param {Object} guildSettings The settings of the guild.
+ * @param {Timer[]} timers_list The known timers.
+ * @returns {Promise<boolean>} Whether a new dashboard message was posted, i.e. the guild's settings changed.
+ */
+async function updateDashboard(guild, guildSettings, timers_list) {
+    /** @type {DashboardSettings} */
+    const dashboard = guildSettings.dashboard;
+    if (!dashboard || !guild.available)
+        return false;
+    const channel = guild.channels.cache.get(dashboard.channel);
+    if (!channel) {
+        Logger.warn(`Dashboard: channel ${dashboard.channel} no longer exists in ${guild.name}.`);
+        return false;
+    }
+
+    const embed = buildDashboard(timers_list);
+    if (dashboard.message) {
+        try {
+            const message = await channel.messages.fetch(dashboard.message);
+            await message.edit({ embed });
+            return false;
+        } catch (err) {
+            if (err.code !== unknown_message_code)
+                throw err;
+            Logger.log(`Dashboard: message in ${channel.name} of ${guild.name} was deleted, posting a new one.`);
+        }
+    }
+
+    const message = await channel.send({ embed });
+    dashboard.message = message.id;
+    try {
+        await message.pin();
+    } catch (err) {
+        Logger.warn(`Dashboard: could not pin the dashboard in ${channel.name} of ${guild.name}:\n`, err);
+    }
+    return true;
+}
+
+/**
+ * Update the dashboard of every guild that has one.
+ *
+ * @param {Client} client The bot client.
+ * @returns {Promise<boolean>} Whether any new dashboard message was posted, i.e. any guild's settings changed.
+ */
+async function updateDashboards(client) {
+    const updates = client.guilds.cache
+        .filter(guild => client.settings.guilds[guild.id] && client.settings.guilds[guild.id].dashboard)
+        .map(guild => updateDashboard(guild, client.settings.guilds[guild.id], client.timers_list)
+            .catch(err => {
+                Logger.error(`Dashboard: error while updating the dashboard of ${guild.name}:\n`, err);
+                return false;
+            }));
+    const posted = await Promise.all(updates);
+    return posted.some(wasPosted => wasPosted);
+}
+
+/**
+ * Whether the given message is a guild's dashboard.
+ *
+ * @param {Message} message The message to check.
+ * @param {Object} [guildSettings] The settings of the message's guild.
+ * @returns {boolean}
+ */
+function isDashboard(message, guildSettings) {
+    return !!(guildSettings && guildSettings.dashboard && guildSettings.dashboard.message === message.id);
+}
+
+module.exports.buildDashboard = buildDashboard;
+module.exports.updateDashboard = updateDashboard;
+module.exports.updateDashboards = updateDashboards;
+module.exports.isDashboard = isDashboard;
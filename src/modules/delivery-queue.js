@@ -0,0 +1,265 @@
+// Reminder delivery: DMs are sent one at a time at a steady pace, transient errors are retried with backoff, and
+// deliveries that cannot succeed are set aside in a dead-letter log rather than retried forever.
+// eslint-disable-next-line no-unused-vars
+const { Message } = require('discord.js');
+const { DateTime, Duration } = require('luxon');
+const Logger = require('./logger');
+const { scheduler: sharedScheduler } = require('./scheduler');
+
+/** The time between sends, to stay well within Discord's rate limits. */
+const delivery_pace = Duration.fromObject({ milliseconds: 250 });
+/** The delay before the first retry of a transient error. Each later retry waits twice as long. */
+const retry_backoff = Duration.fromObject({ seconds: 5 });
+const max_attempts = 4;
+/** The number of dead letters that are kept. */
+const dead_letter_history_length = 100;
+
+/**
+ * The Discord API errors that will happen again no matter how often the delivery is retried.
+ * @type {Object <number, string>}
+ */
+const permanent_errors = {
+    50007: 'dms_closed', // Cannot send messages to this user
+    10013: 'unknown_recipient', // Unknown user
+    10003: 'unknown_recipient', // Unknown channel
+    50001: 'forbidden', // Missing access
+    50013: 'forbidden', // Missing permissions
+};
+
+/**
+ * @typedef {Object} Delivery A message waiting to be sent.
+ * @property {string} recipient The Discord ID of the user (or channel) the message is for.
+ * @property {string} label A loggable description of the message, e.g. "reminder #3fa2c1".
+ * @property {() => Promise<Message>} send Sends the message. Called again for each retry.
+ * @property {Reminder[]} [reminders] The reminders the message delivers, which record each failure.
+ */
+
+/**
+ * @typedef {Object} DeadLetter A delivery that was given up on.
+ * @property {string} at When the delivery was given up on, as an ISO timestamp.
+ * @property {string} recipient The Discord ID of the user (or channel) the message was for.
+ * @property {string} label A description of the message.
+ * @property {string[]} reminders The IDs of the reminders the message delivered.
+ * @property {string} kind Why it was given up on: one of the permanent error kinds, or "exhausted" after too many retries.
+ * @property {string} reason The last error.
+ * @property {number} attempts How many times the message was tried.
+ */
+
+/**
+ * @callback UndeliverableHandler Called when a delivery fails in a way that retrying cannot fix.
+ * @param {Delivery} delivery The delivery that failed.
+ * @param {string} kind The kind of failure, e.g. "dms_closed".
+ */
+
+/**
+ * Sort a failed send into one of the permanent failure kinds, or "transient" for errors that may not happen again,
+ * such as rate limits, Discord outages, and network errors.
+ *
+ * @param {Error} err The error from the send.
+ * @returns {'dms_closed' | 'unknown_recipient' | 'forbidden' | 'transient'}
+ */
+function classifyError(err) {
+    return (err && permanent_errors[err.code]) || 'transient';
+}
+
+/**
+ * The DeliveryQueue sends messages in the order they were queued, one every `pace`, using the scheduler to wait
+ * between sends and before retries. A delivery waiting on its retry does not hold up the deliveries behind it.
+ *
+ * @class DeliveryQueue
+ */
+class DeliveryQueue {
+    /**
+     * Construct an empty DeliveryQueue.
+     *
+     * @constructor
+     * @param {Object} [options]
+     * @param {import('./scheduler')} [options.scheduler] The scheduler that paces the sends (default: the shared scheduler).
+     * @param {Duration} [options.pace] The time between sends.
+     * @param {Duration} [options.backoff] The delay before the first retry.
+     * @param {number} [options.attempts] How many times a delivery is tried before it is given up on.
+     * @param {UndeliverableHandler} [options.onUndeliverable] Called for each permanent failure.
+     */
+    constructor({
+        scheduler = sharedScheduler,
+        pace = delivery_pace,
+        backoff = retry_backoff,
+        attempts = max_attempts,
+        onUndeliverable = () => {},
+    } = {}) {
+        this._scheduler = scheduler;
+        this._pace = pace;
+        this._backoff = backoff;
+        this._attempts = attempts;
+        this.onUndeliverable = onUndeliverable;
+        /** @type {Object[]} The deliveries waiting to be sent, oldest first. */
+        this._pending = [];
+        /** @type {DeadLetter[]} The most recent deliveries that were given up on, oldest first. */
+        this._deadLetters = [];
+        this._job = null;
+        this._jobDue = null;
+        /** @type {DateTime | null} The soonest the next send may happen, given the pace. */
+        this._nextSend = null;
+        this._busy = false;
+        this._stats = { sent: 0, retried: 0, permanent: 0, exhausted: 0 };
+    }
+
+    /**
+     * Queue a message to be sent.
+     *
+     * @instance
+     * @param {Delivery} delivery The message to send.
+     * @returns {Promise<Message | null>} The sent message, or null if it was given up on.
+     */
+    deliver(delivery) {
+        return new Promise(resolve => {
+            this._pending.push({ delivery, resolve, attempts: 0, notBefore: this._scheduler.now(), queued: this._scheduler.now() });
+            this._arm();
+        });
+    }
+
+    /**
+     * Describe the queue's workload and results since the bot started.
+     *
+     * @instance
+     * @returns {{ pending: number, retrying: number, oldest: Duration | null, sent: number, retried: number,
+     *              permanent: number, exhausted: number }}
+     */
+    getStats() {
+        const now = this._scheduler.now();
+        const oldest = this._pending.length
+            ? now.diff(this._pending.reduce((a, b) => (a.queued < b.queued ? a : b)).queued)
+            : null;
+        return Object.assign({
+            pending: this._pending.length,
+            retrying: this._pending.filter(item => item.attempts > 0).length,
+            oldest,
+        }, this._stats);
+    }
+
+    /**
+     * The most recent deliveries that were given up on, oldest first.
+     *
+     * @instance
+     * @returns {DeadLetter[]}
+     */
+    getDeadLetters() {
+        return this._deadLetters.slice();
+    }
+
+    /**
+     * Restore the dead-letter log, e.g. from a file. Dead letters recorded since startup are kept after the restored ones.
+     *
+     * @instance
+     * @param {DeadLetter[]} deadLetters The saved dead letters.
+     */
+    restoreDeadLetters(deadLetters) {
+        if (!Array.isArray(deadLetters))
+            return;
+        this._deadLetters = deadLetters.concat(this._deadLetters).slice(-dead_letter_history_length);
+    }
+
+    /**
+     * Wake up to send the next delivery once it (and the pace since the last send) allows. A delivery that is ready
+     * sooner than the one being waited on, e.g. a new delivery while another waits on its retry, moves the wake-up.
+     *
+     * @instance
+     */
+    _arm() {
+        if (this._busy || !this._pending.length)
+            return;
+        const nextReady = DateTime.min(...this._pending.map(item => item.notBefore));
+        const due = this._nextSend ? DateTime.max(this._nextSend, nextReady) : nextReady;
+        if (this._job) {
+            if (this._jobDue <= due)
+                return;
+            this._scheduler.cancel(this._job);
+        }
+        this._jobDue = due;
+        this._job = this._scheduler.schedule('deliver queued messages', previous => (previous ? null : due), () => {
+            this._job = null;
+            return this._sendNext();
+        });
+    }
+
+    /**
+     * Send the oldest delivery that is not waiting on a retry, then wait for the pace before the next one.
+     *
+     * @instance
+     * @returns {Promise<void>}
+     */
+    async _sendNext() {
+        const now = this._scheduler.now();
+        const index = this._pending.findIndex(item => item.notBefore <= now);
+        if (index === -1) {
+            this._arm();
+            return;
+        }
+        const [item] = this._pending.splice(index, 1);
+        const { delivery } = item;
+        this._busy = true;
+        item.attempts += 1;
+        try {
+            const message = await delivery.send();
+            this._stats.sent += 1;
+            item.resolve(message);
+        } catch (err) {
+            this._fail(item, err);
+        }
+        this._busy = false;
+        this._nextSend = this._scheduler.now().plus(this._pace);
+        this._arm();
+    }
+
+    /**
+     * Retry the failed delivery later, or give up on it.
+     *
+     * @instance
+     * @param {Object} item The queued delivery.
+     * @param {Error} err Why it failed.
+     */
+    _fail(item, err) {
+        const { delivery } = item;
+        (delivery.reminders || []).forEach(reminder => reminder.recordFailure(err));
+        const kind = classifyError(err);
+        if (kind === 'transient' && item.attempts < this._attempts) {
+            const delay = this._backoff.mapUnits(x => x * 2 ** (item.attempts - 1));
+            Logger.warn(`Delivery: ${delivery.label} failed (attempt ${item.attempts}), retrying in ${delay.toFormat('m\'m\'s\'s\'')}:`,
+                String((err && err.message) || err));
+            item.notBefore = this._scheduler.now().plus(delay);
+            this._stats.retried += 1;
+            this._pending.push(item);
+            return;
+        }
+
+        const deadKind = kind === 'transient' ? 'exhausted' : kind;
+        Logger.error(`Delivery: giving up on ${delivery.label} for <@${delivery.recipient}> (${deadKind}) after ${item.attempts} attempts:\n`, err);
+        this._deadLetters.push({
+            at: this._scheduler.now().toUTC().toISO(),
+            recipient: delivery.recipient,
+            label: delivery.label,
+            reminders: (delivery.reminders || []).map(reminder => reminder.id),
+            kind: deadKind,
+            reason: String((err && err.message) || err),
+            attempts: item.attempts,
+        });
+        if (this._deadLetters.length > dead_letter_history_length)
+            this._deadLetters.shift();
+        if (kind === 'transient')
+            this._stats.exhausted += 1;
+        else {
+            this._stats.permanent += 1;
+            try {
+                this.onUndeliverable(delivery, kind);
+            } catch (handlerErr) {
+                Logger.error(`Delivery: error while handling the undeliverable ${delivery.label}:\n`, handlerErr);
+            }
+        }
+        item.resolve(null);
+    }
+}
+
+module.exports = DeliveryQueue;
+module.exports.classifyError = classifyError;
+// The queue shared by the bot's reminder DMs.
+module.exports.deliveryQueue = new DeliveryQueue();
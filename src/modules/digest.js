@@ -0,0 +1,105 @@
+// Daily digests: one DM per day with an agenda of the next 24 hours of timers in the areas a user chose.
+const { MessageEmbed } = require('discord.js');
+const { DateTime, Duration } = require('luxon');
+const { timeLeft } = require('./format-utils');
+const { timerAliases, getPhaseName } = require('./timer-helper');
+const { formatLocalTime } = require('./user-preferences');
+
+const agenda_length = Duration.fromObject({ hours: 24 });
+const time_pattern = /^([01]?\d|2[0-3]):([0-5]\d)$/;
+/** Discord limits the length of each embed field. */
+const max_field_length = 1024;
+
+/**
+ * @typedef {Object} DigestSettings What a daily digest reminder sends, and when.
+ * @property {string} time When the digest is sent each day, as "HH:mm" in the user's timezone.
+ * @property {string[]} areas The areas in the digest, e.g. ["fg", "spill"].
+ */
+
+/**
+ * Read the digest settings from the user's request, e.g. ["8:00", "fg", "spill"].
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {string[]} tokens The user's request, after "digest".
+ * @returns {DigestSettings | string} The settings, or an error for the user.
+ */
+function parseDigestRequest(timers_list, tokens) {
+    const timeToken = tokens.find(token => time_pattern.test(token));
+    if (!timeToken)
+        return 'At what time each day? Try e.g. "remind digest 08:00 fg spill" (in your timezone, see: iam tz).';
+    const [, hours, minutes] = time_pattern.exec(timeToken);
+    const areas = new Set();
+    for (const token of tokens.filter(token => token !== timeToken)) {
+        const { area } = timerAliases(timers_list, [token]);
+        if (!area)
+            return `I don't know the area "${token}".`;
+        areas.add(area);
+    }
+    if (!areas.size)
+        return 'Which areas? Try e.g. "remind digest 08:00 fg spill".';
+    return { time: `${hours.padStart(2, '0')}:${minutes}`, areas: Array.from(areas) };
+}
+
+/**
+ * Find when the digest is next sent.
+ *
+ * @param {string} time When the digest is sent each day, as "HH:mm" in the user's timezone.
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @param {DateTime} [after] The time after which the digest is sent. Default is now.
+ * @returns {DateTime} When the digest is next sent, in UTC.
+ */
+function getNextDigestTime(time, zone = 'UTC', after = DateTime.utc()) {
+    const [hour, minute] = time.split(':').map(Number);
+    const local = after.setZone(zone);
+    let next = local.set({ hour, minute, second: 0, millisecond: 0 });
+    if (next <= local)
+        next = next.plus({ days: 1 });
+    return next.toUTC();
+}
+
+/**
+ * Create the agenda of the next 24 hours of activations in each of the areas, formatted like the schedule command.
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {string[]} areas The areas in the digest.
+ * @param {string} [zone] The user's timezone, in which to show the time of each activation. Default is UTC.
+ * @param {DateTime} [from] When the agenda starts. Default is now.
+ * @returns {MessageEmbed}
+ */
+function buildDigest(timers_list, areas, zone = 'UTC', from = DateTime.utc()) {
+    const until = from.plus(agenda_length);
+    const embed = new MessageEmbed({
+        title: `Your timers for ${from.setZone(zone).toFormat('cccc, LLLL d')}`,
+        description: `What's coming up in the next ${agenda_length.as('hours')} hours.`,
+    });
+    for (const area of areas) {
+        const lines = timers_list
+            .filter(timer => timer.getArea() === area && !timer.isSilent())
+            .reduce((upcoming, timer) => {
+                for (const time of timer.upcoming(until))
+                    if (time > from)
+                        upcoming.push({ time, message: timer.getDemand({ at: time, timers: timers_list }) });
+                return upcoming;
+            }, [])
+            .sort((a, b) => a.time - b.time)
+            .map(({ time, message }) => `${message} ${timeLeft(time)} (${formatLocalTime(time, zone)})`);
+
+        // Keep each area within Discord's limit, noting how many activations were left out.
+        let value = '';
+        for (let i = 0; i < lines.length; ++i) {
+            const more = `\n…and ${lines.length - i} more`;
+            if (value.length + lines[i].length + 1 + more.length > max_field_length) {
+                value += more;
+                break;
+            }
+            value += `${value ? '\n' : ''}${lines[i]}`;
+        }
+        embed.addField(getPhaseName(area), value || 'Nothing in the next 24 hours.', false);
+    }
+    embed.setTimestamp(from.toJSDate());
+    return embed;
+}
+
+module.exports.parseDigestRequest = parseDigestRequest;
+module.exports.getNextDigestTime = getNextDigestTime;
+module.exports.buildDigest = buildDigest;
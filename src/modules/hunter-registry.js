@@ -9,6 +9,7 @@ const { JSDOM } = jsdom;
 
 const Logger = require('./logger');
 const { loadDataFromJSON, saveDataAsJSON } = require('../modules/file-utils');
+const { scheduler } = require('../modules/scheduler');
 const hunter_ids_filename = 'data/hunters.json';
 const hunters = {};
 //const hunters = require('../../data/hunters.json');
@@ -45,8 +46,8 @@ async function initialize() {
     hasHunters.then(() => migrateData())
         .then(() => {
             Logger.log(`Hunters: Configuring save every ${save_frequency / (60 * 1000)} min.`);
-            hunterSaveInterval = setInterval(saveHunters, save_frequency);
-            hunterRefreshInterval = setInterval(refreshHunters, refresh_frequency);
+            hunterSaveInterval = scheduler.every('save hunters', save_frequency, saveHunters);
+            hunterRefreshInterval = scheduler.every('refresh hunters', refresh_frequency, refreshHunters);
         });
 }
 
@@ -58,8 +59,8 @@ function save() {
         Logger.log('hunter save called');
         someone_initialized = 0;
         return saveHunters()
-            .then(clearInterval(hunterSaveInterval))
-            .then(clearInterval(hunterRefreshInterval))
+            .then(scheduler.cancel(hunterSaveInterval))
+            .then(scheduler.cancel(hunterRefreshInterval))
             .catch((err) => {
                 Logger.error(`Error saving hunters on save call: ${err}`);
             });
@@ -0,0 +1,95 @@
+// Conversion of timer activations into iCalendar (RFC 5545) files, for import into calendar apps.
+const { DateTime } = require('luxon');
+
+/**
+ * @typedef {Object} CalendarEvent
+ * @property {string} uid A globally unique, stable identifier for the event, so re-imports update rather than duplicate it.
+ * @property {DateTime} start When the event begins.
+ * @property {DateTime} [end] When the event ends. If omitted, the event has no duration.
+ * @property {string} summary The title of the event.
+ * @property {string} [description] Additional details about the event.
+ */
+
+/**
+ * Format the given time as an iCalendar UTC date-time, e.g. "20200101T120000Z".
+ *
+ * @param {DateTime} time The time to format.
+ * @returns {string}
+ */
+function formatTime(time) {
+    return time.toUTC().toFormat('yyyyMMdd\'T\'HHmmss\'Z\'');
+}
+
+/**
+ * Escape the given text for use as an iCalendar property value.
+ *
+ * @param {string} text The text to escape.
+ * @returns {string}
+ */
+function escapeText(text) {
+    return String(text)
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+/**
+ * Split the given content line so that no line exceeds 75 octets, as required by RFC 5545.
+ *
+ * @param {string} line The unfolded content line.
+ * @returns {string} The folded content line.
+ */
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    for (const char of line) {
+        // Continuation lines begin with a space, which counts towards their length.
+        const limit = parts.length ? 74 : 75;
+        if (Buffer.byteLength(current + char, 'utf8') > limit) {
+            parts.push(current);
+            current = '';
+        }
+        current += char;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+/**
+ * Create the content of an iCalendar file that contains the given events.
+ *
+ * @param {CalendarEvent[]} events The events to include.
+ * @param {string} [name] The name of the calendar.
+ * @returns {string} The iCalendar file content.
+ */
+function buildCalendar(events, name = 'MouseHunt Timers') {
+    const stamp = formatTime(DateTime.utc());
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//MHTimerBot//Timers//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        `X-WR-CALNAME:${escapeText(name)}`,
+    ];
+    for (const event of events) {
+        lines.push(
+            'BEGIN:VEVENT',
+            `UID:${event.uid}`,
+            `DTSTAMP:${stamp}`,
+            `DTSTART:${formatTime(event.start)}`,
+        );
+        if (event.end)
+            lines.push(`DTEND:${formatTime(event.end)}`);
+        lines.push(`SUMMARY:${escapeText(event.summary)}`);
+        if (event.description)
+            lines.push(`DESCRIPTION:${escapeText(event.description)}`);
+        lines.push('END:VEVENT');
+    }
+    lines.push('END:VCALENDAR');
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+module.exports.buildCalendar = buildCalendar;
+module.exports.formatTime = formatTime;
@@ -4,6 +4,7 @@ const { DateTime, Duration } = require('luxon');
 const { calculateRate, prettyPrintArrayAsString, intToHuman } = require('../modules/format-utils');
 const { getSearchedEntity } = require('../modules/search-helpers');
 const { MessageEmbed } = require('discord.js');
+const { scheduler } = require('../modules/scheduler');
 
 const refresh_rate = Duration.fromObject({ minutes: 5 });
 const refresh_list = {
@@ -392,15 +393,15 @@ async function initialize() {
         getMHCTList('loot', loot),
         getFilterList(),
     ]);
-    intervals.push(setInterval(() => { getMHCTList('mouse', mice); }, refresh_rate));
-    intervals.push(setInterval(() => { getMHCTList('loot', loot); }, refresh_rate));
-    intervals.push(setInterval(() => { getFilterList(); }, refresh_rate));
+    intervals.push(scheduler.every('refresh MHCT mice', refresh_rate, () => { getMHCTList('mouse', mice); }));
+    intervals.push(scheduler.every('refresh MHCT loot', refresh_rate, () => { getMHCTList('loot', loot); }));
+    intervals.push(scheduler.every('refresh MHCT filters', refresh_rate, () => { getFilterList(); }));
     Logger.log(`MHCT Initialized: Loot: ${loot.length}, mice: ${mice.length}, filters: ${filters.length}`);
     return true;
 }
 
 async function save() {
-    intervals.forEach(i => clearInterval(i));
+    intervals.splice(0).forEach(i => scheduler.cancel(i));
 }
 
 module.exports.getMHCTList = getMHCTList;
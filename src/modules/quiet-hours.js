@@ -0,0 +1,129 @@
+// Quiet hours: a daily window, in the user's timezone, during which their DM reminders are held back.
+const { DateTime } = require('luxon');
+
+/**
+ * @typedef {Object} QuietHours A user's quiet hours, stored in their preferences as "quiet".
+ * @property {string} start When quiet hours begin, as "HH:mm" in the user's timezone.
+ * @property {string} end When quiet hours end, as "HH:mm" in the user's timezone.
+ * @property {'drop' | 'digest' | 'urgent'} mode What happens to reminders during quiet hours: "drop" skips them,
+ *                                              "digest" sends them together once quiet hours end, and "urgent"
+ *                                              sends only the reminders marked urgent (and skips the rest).
+ */
+
+const quiet_modes = ['drop', 'digest', 'urgent'];
+const time_pattern = /^([01]?\d|2[0-3]):?([0-5]\d)$/;
+
+/**
+ * Convert the user's time of day, e.g. "7:00" or "2300", into "HH:mm".
+ *
+ * @param {string} token The time of day.
+ * @returns {string | null} The time of day, or null if the token isn't one.
+ */
+function parseTimeOfDay(token) {
+    const match = time_pattern.exec(token);
+    return match ? `${match[1].padStart(2, '0')}:${match[2]}` : null;
+}
+
+/**
+ * Read quiet hours from the user's request, e.g. ["23:00-07:00", "digest"] or ["23:00", "07:00"].
+ * Reminders are dropped during quiet hours unless another mode is given.
+ *
+ * @param {string[]} tokens The user's request.
+ * @returns {QuietHours | null} The quiet hours, or null if the request doesn't describe them.
+ */
+function parseQuietHours(tokens) {
+    const words = tokens.join(' ').toLowerCase().split(/[\s–-]+/).filter(word => word);
+    const mode = quiet_modes.includes(words[words.length - 1]) ? words.pop() : 'drop';
+    if (words.length !== 2)
+        return null;
+    const [start, end] = words.map(parseTimeOfDay);
+    if (!start || !end || start === end)
+        return null;
+    return { start, end, mode };
+}
+
+/**
+ * Convert the time of day into minutes since midnight.
+ *
+ * @param {string} time The time of day, as "HH:mm".
+ * @returns {number}
+ */
+function toMinutes(time) {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+}
+
+/**
+ * Check whether the time falls within the user's quiet hours.
+ *
+ * @param {QuietHours} [quiet] The user's quiet hours.
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @param {DateTime} [at] The time to check. Default is now.
+ * @returns {boolean}
+ */
+function isQuietTime(quiet, zone = 'UTC', at = DateTime.utc()) {
+    if (!quiet)
+        return false;
+    const local = at.setZone(zone);
+    const minutes = local.hour * 60 + local.minute;
+    const start = toMinutes(quiet.start), end = toMinutes(quiet.end);
+    // Windows like 23:00-07:00 cross midnight.
+    return start < end
+        ? minutes >= start && minutes < end
+        : minutes >= start || minutes < end;
+}
+
+/**
+ * Check whether the reminder should be held back, rather than sent now.
+ *
+ * @param {{ urgent?: boolean }} reminder The reminder.
+ * @param {QuietHours} [quiet] The user's quiet hours.
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @param {DateTime} [at] When the reminder would be sent. Default is now.
+ * @returns {boolean}
+ */
+function isHeld(reminder, quiet, zone, at) {
+    return isQuietTime(quiet, zone, at) && !(quiet.mode === 'urgent' && reminder.urgent);
+}
+
+/**
+ * Find when the quiet hours that include the given time end.
+ *
+ * @param {QuietHours} quiet The user's quiet hours.
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @param {DateTime} [at] A time within the quiet hours. Default is now.
+ * @returns {DateTime} The end of the quiet hours, in UTC.
+ */
+function getQuietEnd(quiet, zone = 'UTC', at = DateTime.utc()) {
+    const [hour, minute] = quiet.end.split(':').map(Number);
+    const local = at.setZone(zone);
+    let end = local.set({ hour, minute, second: 0, millisecond: 0 });
+    if (end <= local)
+        end = end.plus({ days: 1 });
+    return end.toUTC();
+}
+
+/**
+ * Describe the user's quiet hours.
+ *
+ * @param {QuietHours} [quiet] The user's quiet hours.
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @returns {string}
+ */
+function describeQuietHours(quiet, zone = 'UTC') {
+    if (!quiet)
+        return 'You have no quiet hours.';
+    const held = {
+        drop: 'reminders are skipped',
+        digest: 'reminders are saved and sent together when they end',
+        urgent: 'only urgent reminders are sent',
+    }[quiet.mode];
+    return `Your quiet hours are ${quiet.start}–${quiet.end} (${zone}). During them, ${held}.`;
+}
+
+module.exports.quiet_modes = quiet_modes;
+module.exports.parseQuietHours = parseQuietHours;
+module.exports.isQuietTime = isQuietTime;
+module.exports.isHeld = isHeld;
+module.exports.getQuietEnd = getQuietEnd;
+module.exports.describeQuietHours = describeQuietHours;
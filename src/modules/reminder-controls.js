@@ -0,0 +1,150 @@
+// Reaction controls on reminder DMs, so users can snooze, stop, or repeat a reminder without typing a command.
+// eslint-disable-next-line no-unused-vars
+const { Message, MessageEmbed } = require('discord.js');
+const { DateTime, Duration } = require('luxon');
+const Logger = require('./logger');
+
+/** The action of each control reaction. */
+const reminder_controls = {
+    '💤': 'snooze',
+    '🛑': 'stop',
+    '🔁': 'always',
+};
+const snooze_duration = Duration.fromObject({ minutes: 10 });
+/** How long after a reminder is sent its controls still work. */
+const control_lifetime = Duration.fromObject({ days: 1 });
+
+/**
+ * @callback ControlHandler Called after a control changed the reminder, to update its pending dispatch.
+ * @param {Reminder} reminder The reminder that was changed.
+ * @param {'snooze' | 'stop' | 'always'} action The control the user chose.
+ */
+
+/**
+ * Find the controls that apply to the reminder. Personal reminders are one-off, so they cannot be made perpetual,
+ * conditional reminders are not due again until the phases next line up, so they cannot be snoozed, and daily
+ * digests can only be stopped.
+ *
+ * @param {Reminder} reminder The reminder that was sent.
+ * @returns {string[]} The emojis of the controls.
+ */
+function getControls(reminder) {
+    if (reminder.isDigest())
+        return ['🛑'];
+    return Object.keys(reminder_controls)
+        .filter(emoji => !(reminder.isPersonal() && reminder_controls[emoji] === 'always'))
+        .filter(emoji => !(reminder.isConditional() && reminder_controls[emoji] === 'snooze'));
+}
+
+/**
+ * Describe the reminder's controls for users.
+ *
+ * @param {Reminder} reminder The reminder that was sent.
+ * @returns {string}
+ */
+function describeControls(reminder) {
+    const descriptions = {
+        snooze: `${Math.round(snooze_duration.as('minutes'))} minutes to snooze`,
+        stop: 'to stop',
+        always: 'to always remind you',
+    };
+    return `React with ${getControls(reminder).map(emoji => `${emoji} ${descriptions[reminder_controls[emoji]]}`).join(', ')}.`;
+}
+
+/**
+ * Change the reminder as the user asked with a control. Snoozing a reminder gives back the activation that was
+ * used to send it, so that it is sent again after the snooze. Personal reminders are due again after the snooze.
+ *
+ * @param {Reminder} reminder The reminder to change.
+ * @param {'snooze' | 'stop' | 'always'} action The control the user chose.
+ * @param {DateTime} [now] The current time.
+ * @returns {string} A confirmation for the user.
+ */
+function applyReminderControl(reminder, action, now = DateTime.utc()) {
+    switch (action) {
+        case 'stop':
+            reminder.count = 0;
+            return '🛑 Stopped. I won\'t send this reminder again.';
+        case 'always':
+            reminder.count = -1;
+            return '🔁 I\'ll send this reminder until you stop it.';
+        case 'snooze':
+            if (reminder.isPersonal()) {
+                reminder.at = now.plus(snooze_duration);
+                reminder.count = 1;
+            }
+            else if (reminder.count >= 0)
+                reminder.count += 1;
+            return `💤 Snoozed. I'll send it again ${now.plus(snooze_duration).toRelative({ base: now })}.`;
+        default:
+            return '';
+    }
+}
+
+/**
+ * Show the result of the user's control on the reminder message.
+ *
+ * @param {Message} message The reminder message.
+ * @param {string} confirmation The result of the control.
+ * @returns {Promise<Message>}
+ */
+function confirmControl(message, confirmation) {
+    const embed = new MessageEmbed(message.embeds[0]);
+    embed.fields = embed.fields.filter(field => field.name !== 'Status');
+    embed.addField('Status', confirmation, false);
+    return message.edit({ embed });
+}
+
+/**
+ * Collect the control reactions on a reminder message, until its controls expire.
+ *
+ * @param {Message} message The reminder message.
+ * @param {Reminder} reminder The reminder that was sent.
+ * @param {ControlHandler} onControl Called after each control, to update the reminder's pending dispatch.
+ * @param {DateTime} [sentAt] When the reminder was sent. Default is now.
+ * @returns {import('discord.js').ReactionCollector | null} The collector, or null if the controls have expired.
+ */
+function watchReminderControls(message, reminder, onControl, sentAt = DateTime.utc()) {
+    const time = sentAt.plus(control_lifetime).diffNow().as('milliseconds');
+    if (time <= 0)
+        return null;
+    const collector = message.createReactionCollector((reaction, user) => user.id === reminder.user
+        && getControls(reminder).includes(reaction.emoji.name), { time });
+    collector.on('collect', reaction => {
+        const action = reminder_controls[reaction.emoji.name];
+        const confirmation = applyReminderControl(reminder, action);
+        Logger.log(`Reminders: ${action} of #${reminder.id} via reaction.`);
+        onControl(reminder, action);
+        confirmControl(message, confirmation)
+            .catch(err => Logger.error(`Reminders: could not confirm the ${action} of #${reminder.id}:\n`, err));
+    });
+    return collector;
+}
+
+/**
+ * Add the control reactions to a reminder message that was just sent, and collect them.
+ *
+ * @param {Message} message The reminder message.
+ * @param {Reminder} reminder The reminder that was sent.
+ * @param {ControlHandler} onControl Called after each control, to update the reminder's pending dispatch.
+ * @returns {Promise<void>}
+ */
+async function addReminderControls(message, reminder, onControl) {
+    reminder.lastMessage = message.id;
+    watchReminderControls(message, reminder, onControl);
+    try {
+        for (const emoji of getControls(reminder))
+            await message.react(emoji);
+    } catch (err) {
+        Logger.error(`Reminders: could not add controls to #${reminder.id}:\n`, err);
+    }
+}
+
+module.exports.reminder_controls = reminder_controls;
+module.exports.snooze_duration = snooze_duration;
+module.exports.control_lifetime = control_lifetime;
+module.exports.getControls = getControls;
+module.exports.describeControls = describeControls;
+module.exports.applyReminderControl = applyReminderControl;
+module.exports.watchReminderControls = watchReminderControls;
+module.exports.addReminderControls = addReminderControls;
@@ -0,0 +1,415 @@
+// Reminder Class
+const crypto = require('crypto');
+const { DateTime, Duration } = require('luxon');
+const Logger = require('./logger');
+const { parseDuration } = require('./timer-helper');
+
+/** The version of the reminders file format that this module writes. */
+const reminder_file_version = 2;
+/** How many failures each reminder remembers. */
+const failure_history_length = 10;
+/** The longest note a personal reminder may have. */
+const max_text_length = 300;
+
+/**
+ * @typedef {Object} ReminderSeed A serializable representation of a reminder, suitable for reading and writing with JSON files.
+ *
+ * @property {string} user The Discord ID of the user who requested the reminder.
+ * @property {string} area The area to which this reminder applies, e.g. "fg". Personal, digest, and conditional reminders
+ *                         have no area.
+ * @property {number} count The number of remaining times this reminder will activate. -1 is perpetual, and 0 has expired.
+ * @property {string} [sub_area] A logical "location" within the area, e.g. "close" or "open" for Forbidden Grove.
+ * @property {number} [notice] The offset (in milliseconds) of the timer notice to be reminded of. If omitted, the timer's
+ *                             default notice is used.
+ * @property {number} [lead] A custom lead time (in milliseconds), for reminders sent ahead of activations on their own
+ *                           schedule rather than with one of the timer's notices, e.g. 30 minutes before.
+ * @property {boolean} [urgent] Whether the reminder is sent even during the user's quiet hours.
+ * @property {string} [at] For personal reminders, which are not tied to any timer, when to send it, as an ISO timestamp.
+ * @property {string} [text] For personal reminders, the user's note, e.g. "check my trap".
+ * @property {import('./digest').DigestSettings} [digest] For daily digests, when to send the agenda, and of which areas.
+ * @property {import('./conditions').PhaseCondition[]} [conditions] For conditional reminders, the phases that must all
+ *                                                                  hold at once, e.g. spill arch and sg winter.
+ * @property {string} [channel] For channel reminders, the id of the server channel they are posted in, instead of a DM.
+ *                              The user is then the mod who created the reminder.
+ * @property {string} [guild] For channel reminders, the id of the server the channel belongs to.
+ * @property {string} [role] For channel reminders, the id of the role mentioned in each reminder, if any.
+ * @property {string} [id] The reminder's stable identifier. Generated if omitted (e.g. when migrating older files).
+ * @property {string} [created] When the reminder was created, as an ISO timestamp.
+ * @property {string} [last_sent] When the reminder was last sent, as an ISO timestamp.
+ * @property {string} [last_message] The id of the DM that last sent the reminder, whose reactions control the reminder.
+ * @property {number} [fail] The number of failures since the reminder was last sent.
+ * @property {{ at: string, reason: string }[]} [failures] The most recent failures, oldest first.
+ */
+
+/**
+ * @typedef {Object} ReminderFile The contents of the reminders file.
+ *
+ * @property {number} version The version of the file format.
+ * @property {ReminderSeed[]} reminders The reminders.
+ */
+
+/**
+ * Reminders are a user's request to be sent a DM when an area's timers activate, e.g. "remind me 15 minutes before
+ * the Forbidden Grove closes, 3 times". Personal reminders are instead sent once, at a time the user chose, with their
+ * own note, e.g. "remind me in 2h check my trap". Daily digests send an agenda of the day's timers in the areas the user
+ * chose, at the same time each day. Mods can also create channel reminders, which post into a server channel instead
+ * of a DM, optionally mentioning a role. Conditional reminders are sent when several areas are in the given phases at
+ * once, e.g. "remind me when spill is arch and sg is winter". Each reminder has a stable ID, so the user can refer to it in commands.
+ *
+ * @class Reminder
+ */
+class Reminder {
+    /**
+     * Construct a Reminder object based on the input data from a file or a user's request.
+     *
+     * @constructor
+     * @param {ReminderSeed} seed
+     */
+    constructor(seed) {
+        if (!seed || typeof seed !== 'object')
+            throw new TypeError('Reminder construction requires an input seed object.');
+        if (!seed.user || !(seed.area || seed.at || seed.digest || seed.conditions))
+            throw new TypeError('Input reminder seed is missing required values for keys "user", and "area", "at", "digest", or "conditions".');
+        if (!Number.isInteger(seed.count) || seed.count < -1)
+            throw new RangeError(`Input reminder count "${seed.count}" is not -1 (always) or a non-negative integer.`);
+        if (seed.notice !== undefined && !(typeof seed.notice === 'number' && seed.notice >= 0))
+            throw new RangeError(`Input reminder notice "${seed.notice}" is not a non-negative number of milliseconds.`);
+        if (seed.lead !== undefined && !(typeof seed.lead === 'number' && seed.lead > 0))
+            throw new RangeError(`Input reminder lead time "${seed.lead}" is not a positive number of milliseconds.`);
+        if (seed.lead !== undefined && seed.notice !== undefined)
+            throw new TypeError('Input reminder seed has both a notice and a lead time.');
+        if (seed.channel && (!seed.guild || !seed.area))
+            throw new TypeError('Input channel reminder seed is missing required values for keys "guild" and "area".');
+
+        this.id = seed.id ? String(seed.id) : Reminder.createId();
+        this.user = String(seed.user);
+        if (seed.at) {
+            this.at = DateTime.fromISO(seed.at, { zone: 'utc' });
+            if (!this.at.isValid)
+                throw new TypeError(`Input reminder time "${seed.at}" failed to parse into a valid DateTime.`);
+            this.text = String(seed.text || 'Reminder').slice(0, max_text_length);
+        }
+        else if (seed.digest) {
+            const { time, areas } = seed.digest;
+            if (!/^\d{2}:\d{2}$/.test(time) || !Array.isArray(areas) || !areas.length)
+                throw new TypeError(`Input reminder digest "${JSON.stringify(seed.digest)}" needs a time ("HH:mm") and a list of areas.`);
+            this.digest = { time, areas: areas.map(String) };
+        }
+        else if (seed.conditions) {
+            if (!Array.isArray(seed.conditions) || !seed.conditions.length || seed.conditions.some(c => !c || !c.area || !c.sub_area))
+                throw new TypeError(`Input reminder conditions "${JSON.stringify(seed.conditions)}" need an area and sub-area each.`);
+            this.conditions = seed.conditions.map(({ area, sub_area }) => ({ area: String(area), sub_area: String(sub_area) }));
+        }
+        else
+            this.area = String(seed.area);
+        if (seed.sub_area)
+            this.sub_area = String(seed.sub_area);
+        this.count = seed.count;
+        if (seed.notice !== undefined)
+            this.notice = seed.notice;
+        if (seed.lead !== undefined)
+            this.lead = seed.lead;
+        if (seed.urgent)
+            this.urgent = true;
+        if (seed.channel) {
+            this.channel = String(seed.channel);
+            this.guild = String(seed.guild);
+            if (seed.role)
+                this.role = String(seed.role);
+        }
+
+        const created = seed.created ? DateTime.fromISO(seed.created, { zone: 'utc' }) : null;
+        this.created = created && created.isValid ? created : DateTime.utc();
+        const lastSent = seed.last_sent ? DateTime.fromISO(seed.last_sent, { zone: 'utc' }) : null;
+        this.lastSent = lastSent && lastSent.isValid ? lastSent : null;
+        this.lastMessage = seed.last_message ? String(seed.last_message) : null;
+        this.fail = Number(seed.fail) || 0;
+        this.failures = Array.isArray(seed.failures) ? seed.failures.slice(-failure_history_length) : [];
+    }
+
+    /**
+     * Create a new, short reminder ID that users can type, e.g. "3fa2c1".
+     *
+     * @returns {string}
+     */
+    static createId() {
+        return crypto.randomBytes(3).toString('hex');
+    }
+
+    /**
+     * Whether this reminder has no activations left.
+     *
+     * @instance
+     * @returns {boolean}
+     */
+    isExpired() {
+        return this.count === 0;
+    }
+
+    /**
+     * Whether this is a personal reminder, which is sent once at a time the user chose, rather than for a timer.
+     *
+     * @instance
+     * @returns {boolean}
+     */
+    isPersonal() {
+        return !!this.at;
+    }
+
+    /**
+     * Whether this is a daily digest, which sends an agenda of the day's timers rather than a single reminder.
+     *
+     * @instance
+     * @returns {boolean}
+     */
+    isDigest() {
+        return !!this.digest;
+    }
+
+    /**
+     * Whether this is a conditional reminder, which is sent when several areas are in the given phases at once.
+     *
+     * @instance
+     * @returns {boolean}
+     */
+    isConditional() {
+        return !!this.conditions;
+    }
+
+    /**
+     * Whether this reminder posts into a server channel, rather than a user's DMs.
+     *
+     * @instance
+     * @returns {boolean}
+     */
+    isChannel() {
+        return !!this.channel;
+    }
+
+    /**
+     * Describe the reminder for the user, e.g. "spill: arch" or "check my trap".
+     *
+     * @instance
+     * @returns {string}
+     */
+    getName() {
+        if (this.isPersonal())
+            return `"${this.text}"`;
+        if (this.isDigest())
+            return `daily digest at ${this.digest.time} (${this.digest.areas.join(', ')})`;
+        if (this.isConditional())
+            return this.conditions.map(({ area, sub_area }) => `${area}: ${sub_area}`).join(' + ');
+        return `${this.area}${this.sub_area ? `: ${this.sub_area}` : ''}${this.isChannel() ? ` in <#${this.channel}>` : ''}`;
+    }
+
+    /**
+     * The reminder's custom lead time, if it has one.
+     *
+     * @instance
+     * @returns {Duration | null}
+     */
+    getLeadTime() {
+        return this.lead === undefined ? null : Duration.fromMillis(this.lead);
+    }
+
+    /**
+     * Whether the reminder is for the given timer's area (and sub-area, if the reminder has one).
+     *
+     * @instance
+     * @param {Timer} timer The timer to check.
+     * @returns {boolean}
+     */
+    matches(timer) {
+        return !!this.area && timer.getArea() === this.area && (!this.sub_area || timer.getSubArea() === this.sub_area);
+    }
+
+    /**
+     * Find when a reminder with a custom lead time should next be sent: its lead time before the soonest
+     * activation of the timers it matches.
+     *
+     * @instance
+     * @param {Timer[]} timers_list The known timers.
+     * @param {DateTime} after The time after which the reminder is sent.
+     * @returns {{ timer: Timer, activation: DateTime, due: DateTime } | null} The activation the reminder is for, and
+     *                                                                       when to send it, or null if it is never due.
+     */
+    getNextDispatch(timers_list, after) {
+        const lead = this.getLeadTime();
+        if (!lead)
+            return null;
+        let next = null;
+        for (const timer of timers_list.filter(t => this.matches(t) && !t.isExpired())) {
+            for (const activation of timer.upcoming()) {
+                const due = activation.minus(lead);
+                if (due <= after)
+                    continue;
+                if (!next || due < next.due)
+                    next = { timer, activation, due };
+                break;
+            }
+        }
+        return next;
+    }
+
+    /**
+     * Record that the reminder was sent to the user.
+     *
+     * @instance
+     * @param {DateTime} [at] When the reminder was sent. Default is now.
+     */
+    recordSent(at = DateTime.utc()) {
+        this.lastSent = at;
+        this.fail = 0;
+    }
+
+    /**
+     * Record that the reminder could not be sent to the user.
+     *
+     * @instance
+     * @param {Error | string} [reason] Why the reminder could not be sent.
+     * @param {DateTime} [at] When the failure happened. Default is now.
+     */
+    recordFailure(reason, at = DateTime.utc()) {
+        this.fail += 1;
+        this.failures.push({ at: at.toISO(), reason: String((reason && reason.message) || reason || 'unknown') });
+        if (this.failures.length > failure_history_length)
+            this.failures.shift();
+    }
+
+    /**
+     * Serialize the reminder for the reminders file.
+     *
+     * @instance
+     * @returns {ReminderSeed}
+     */
+    toJSON() {
+        const seed = { id: this.id, user: this.user, count: this.count };
+        if (this.isPersonal()) {
+            seed.at = this.at.toUTC().toISO();
+            seed.text = this.text;
+        }
+        else if (this.isDigest())
+            seed.digest = this.digest;
+        else if (this.isConditional())
+            seed.conditions = this.conditions;
+        else
+            seed.area = this.area;
+        if (this.sub_area)
+            seed.sub_area = this.sub_area;
+        if (this.notice !== undefined)
+            seed.notice = this.notice;
+        if (this.lead !== undefined)
+            seed.lead = this.lead;
+        if (this.urgent)
+            seed.urgent = true;
+        if (this.isChannel()) {
+            seed.channel = this.channel;
+            seed.guild = this.guild;
+            if (this.role)
+                seed.role = this.role;
+        }
+        seed.created = this.created.toUTC().toISO();
+        if (this.lastSent)
+            seed.last_sent = this.lastSent.toUTC().toISO();
+        if (this.lastMessage)
+            seed.last_message = this.lastMessage;
+        if (this.fail)
+            seed.fail = this.fail;
+        if (this.failures.length)
+            seed.failures = this.failures;
+        return seed;
+    }
+}
+
+/**
+ * Read the reminder seeds from the contents of a reminders file. Older files, which are a bare array of reminders
+ * without IDs, are migrated to the current format.
+ *
+ * @param {ReminderFile | ReminderSeed[]} data The contents of the reminders file.
+ * @returns {ReminderSeed[]} The seeds of the reminders.
+ */
+function readReminderFile(data) {
+    if (Array.isArray(data)) {
+        if (data.length)
+            Logger.log(`Reminders: migrating ${data.length} reminders from the version 1 file format.`);
+        return data;
+    }
+    if (!data || !Array.isArray(data.reminders)) {
+        Logger.error('Reminders: the reminders file has no reminders list.');
+        return [];
+    }
+    if (data.version > reminder_file_version)
+        Logger.warn(`Reminders: the reminders file has version ${data.version}, but I only know up to version ${reminder_file_version}.`);
+    return data.reminders;
+}
+
+/**
+ * Create the contents of the reminders file.
+ *
+ * @param {Reminder[]} reminders The reminders to save.
+ * @returns {ReminderFile}
+ */
+function createReminderFile(reminders) {
+    return { version: reminder_file_version, reminders: reminders.map(reminder => reminder.toJSON()) };
+}
+
+/**
+ * Read a personal reminder from the user's request, e.g. ["in", "2h30m", "check", "my", "trap"], or
+ * ["at", "18:00", "tournament", "starts"]. Times of day are in the user's timezone, and are the next such time.
+ * A date may precede the time, e.g. ["at", "2020-07-14", "18:00", ...].
+ *
+ * @param {string[]} tokens The user's request, after "remind me".
+ * @param {string} [zone] The user's timezone. Default is UTC.
+ * @param {DateTime} [now] The current time.
+ * @returns {{ at: DateTime, text: string } | string} When to send the reminder and its note, or an error for the user.
+ */
+function parsePersonalReminder(tokens, zone = 'UTC', now = DateTime.utc()) {
+    const [when, ...rest] = tokens;
+    let at = null;
+    if (String(when).toLowerCase() === 'in') {
+        const duration = parseDuration(rest[0]);
+        if (!duration || /^\d+$/.test(rest[0]) || duration.as('minutes') < 1)
+            return 'How long from now? Try e.g. "remind me in 2h30m check my trap".';
+        at = now.plus(duration);
+        rest.shift();
+    }
+    else if (String(when).toLowerCase() === 'at') {
+        const date = /^\d{4}-\d{2}-\d{2}$/.test(rest[0]) ? rest.shift() : null;
+        const time = /^([01]?\d|2[0-3]):([0-5]\d)$/.exec(rest[0] || '');
+        if (!time)
+            return 'At what time? Try e.g. "remind me at 18:00 tournament starts" (in your timezone, see: iam tz).';
+        rest.shift();
+        const local = date ? DateTime.fromISO(date, { zone }) : now.setZone(zone);
+        at = local.set({ hour: Number(time[1]), minute: Number(time[2]), second: 0, millisecond: 0 });
+        if (!at.isValid)
+            return `I don't understand the date "${date}".`;
+        if (!date && at <= now)
+            at = at.plus({ days: 1 });
+        if (at <= now)
+            return 'That time has already passed.';
+        at = at.toUTC();
+    }
+    else
+        return 'When should I remind you? Use "remind me in <time> <note>" or "remind me at <HH:mm> <note>".';
+    return { at, text: rest.join(' ').slice(0, max_text_length) || 'Reminder' };
+}
+
+/**
+ * Find one of the user's reminders by its ID.
+ *
+ * @param {Reminder[]} reminders The known reminders.
+ * @param {string} user The Discord ID of the user.
+ * @param {string} token The ID the user gave, with or without a leading "#".
+ * @returns {Reminder | undefined} The user's active reminder with that ID, if any.
+ */
+function findUserReminder(reminders, user, token) {
+    const id = String(token).replace(/^#/, '').toLowerCase();
+    return reminders.find(r => r.user === user && r.id === id && !r.isExpired() && !r.isChannel());
+}
+
+module.exports = Reminder;
+module.exports.reminder_file_version = reminder_file_version;
+module.exports.readReminderFile = readReminderFile;
+module.exports.createReminderFile = createReminderFile;
+module.exports.findUserReminder = findUserReminder;
+module.exports.parsePersonalReminder = parsePersonalReminder;
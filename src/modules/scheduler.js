@@ -0,0 +1,254 @@
+// Scheduler Class
+const { DateTime, Duration } = require('luxon');
+const Logger = require('./logger');
+
+/** The longest delay that setTimeout supports (about 24.8 days). */
+const max_timeout_ms = 2147483647;
+
+/**
+ * @callback NextDueTime Computes when a job should next run.
+ * @param {DateTime | null} previous When the job last ran, or null when it is first scheduled.
+ * @returns {DateTime | null} When the job should next run, or null if it should not run again.
+ */
+
+/**
+ * @typedef {Object} ScheduledJob
+ * @property {string} id The identifier of the job, for cancellation.
+ * @property {string} name A loggable description of the job.
+ * @property {DateTime} due When the job will next run.
+ */
+
+/**
+ * The Scheduler runs jobs at the times they request, using a single Node.js timeout for the job that is due soonest.
+ * After each run, the job's next due time is recomputed from the job itself, rather than assumed to be a fixed interval
+ * later, so that long-running schedules do not drift. Delays longer than Node.js supports are waited out in steps.
+ *
+ * @class Scheduler
+ */
+class Scheduler {
+    /**
+     * Construct a Scheduler with no pending jobs.
+     *
+     * @constructor
+     * @param {Object} [options]
+     * @param {() => DateTime} [options.clock] The source of the current time (default DateTime.utc).
+     */
+    constructor({ clock = () => DateTime.utc() } = {}) {
+        this._clock = clock;
+        /** @type {Object[]} The pending jobs, as a binary min-heap ordered by due time. */
+        this._queue = [];
+        /** @type {Map <string, Object>} The pending jobs, keyed by id. */
+        this._jobs = new Map();
+        this._timeout = null;
+        this._lastId = 0;
+    }
+
+    /**
+     * The current time, according to this scheduler's clock.
+     *
+     * @instance
+     * @returns {DateTime}
+     */
+    now() {
+        return this._clock();
+    }
+
+    /**
+     * Register a job to be run whenever it is due.
+     *
+     * @instance
+     * @param {string} name A loggable description of the job.
+     * @param {NextDueTime} next Computes when the job is due. Subsequent due times must be later than the previous.
+     * @param {(due: DateTime) => any} run The work to perform when the job is due.
+     * @returns {string | null} The id of the job, or null if the job is never due.
+     */
+    schedule(name, next, run) {
+        const due = next(null);
+        if (!due || !due.isValid) {
+            Logger.log(`Scheduler: not scheduling "${name}", as it is never due.`);
+            return null;
+        }
+        const job = { id: String(++this._lastId), name, due, next, run };
+        this._jobs.set(job.id, job);
+        this._push(job);
+        this._arm();
+        return job.id;
+    }
+
+    /**
+     * Register a job to be run repeatedly, waiting the given period after each run.
+     *
+     * @instance
+     * @param {string} name A loggable description of the job.
+     * @param {Duration} period The time between runs.
+     * @param {(due: DateTime) => any} run The work to perform.
+     * @returns {string | null} The id of the job.
+     */
+    every(name, period, run) {
+        const ms = Duration.isDuration(period) ? period.as('milliseconds') : Number(period);
+        return this.schedule(name, () => this.now().plus(ms), run);
+    }
+
+    /**
+     * Remove the given job, so that it does not run again.
+     *
+     * @instance
+     * @param {string} id The id of the job to remove.
+     * @returns {boolean} Whether the job was pending.
+     */
+    cancel(id) {
+        const job = this._jobs.get(id);
+        if (!job)
+            return false;
+        this._jobs.delete(id);
+        this._remove(job);
+        this._arm();
+        return true;
+    }
+
+    /**
+     * List the pending jobs, soonest first.
+     *
+     * @instance
+     * @returns {ScheduledJob[]}
+     */
+    listPending() {
+        return Array.from(this._jobs.values())
+            .sort((a, b) => a.due - b.due)
+            .map(({ id, name, due }) => ({ id, name, due }));
+    }
+
+    /**
+     * Remove every pending job.
+     *
+     * @instance
+     */
+    stop() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        this._queue = [];
+        this._jobs.clear();
+    }
+
+    /**
+     * Run every job that is due, and then wait for the next one.
+     *
+     * @instance
+     */
+    tick() {
+        const now = this.now();
+        while (this._queue.length && this._queue[0].due <= now) {
+            const job = this._queue[0];
+            this._remove(job);
+            try {
+                const result = job.run(job.due);
+                if (result && typeof result.catch === 'function')
+                    result.catch(err => Logger.error(`Scheduler: error while running "${job.name}":\n`, err));
+            } catch (err) {
+                Logger.error(`Scheduler: error while running "${job.name}":\n`, err);
+            }
+            // The job may have been cancelled while it ran.
+            if (!this._jobs.has(job.id))
+                continue;
+
+            let next = null;
+            try {
+                next = job.next(job.due);
+            } catch (err) {
+                Logger.error(`Scheduler: error while rescheduling "${job.name}":\n`, err);
+            }
+            if (next && next.isValid && next > job.due) {
+                job.due = next;
+                this._push(job);
+            } else {
+                this._jobs.delete(job.id);
+            }
+        }
+        this._arm();
+    }
+
+    /**
+     * (Re)start the timeout for the job that is due soonest.
+     *
+     * @instance
+     * @private
+     */
+    _arm() {
+        clearTimeout(this._timeout);
+        this._timeout = null;
+        if (!this._queue.length)
+            return;
+        const delay = this._queue[0].due.diff(this.now()).as('milliseconds');
+        this._timeout = setTimeout(() => this.tick(), Math.min(Math.max(delay, 0), max_timeout_ms));
+    }
+
+    /**
+     * Add the job to the queue.
+     *
+     * @instance
+     * @private
+     * @param {Object} job
+     */
+    _push(job) {
+        this._queue.push(job);
+        this._siftUp(this._queue.length - 1);
+    }
+
+    /**
+     * Remove the job from the queue.
+     *
+     * @instance
+     * @private
+     * @param {Object} job
+     */
+    _remove(job) {
+        const index = this._queue.indexOf(job);
+        if (index === -1)
+            return;
+        const last = this._queue.pop();
+        if (index < this._queue.length) {
+            this._queue[index] = last;
+            this._siftUp(index);
+            this._siftDown(this._queue.indexOf(last));
+        }
+    }
+
+    /**
+     * @instance
+     * @private
+     * @param {number} index
+     */
+    _siftUp(index) {
+        const queue = this._queue;
+        while (index > 0) {
+            const parent = (index - 1) >> 1;
+            if (queue[parent].due <= queue[index].due)
+                break;
+            [queue[parent], queue[index]] = [queue[index], queue[parent]];
+            index = parent;
+        }
+    }
+
+    /**
+     * @instance
+     * @private
+     * @param {number} index
+     */
+    _siftDown(index) {
+        const queue = this._queue;
+        for (;;) {
+            let smallest = index;
+            for (const child of [2 * index + 1, 2 * index + 2])
+                if (child < queue.length && queue[child].due < queue[smallest].due)
+                    smallest = child;
+            if (smallest === index)
+                return;
+            [queue[smallest], queue[index]] = [queue[index], queue[smallest]];
+            index = smallest;
+        }
+    }
+}
+
+module.exports = Scheduler;
+// The scheduler shared by the bot's timers, reminders, and data refreshes.
+module.exports.scheduler = new Scheduler();
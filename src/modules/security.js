@@ -2,7 +2,7 @@ const Discord = require('discord.js');
 
 // Extract type-hinting definitions for Discord classes.
 // eslint-disable-next-line no-unused-vars
-const { Client, Collection, Guild, GuildMember, User } = Discord;
+const { Client, Collection, Guild, GuildMember, Message, User } = Discord;
 
 /**
  * Checks the permissions of the member to see if they're at the minimum level
@@ -33,4 +33,19 @@ function checkPerms(member, level) {
     return authCheck;
 }
 
+/**
+ * Checks whether the author of the message may run the command, per the command's own minimum level (if any)
+ * @param {Message} message The message that requested the command
+ * @param {{minPerm?: String}} command The command to run
+ * @returns boolean Whether the author may run the command
+ */
+function canRunCommand(message, command) {
+    if (!command.minPerm)
+        return true;
+    if (message.author.id === message.client.settings.owner)
+        return true;
+    return ('member' in message) && checkPerms(message.member, command.minPerm);
+}
+
 exports.checkPerms = checkPerms;
+exports.canRunCommand = canRunCommand;
@@ -1,6 +1,36 @@
 const Logger = require('../modules/logger');
 const { MessageEmbed } = require('discord.js');
+const { DateTime, Duration } = require('luxon');
 const { timeLeft } = require('../modules/format-utils');
+const { getUserQuietHours, getUserTimezone, formatLocalTime } = require('../modules/user-preferences');
+const { describeQuietHours } = require('../modules/quiet-hours');
+
+/** @type {Object <string, string>} The full names of the areas with timers */
+const area_names = {
+    fg: 'Forbidden Grove',
+    sg: 'Seasonal Garden',
+    cove: 'Balack\'s Cove',
+    spill: 'Toxic Spill',
+    reset: 'Daily Reset',
+    relic_hunter: 'Relic Hunter',
+};
+/** @type {Object <string, Object <string, string>>} Descriptions of the sub-areas whose names are not self-explanatory */
+const phase_names = {
+    fg: { open: 'Open', close: 'Closed' },
+    cove: { low: 'Low Tide', mid: 'Mid Tide', high: 'High Tide' },
+    spill: {
+        hero: 'Hero',
+        knight: 'Knight',
+        lord: 'Lord/Lady',
+        baron: 'Baron/Baroness',
+        count: 'Count/Countess',
+        duke: 'Duke/Duchess',
+        grand: 'Grand Duke/Duchess',
+        arch: 'Archduke/Archduchess',
+    },
+};
+/** @type {string[]} The Toxic Spill levels, from lowest to highest */
+const spill_levels = ['hero', 'knight', 'lord', 'baron', 'count', 'duke', 'grand', 'arch'];
 
 /**
  * Inspects the current timers list to dynamically determine the text to print when informing users
@@ -12,7 +42,8 @@ function getKnownTimersDetails(timers_list) {
     // Prepare a detailed list of known timers and their sub-areas.
     /** @type {Object <string, Set<string>> */
     const details = {};
-    timers_list.forEach(timer => {
+    // Timers for events that have ended are no longer worth mentioning.
+    timers_list.filter(timer => !timer.isExpired()).forEach(timer => {
         const area = `**${timer.getArea()}**`;
         if (!details[area])
             details[area] = new Set();
@@ -30,6 +61,13 @@ function getKnownTimersDetails(timers_list) {
     return names.join('\n');
 }
 
+/** Words that may follow a number to make a lead time, e.g. "30 minutes", and the unit parseDuration uses for them. */
+const duration_units = {
+    d: 'd', day: 'd', days: 'd',
+    h: 'h', hr: 'h', hrs: 'h', hour: 'h', hours: 'h',
+    m: 'm', min: 'm', mins: 'm', minute: 'm', minutes: 'm',
+};
+
 /**
  * Attempt to find a Timer that satisfies the input tokens.
  * Returns a ReminderRequest of unknown state (may have some or all properties set).
@@ -42,6 +80,8 @@ function timerAliases(timers_list, tokens) {
         area: null,
         sub_area: null,
         count: null,
+        notice: null,
+        urgent: false,
     };
     const timerAreas = timers_list.map(timer => timer.getArea());
     const timerSubAreas = timers_list.map(timer => timer.getSubArea());
@@ -49,6 +89,20 @@ function timerAliases(timers_list, tokens) {
     for (let i = 0; i < tokens.length; i++) {
         const token = tokens[i].toLowerCase();
 
+        // Urgent reminders are sent even during the user's quiet hours.
+        if (token === 'urgent') {
+            newReminder.urgent = true;
+            continue;
+        }
+        // Lead times may be phrased as "30m before" or "30 minutes ahead".
+        if (['before', 'ahead', 'early', 'earlier'].includes(token))
+            continue;
+        const unit = /^\d+$/.test(token) && tokens[i + 1] && duration_units[tokens[i + 1].toLowerCase()];
+        if (unit && newReminder.notice === null && parseTokenForNotice(`${token}${unit}`, newReminder)) {
+            ++i;
+            continue;
+        }
+
         // Check if this is an exact timer name, useful if we can dynamically add new timers.
         const areaIndex = timerAreas.indexOf(token);
         if (areaIndex !== -1) {
@@ -71,6 +125,10 @@ function timerAliases(timers_list, tokens) {
         if (!newReminder.sub_area && parseTokenForSubArea(token, newReminder))
             continue;
 
+        // Attempt to find an advance notice from this token, before it could be mistaken for a count.
+        if (newReminder.notice === null && parseTokenForNotice(token, newReminder))
+            continue;
+
         // Attempt to find a count from this token.
         if (!newReminder.count && parseTokenForCount(token, newReminder))
             continue;
@@ -259,6 +317,25 @@ function parseTokenForCount(token, newReminder) {
     return true;
 }
 
+/**
+ * Attempt to read the input string as the advance notice of a timer, such as "1h" or "15m". Only
+ * durations with units are notices, since bare numbers are counts. If successful, updates the given
+ * reminder with the notice's offset in milliseconds.
+ *
+ * @param {string} token an input string from the user's message.
+ * @param {ReminderRequest} newReminder the seed for a new reminder that will be updated.
+ * @returns {boolean} if the token parsed to a notice.
+ */
+function parseTokenForNotice(token, newReminder) {
+    if (!/[dhms]$/.test(token))
+        return false;
+    const offset = parseDuration(token);
+    if (!offset)
+        return false;
+    newReminder.notice = offset.as('milliseconds');
+    return true;
+}
+
 
 /**
  * Attempt to match the input string to known Timer areas. If successful, updates the given reminder.
@@ -323,29 +400,86 @@ function parseTokenForArea(token, newReminder) {
 }
 
 
+/**
+ * Convert user input such as "1d2h30m", "15m", or "90s" into a Duration. A bare number is read as milliseconds,
+ * like the durations in the timers file.
+ *
+ * @param {string} token an input string from the user's message.
+ * @returns {Duration | null} The requested duration, or null if the input does not describe one.
+ */
+function parseDuration(token) {
+    const text = String(token || '').toLowerCase();
+    if (/^\d+$/.test(text))
+        return Duration.fromMillis(parseInt(text, 10));
+
+    const match = /^(?:(\d+)d)?(?:(\d+)h)?(?:(\d+)m)?(?:(\d+)s)?$/.exec(text);
+    if (!match || !match.slice(1).some(value => value))
+        return null;
+    const [days, hours, minutes, seconds] = match.slice(1).map(value => parseInt(value || 0, 10));
+    return Duration.fromObject({ days, hours, minutes, seconds });
+}
+
+/**
+ * Convert a Duration into the compact form accepted by parseDuration, e.g. "1d2h30m".
+ *
+ * @param {Duration} duration The duration to describe.
+ * @returns {string} The compact description, or "0m" for an empty duration.
+ */
+function formatDuration(duration) {
+    const parts = duration.shiftTo('days', 'hours', 'minutes', 'seconds').toObject();
+    const text = [['days', 'd'], ['hours', 'h'], ['minutes', 'm'], ['seconds', 's']]
+        .filter(([unit]) => Math.round(parts[unit]))
+        .map(([unit, label]) => `${Math.round(parts[unit])}${label}`)
+        .join('');
+    return text || '0m';
+}
+
+/**
+ * Determine whether the given timer is covered by a channel's list of subscribed areas. Each entry is
+ * either an area ("fg"), or an area and one of its sub-areas ("spill:arch").
+ *
+ * @param {Timer} timer The timer to check.
+ * @param {string[]} [subscriptions] The areas a channel subscribes to. Channels without any get every timer.
+ * @returns {boolean} Whether the timer should be announced in the channel.
+ */
+function isSubscribedTimer(timer, subscriptions) {
+    if (!subscriptions || !subscriptions.length)
+        return true;
+    return subscriptions.some(entry => {
+        const [area, subArea] = entry.split(':');
+        return timer.getArea() === area && (!subArea || timer.getSubArea() === subArea);
+    });
+}
+
 /**
  * Returns the next occurrence of the desired class of timers as a MessageEmbed.
  * @param {Array} timers_list List of known timers
  * @param {ReminderRequest} validTimerData Validated input that is known to match an area and subarea
  * @param {String} botPrefix The prefix for the bot on this guild
- * @returns {MessageEmbed} A rich snippet summary of the next occurrence of the matching timer.
+ * @param {String} [demandTemplate] Text to display instead of the timer's demand string, e.g. a guild's override.
+ * @param {String} [zone] The requester's timezone, in which to also show the time of the occurrence.
+ * @returns {MessageEmbed | string} A rich snippet summary of the next occurrence of the matching timer, or
+ *                                  a message explaining that no matching timer will activate again.
  */
-function nextTimer(timers_list, validTimerData, botPrefix) {
+function nextTimer(timers_list, validTimerData, botPrefix, demandTemplate, zone) {
     // Inspect all known timers to determine the one that matches the requested area, and occurs soonest.
     const area = validTimerData.area,
         sub = validTimerData.sub_area,
-        areaTimers = timers_list.filter(timer => timer.getArea() === area);
+        areaTimers = timers_list.filter(timer => timer.getArea() === area && !timer.isExpired());
 
     let nextTimer;
     for (const timer of areaTimers)
         if (!sub || sub === timer.getSubArea())
             if (!nextTimer || timer.getNext() < nextTimer.getNext())
                 nextTimer = timer;
+    if (!nextTimer)
+        return `There are no more **${area}${sub ? ` ${sub}` : ''}** timers, because that event has ended.`;
 
     const sched_syntax = `${botPrefix} remind ${area}${sub ? ` ${sub}` : ''}`;
     return (new MessageEmbed()
-        .setDescription(nextTimer.getDemand()
+        .setDescription(nextTimer.getDemand({ timers: timers_list, template: demandTemplate })
             + `\n${timeLeft(nextTimer.getNext())}`
+            + (zone ? ` (${nextTimer.getNext().setZone(zone).toFormat('ccc HH:mm ZZZZ')})` : '')
             // Putting here makes it look nicer and fit in portrait mode
             + `\nTo schedule this reminder: \`${sched_syntax}\``,
         )
@@ -358,21 +492,52 @@ function nextTimer(timers_list, validTimerData, botPrefix) {
  * List the reminders for the user, and PM them the result.
  *
  * @param {String} user A Discord Snowflake user id
- * @param {Array} reminders Array of reminders the bot is managing
+ * @param {Reminder[]} reminders Array of reminders the bot is managing
  * @param {String} botPrefix The bot prefix for the channel in use
  */
 function listRemind(user, reminders, botPrefix) {
     let timer_str = 'Your reminders:';
     let usage_str;
 
-    const userReminders = reminders.filter(r => r.user === user && r.count);
+    const userReminders = reminders.filter(r => r.user === user && r.count && !r.isChannel());
     userReminders.forEach(reminder => {
+        if (reminder.isPersonal()) {
+            const zone = getUserTimezone(user);
+            timer_str += `\nNote:\t**${reminder.text}** (#${reminder.id}) ${reminder.at.toRelative()}${zone
+                ? ` (${formatLocalTime(reminder.at, zone)})` : ''}.`;
+            timer_str += `\nTo turn off\t\`${botPrefix} remind #${reminder.id} stop\`\n`;
+            return;
+        }
+        if (reminder.isConditional()) {
+            timer_str += `\nWhen:\t**${reminder.getName()}** (#${reminder.id}), ${reminder.count === -1
+                ? 'until you stop it' : `${reminder.count} more time${reminder.count === 1 ? '' : 's'}`}.`;
+            timer_str += `\nTo turn off\t\`${botPrefix} remind #${reminder.id} stop\`\n`;
+            return;
+        }
+        if (reminder.isDigest()) {
+            timer_str += `\nDigest:\t**${reminder.digest.areas.join(', ')}** (#${reminder.id}) every day at ${reminder.digest.time}`
+                + ` (${getUserTimezone(user) || 'UTC'}).`;
+            timer_str += `\nTo turn off\t\`${botPrefix} remind digest stop\`\n`;
+            return;
+        }
         // TODO: prettyPrint this info.
         const name = `${reminder.area}${reminder.sub_area ? ` (${reminder.sub_area})` : ''}`;
-        timer_str += `\nTimer:\t**${name}**`;
+        timer_str += `\nTimer:\t**${name}** (#${reminder.id})`;
         usage_str = `\`${botPrefix} remind ${reminder.area}`;
         if (reminder.sub_area)
             usage_str += ` ${reminder.sub_area}`;
+        if (typeof reminder.notice === 'number') {
+            const notice = formatDuration(Duration.fromMillis(reminder.notice));
+            timer_str += ` (${notice} notice)`;
+            usage_str += ` ${notice}`;
+        }
+        if (typeof reminder.lead === 'number') {
+            const lead = formatDuration(Duration.fromMillis(reminder.lead));
+            timer_str += ` (${lead} before)`;
+            usage_str += ` ${lead} before`;
+        }
+        if (reminder.urgent)
+            timer_str += ' (urgent)';
 
         timer_str += '\t';
         if (reminder.count === 1)
@@ -382,16 +547,124 @@ function listRemind(user, reminders, botPrefix) {
         else
             timer_str += ` ${reminder.count} times`;
 
-        timer_str += `.\nTo turn off\t${usage_str} stop\`\n`;
+        timer_str += `.\nTo turn off\t${usage_str} stop\` or \`${botPrefix} remind #${reminder.id} stop\`\n`;
 
         if (reminder.fail)
             timer_str += `There have been ${reminder.fail} failed attempts to activate this reminder.\n`;
     });
+    if (getUserQuietHours(user))
+        timer_str += `\n${describeQuietHours(getUserQuietHours(user), getUserTimezone(user))}`;
     return userReminders.length ? timer_str : 'I found no reminders for you, sorry.';
 }
 
+/**
+ * @typedef {Object} AreaState The current phase of an area, and its upcoming phases.
+ * @property {string} area The area shorthand, e.g. "spill".
+ * @property {string} name The full name of the area, e.g. "Toxic Spill".
+ * @property {{ timer: Timer, at: DateTime } | null} current The timer that activated most recently, and when.
+ * @property {{ timer: Timer, at: DateTime }[]} upcoming The next activation of each of the area's timers, soonest first.
+ * @property {'rising' | 'falling' | null} trend For areas with levels, whether the level is rising or falling.
+ */
+
+/**
+ * Describe an area or phase for users.
+ *
+ * @param {string} area The area shorthand, e.g. "cove".
+ * @param {string} [subArea] The sub-area, e.g. "low".
+ * @returns {string} e.g. "Balack's Cove", or "Low Tide"
+ */
+function getPhaseName(area, subArea) {
+    if (!subArea)
+        return area_names[area] || area;
+    const names = phase_names[area] || {};
+    return names[subArea] || `${subArea.charAt(0).toUpperCase()}${subArea.slice(1)}`;
+}
+
+/**
+ * Determine the current phase of each area that has phases (sub-areas), based on the last activation of its timers.
+ *
+ * @param {Timer[]} timers_list List of known timers
+ * @returns {AreaState[]} The state of each area, in the order the areas' timers are known.
+ */
+function getAreaStates(timers_list) {
+    /** @type {Map <string, Timer[]>} */
+    const areas = new Map();
+    timers_list.filter(timer => !timer.isSilent() && timer.getSubArea()).forEach(timer => {
+        if (!areas.has(timer.getArea()))
+            areas.set(timer.getArea(), []);
+        areas.get(timer.getArea()).push(timer);
+    });
+
+    const now = DateTime.utc();
+    const states = [];
+    areas.forEach((timers, area) => {
+        // The current phase began with the most recent activation of any of the area's timers.
+        const current = timers
+            .map(timer => ({ timer, at: timer.getLastActivation() }))
+            .filter(({ timer, at }) => at <= now && timer.isActiveAt(at))
+            .reduce((latest, activation) => (!latest || activation.at > latest.at) ? activation : latest, null);
+        const upcoming = timers
+            .map(timer => ({ timer, at: timer.getNext() }))
+            .filter(({ at }) => at)
+            .sort((a, b) => a.at - b.at);
+        if (!current && !upcoming.length)
+            return;
+
+        let trend = null;
+        if (area === 'spill' && current && upcoming.length) {
+            const [level, nextLevel] = [current, upcoming[0]].map(({ timer }) => spill_levels.indexOf(timer.getSubArea()));
+            if (level !== -1 && nextLevel !== -1)
+                trend = nextLevel > level ? 'rising' : 'falling';
+        }
+        states.push({ area, name: getPhaseName(area), current, upcoming, trend });
+    });
+    return states;
+}
+
+/**
+ * Returns the current phase of every area as a MessageEmbed.
+ *
+ * @param {Timer[]} timers_list List of known timers
+ * @param {boolean} [detailed] Whether to describe each area in full (e.g. for DMs), or compactly (e.g. for channels).
+ * @returns {MessageEmbed} A rich snippet summary of the current state of each area.
+ */
+function areaStatus(timers_list, detailed = false) {
+    const output = new MessageEmbed()
+        .setTitle('Current timer status')
+        .setTimestamp(new Date())
+        .setFooter('As of');
+    const states = getAreaStates(timers_list);
+    if (!states.length)
+        return output.setDescription('I don\'t know of any areas with phases right now.');
+
+    const describeCurrent = ({ area, current, trend }) => current
+        ? `${getPhaseName(area, current.timer.getSubArea())}${trend ? ` (${trend})` : ''}`
+        : 'Not started';
+    const describeNext = ({ timer, at }) => `${getPhaseName(timer.getArea(), timer.getSubArea())} ${timeLeft(at)}`;
+    if (!detailed) {
+        output.setDescription(states.map(state => `**${state.name}**: ${describeCurrent(state)}`
+            + (state.upcoming.length ? `, then ${describeNext(state.upcoming[0])}` : '')).join('\n'));
+        return output;
+    }
+
+    states.forEach(state => {
+        const lines = [`Now: **${describeCurrent(state)}**${state.current ? `, since ${state.current.at.toRelative()}` : ''}`];
+        const duration = state.current && state.current.timer.getDuration();
+        if (duration)
+            lines.push(`Ends ${timeLeft(state.current.at.plus(duration))}`);
+        state.upcoming.slice(0, 3).forEach((next, i) => lines.push(`${i ? 'Then' : 'Next'}: ${describeNext(next)}`));
+        output.addField(state.name, lines.join('\n'), false);
+    });
+    return output;
+}
 
 module.exports.getKnownTimersDetails = getKnownTimersDetails;
 module.exports.timerAliases = timerAliases;
 module.exports.nextTimer = nextTimer;
 module.exports.listRemind = listRemind;
+module.exports.parseDuration = parseDuration;
+module.exports.formatDuration = formatDuration;
+module.exports.isSubscribedTimer = isSubscribedTimer;
+module.exports.getPhaseName = getPhaseName;
+module.exports.getAreaStates = getAreaStates;
+module.exports.areaStatus = areaStatus;
@@ -0,0 +1,137 @@
+// Discord roles that are mentioned in timer announcements, so that members can opt in to pings for the areas they care about.
+const Logger = require('./logger');
+const { timerAliases, isSubscribedTimer } = require('./timer-helper');
+
+/** The reactions of a role menu, one per role. Discord allows at most 20 different reactions on a message. */
+const menu_emojis = Array.from('🇦🇧🇨🇩🇪🇫🇬🇭🇮🇯🇰🇱🇲🇳🇴🇵🇶🇷🇸🇹');
+
+/**
+ * @typedef {Object} RoleMenuSettings A guild's reaction-role message, stored in its settings as "timerRoleMenu".
+ * @property {string} channel The id of the channel that hosts the menu.
+ * @property {string} message The id of the menu message.
+ * @property {Object <string, string>} emojis The area or sub-area (e.g. "spill:arch") of each reaction.
+ */
+
+/**
+ * Convert the user's description of an area or sub-area into the key of its role, e.g. "spill:arch".
+ *
+ * @param {Timer[]} timers_list The known timers.
+ * @param {string[]} tokens The user's description, e.g. ["arch"] or ["fg", "close"].
+ * @returns {string | null} The key of the area or sub-area, or null if the tokens do not describe one.
+ */
+function getRoleKey(timers_list, tokens) {
+    const { area, sub_area } = timerAliases(timers_list, tokens);
+    if (!area)
+        return null;
+    return sub_area ? `${area}:${sub_area}` : area;
+}
+
+/**
+ * Describe the area or sub-area of a role for users, e.g. "spill arch".
+ *
+ * @param {string} key The key of the area or sub-area.
+ * @returns {string}
+ */
+function describeRoleKey(key) {
+    return key.replace(':', ' ');
+}
+
+/**
+ * Find the roles that should be mentioned when the given timer is announced in a guild.
+ *
+ * @param {Object} [guildSettings] The settings of the guild.
+ * @param {Timer} timer The timer being announced.
+ * @returns {string[]} The ids of the roles bound to the timer's area or sub-area.
+ */
+function getTimerRoleIds(guildSettings, timer) {
+    const roles = (guildSettings && guildSettings.timerRoles) || {};
+    return Object.keys(roles)
+        .filter(key => isSubscribedTimer(timer, [key]))
+        .map(key => roles[key]);
+}
+
+/**
+ * Create the text of a role menu, and the area or sub-area of each of its reactions.
+ *
+ * @param {Object} guildSettings The settings of the guild.
+ * @returns {{ content: string, emojis: Object <string, string> }} The menu text, and the key of each reaction.
+ */
+function buildRoleMenu(guildSettings) {
+    const keys = Object.keys(guildSettings.timerRoles || {}).slice(0, menu_emojis.length);
+    const emojis = {};
+    const lines = keys.map((key, i) => {
+        emojis[menu_emojis[i]] = key;
+        return `${menu_emojis[i]} <@&${guildSettings.timerRoles[key]}> - ${describeRoleKey(key)}`;
+    });
+    return {
+        content: ['React to get pinged when these timers are announced. Remove your reaction to stop.', ...lines].join('\n'),
+        emojis,
+    };
+}
+
+/**
+ * Give or take a timer role when a member reacts to their guild's role menu.
+ *
+ * @param {MessageReaction} reaction The reaction that was added or removed.
+ * @param {User} user The user who reacted.
+ * @param {boolean} added Whether the reaction was added (rather than removed).
+ * @param {Object} [guildSettings] The settings of the reaction's guild.
+ * @returns {Promise<boolean>} Whether the reaction was to the role menu, and the member's roles were changed.
+ */
+async function handleRoleReaction(reaction, user, added, guildSettings) {
+    /** @type {RoleMenuSettings} */
+    const menu = guildSettings && guildSettings.timerRoleMenu;
+    if (!menu || reaction.message.id !== menu.message || user.bot)
+        return false;
+    const key = menu.emojis[reaction.emoji.name];
+    const roleId = key && guildSettings.timerRoles && guildSettings.timerRoles[key];
+    if (!roleId)
+        return false;
+
+    const member = await reaction.message.guild.members.fetch(user.id);
+    if (added)
+        await member.roles.add(roleId, 'Timer role menu');
+    else
+        await member.roles.remove(roleId, 'Timer role menu');
+    Logger.log(`Timer roles: ${added ? 'gave' : 'took'} ${describeRoleKey(key)} role ${added ? 'to' : 'from'} ${user.username}.`);
+    return true;
+}
+
+/**
+ * Give or take the timer role that the member asked for, e.g. with "subscribe spill arch".
+ *
+ * @param {GuildMember} member The member asking for the role.
+ * @param {Object} guildSettings The settings of the member's guild.
+ * @param {Timer[]} timers_list The known timers.
+ * @param {string[]} tokens The member's description of the area or sub-area.
+ * @param {boolean} add Whether the member should get the role (rather than lose it).
+ * @returns {Promise<string>} The reply to the member.
+ */
+async function changeTimerRole(member, guildSettings, timers_list, tokens, add) {
+    const roles = guildSettings.timerRoles || {};
+    const available = Object.keys(roles).map(describeRoleKey);
+    if (!available.length)
+        return 'This server doesn\'t have any timer roles.';
+    const key = tokens.length ? getRoleKey(timers_list, tokens) : null;
+    if (!key || !roles[key])
+        return `Which timers? This server has roles for: ${available.join(', ')}`;
+
+    if (add === member.roles.cache.has(roles[key]))
+        return add
+            ? `You already get pinged for ${describeRoleKey(key)} timers.`
+            : `You don't get pinged for ${describeRoleKey(key)} timers.`;
+    if (add)
+        await member.roles.add(roles[key], 'Timer role subscription');
+    else
+        await member.roles.remove(roles[key], 'Timer role subscription');
+    return add
+        ? `You'll get pinged when ${describeRoleKey(key)} timers are announced.`
+        : `You won't get pinged for ${describeRoleKey(key)} timers anymore.`;
+}
+
+module.exports.getRoleKey = getRoleKey;
+module.exports.describeRoleKey = describeRoleKey;
+module.exports.getTimerRoleIds = getTimerRoleIds;
+module.exports.buildRoleMenu = buildRoleMenu;
+module.exports.handleRoleReaction = handleRoleReaction;
+module.exports.changeTimerRole = changeTimerRole;
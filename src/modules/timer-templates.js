@@ -0,0 +1,97 @@
+// Rendering of timer announcement and demand strings, which may contain placeholders such as "{ends_in}".
+const { timeLeft } = require('./format-utils');
+const { getPhaseName } = require('./timer-helper');
+
+/**
+ * @typedef {Object} TemplateContext
+ * @property {DateTime} [at] The activation being described (default: the timer's next activation).
+ * @property {Timer[]} [timers] The known timers, used to find the phase that follows the activation.
+ * @property {string} [template] Text to render instead of the timer's own string, e.g. a guild's override.
+ */
+
+/**
+ * Find the first activation of any of the given timers that is after the given time.
+ *
+ * @param {Timer[]} timers The timers to inspect.
+ * @param {DateTime} after The time after which an activation is sought.
+ * @returns {{ timer: Timer, at: DateTime } | null} The soonest activation, or null if none will occur.
+ */
+function findNextActivation(timers, after) {
+    let next = null;
+    for (const timer of timers) {
+        // A timer's next activation after the given time is at most one repeat interval later.
+        const until = after.plus(timer.getRepeatInterval()).plus(1);
+        for (const at of timer.upcoming(until)) {
+            if (at > after) {
+                if (!next || at < next.at)
+                    next = { timer, at };
+                break;
+            }
+        }
+    }
+    return next;
+}
+
+/**
+ * How each placeholder is computed. Placeholders are only computed when the template uses them.
+ *
+ * @type {Object <string, (timer: Timer, at: DateTime, timers: Timer[]) => string>}
+ */
+const placeholders = {
+    relative: (timer, at) => timeLeft(at),
+    absolute_utc: (timer, at) => at.toUTC().toFormat('yyyy-LL-dd HH:mm \'UTC\''),
+    area_name: timer => getPhaseName(timer.getArea()),
+    next_phase: (timer, at, timers) => {
+        const next = findNextActivation(timers, at);
+        return next ? getPhaseName(next.timer.getArea(), next.timer.getSubArea()) : '';
+    },
+    next_phase_in: (timer, at, timers) => {
+        const next = findNextActivation(timers, at);
+        return next ? timeLeft(next.at) : '';
+    },
+    // Phases without a known duration last until the area's next phase begins.
+    ends_in: (timer, at, timers) => {
+        const duration = timer.getDuration();
+        if (duration)
+            return timeLeft(at.plus(duration));
+        return placeholders.next_phase_in(timer, at, timers);
+    },
+};
+
+/**
+ * Replace each known placeholder in the template with its value for the given timer activation.
+ * Unknown placeholders are left as-is.
+ *
+ * @param {string} template The text to render, e.g. "The gate closes {relative}".
+ * @param {Timer} timer The timer being described.
+ * @param {TemplateContext} [context] The activation being described, and the timers that can follow it.
+ * @returns {string} The rendered text.
+ */
+function renderTemplate(template, timer, { at, timers } = {}) {
+    if (!template || !template.includes('{'))
+        return template;
+    const when = at || timer.getNext() || timer.getLastActivation();
+    // Without the other timers, the area's next phase can only be this timer's next activation.
+    const areaTimers = (timers || [timer]).filter(t => t.getArea() === timer.getArea() && !t.isExpired());
+    return template.replace(/\{(\w+)\}/g, (match, name) => Object.prototype.hasOwnProperty.call(placeholders, name)
+        ? placeholders[name](timer, when, areaTimers)
+        : match);
+}
+
+/**
+ * Find a guild's replacement for the announcement or demand string of an area's timers.
+ *
+ * @param {Object} [guildSettings] The settings of the guild, if any.
+ * @param {string} area The area of the timer being described, e.g. "fg".
+ * @param {'announce' | 'demand'} kind Which of the timer's strings to replace.
+ * @returns {string | undefined} The guild's template, if it has one.
+ */
+function getGuildTemplate(guildSettings, area, kind) {
+    const templates = guildSettings && guildSettings.timerTemplates && guildSettings.timerTemplates[area];
+    return (templates && templates[kind]) || undefined;
+}
+
+module.exports.placeholderNames = Object.keys(placeholders);
+module.exports.renderTemplate = renderTemplate;
+module.exports.getGuildTemplate = getGuildTemplate;
+module.exports.findNextActivation = findNextActivation;
@@ -0,0 +1,168 @@
+// Validation of the timers file, so that every problem can be reported before any timer is created.
+const { DateTime, Duration } = require('luxon');
+const Timer = require('./timers');
+const { timerAliases } = require('./timer-helper');
+const { placeholderNames } = require('./timer-templates');
+
+/**
+ * @typedef {Object} TimerSeedError
+ * @property {number} index The index of the offending entry in the timers file.
+ * @property {string} location The path to the offending seed, e.g. "timers[4].phases[2]".
+ * @property {string} message A description of the problem.
+ */
+
+/**
+ * Convert a TimerSeed duration value (milliseconds, or a luxon Duration object format) into a Duration.
+ *
+ * @param {number | {}} value The value from the seed.
+ * @returns {Duration | null} The equivalent Duration, or null if the value does not describe one.
+ */
+function toDuration(value) {
+    try {
+        const duration = typeof value === 'number' ? Duration.fromMillis(value) : Duration.fromObject(value);
+        return duration.isValid ? duration : null;
+    } catch (err) {
+        return null;
+    }
+}
+
+/**
+ * Check the fields of a single timer seed.
+ *
+ * @param {TimerSeed} seed The seed to check.
+ * @returns {string[]} A description of each problem with the seed.
+ */
+function checkSeed(seed) {
+    const problems = [];
+    const missing = (seed.once ? ['area', 'seed_time'] : ['area', 'seed_time', 'repeat_time']).filter(key => !seed[key]);
+    if (missing.length)
+        problems.push(`missing required values for "${missing.join('", "')}"`);
+
+    if (seed.seed_time && !DateTime.fromISO(String(seed.seed_time)).isValid)
+        problems.push(`seed_time "${seed.seed_time}" is not an ISO timestamp`);
+
+    const repeat = seed.repeat_time ? toDuration(seed.repeat_time) : null;
+    if (seed.repeat_time && (!repeat || repeat.as('minutes') < 1))
+        problems.push(`repeat_time "${JSON.stringify(seed.repeat_time)}" is invalid or shorter than one minute`);
+    // One-shot timers never repeat, so their notices may be as early as needed.
+    const limit = seed.once ? null : repeat;
+
+    if (seed.announce_offset) {
+        const offset = toDuration(seed.announce_offset);
+        if (!offset)
+            problems.push(`announce_offset "${JSON.stringify(seed.announce_offset)}" is invalid`);
+        else if (limit && offset.as('milliseconds') >= limit.as('milliseconds'))
+            problems.push('announce_offset must be smaller than repeat_time');
+    }
+
+    if (seed.notices !== undefined) {
+        if (!Array.isArray(seed.notices))
+            problems.push('notices must be a list');
+        else {
+            const offsets = [seed.announce_offset ? toDuration(seed.announce_offset) : Duration.fromMillis(0)];
+            seed.notices.forEach((notice, i) => {
+                const offset = notice && notice.offset !== undefined ? toDuration(notice.offset) : null;
+                if (!offset)
+                    problems.push(`notices[${i}] has an invalid or missing offset`);
+                else if (limit && offset.as('milliseconds') >= limit.as('milliseconds'))
+                    problems.push(`notices[${i}] offset must be smaller than repeat_time`);
+                else if (offsets.some(other => other && other.as('milliseconds') === offset.as('milliseconds')))
+                    problems.push(`notices[${i}] has the same offset as another notice`);
+                offsets.push(offset);
+            });
+        }
+    }
+
+    const texts = [seed.announce_string, seed.demand_string]
+        .concat(Array.isArray(seed.notices) ? seed.notices.map(notice => notice && notice.announce_string) : []);
+    for (const text of texts.filter(text => typeof text === 'string')) {
+        const unknown = (text.match(/\{\w+\}/g) || []).filter(match => !placeholderNames.includes(match.slice(1, -1)));
+        if (unknown.length)
+            problems.push(`"${text}" uses unknown placeholders ${unknown.join(', ')}`);
+    }
+
+    const window = ['active_from', 'active_until'].map(key => {
+        const time = seed[key] ? DateTime.fromISO(String(seed[key])) : null;
+        if (time && !time.isValid)
+            problems.push(`${key} "${seed[key]}" is not an ISO timestamp`);
+        return time;
+    });
+    if (window.every(time => time && time.isValid) && window[1] < window[0])
+        problems.push('active_until must not be before active_from');
+    return problems;
+}
+
+/**
+ * Check the content of a timers file, and report every problem that would prevent a timer from being created or used.
+ *
+ * @param {(TimerSeed|CycleSeed)[]} timerData The content of the timers file.
+ * @returns {TimerSeedError[]} Every problem found, in file order. An empty array means the timers file is valid.
+ */
+function validateTimerData(timerData) {
+    /** @type {TimerSeedError[]} */
+    const errors = [];
+    if (!Array.isArray(timerData))
+        return [{ index: -1, location: 'timers', message: 'the timers file must contain an array of timer seeds' }];
+
+    /** @type {{ index: number, location: string, seed: TimerSeed }[]} */
+    const valid = [];
+    timerData.forEach((entry, index) => {
+        const location = `timers[${index}]`;
+        if (!entry || typeof entry !== 'object') {
+            errors.push({ index, location, message: 'is not a timer seed object' });
+            return;
+        }
+        let seeds = [{ location, seed: entry }];
+        if (Timer.isCycle(entry)) {
+            try {
+                seeds = Timer.expandCycle(entry).map((seed, i) => ({ location: `${location}.phases[${i}]`, seed }));
+            } catch (err) {
+                errors.push({ index, location, message: err.message });
+                return;
+            }
+        }
+        for (const { location, seed } of seeds) {
+            const problems = checkSeed(seed);
+            problems.forEach(message => errors.push({ index, location, message }));
+            if (!problems.length)
+                valid.push({ index, location, seed });
+        }
+    });
+
+    // Two timers for the same area, sub-area, and seed time would double every announcement and reminder.
+    const seen = new Map();
+    for (const { index, location, seed } of valid) {
+        const key = `${seed.area}|${seed.sub_area || ''}|${DateTime.fromISO(seed.seed_time).toMillis()}`;
+        if (seen.has(key))
+            errors.push({ index, location, message: `duplicates the area, sub-area, and seed time of ${seen.get(key)}` });
+        else
+            seen.set(key, location);
+    }
+
+    // Users can only request areas and sub-areas that the alias parser can resolve.
+    const timers = valid.map(({ seed }) => ({ getArea: () => seed.area, getSubArea: () => seed.sub_area }));
+    for (const { index, location, seed } of valid) {
+        const tokens = [String(seed.area)];
+        if (seed.sub_area)
+            tokens.push(String(seed.sub_area));
+        const parsed = timerAliases(timers, tokens);
+        if (parsed.area !== seed.area)
+            errors.push({ index, location, message: `area "${seed.area}" cannot be requested by users` });
+        else if (seed.sub_area && parsed.sub_area !== seed.sub_area)
+            errors.push({ index, location, message: `sub-area "${seed.sub_area}" cannot be requested by users` });
+    }
+    return errors.sort((a, b) => a.index - b.index);
+}
+
+/**
+ * Describe the given timers file problems, one per line.
+ *
+ * @param {TimerSeedError[]} errors The problems found by validateTimerData.
+ * @returns {string} A multi-line description of the problems.
+ */
+function describeTimerErrors(errors) {
+    return errors.map(({ location, message }) => `${location}: ${message}`).join('\n');
+}
+
+module.exports.validateTimerData = validateTimerData;
+module.exports.describeTimerErrors = describeTimerErrors;
@@ -1,6 +1,7 @@
 // Timer Class
 const { DateTime, Duration, Interval } = require('luxon');
 const Logger = require('./logger');
+const { renderTemplate } = require('./timer-templates');
 
 /**
  * @typedef {Object} TimerSeed A serializable representation of a timer, suitable for reading and writing with JSON files.
@@ -11,10 +12,58 @@ const Logger = require('./logger');
  * @property {number | {}} repeat_time The duration of the timer interval, in milliseconds or a luxon Duration object format. e.g. 72 000 000, {seconds: 72000}, {seconds: 71000, milliseconds: 1000000}
  * @property {string} announce_string The message printed when this timer activates, i.e. "X is happening right now"
  * @property {string} demand_string The message printed when this timer is upcoming, i.e. "do this before X happens"
+ *                                   Both strings may contain placeholders, which are filled in for each activation: {relative},
+ *                                   {absolute_utc}, {ends_in}, {next_phase}, {next_phase_in}, and {area_name}.
  * @property {number | {}} announce_offset How far in advance of the actual "activation time" the timer should be activated to send reminders, in milliseconds or luxon Duration object format.
  * @property {Boolean} silent If it's silent it doesn't get announced but otherwise works
+ * @property {number | {}} [duration] How long the timer's phase lasts after each activation, in milliseconds or luxon Duration object format.
+ * @property {string} [active_from] For limited-time events, the timestamp (ISO format) before which the timer does not activate.
+ * @property {string} [active_until] For limited-time events, the timestamp (ISO format) after which the timer no longer activates.
+ * @property {Boolean} [once] If true, the timer activates only at its seed time, and the repeat duration is not required.
+ * @property {NoticeSeed[]} [notices] Additional advance notices, each of which is announced at its own time.
 */
 
+/**
+ * @typedef {Object} NoticeSeed An additional advance notice of a timer's activation, e.g. "The gate closes in 1 hour".
+ *
+ * @property {number | {}} offset How far in advance of the activation the notice is sent, in milliseconds or luxon Duration object format.
+ * @property {string} [announce_string] The message printed for this notice. Defaults to the timer's announce string.
+ */
+
+/**
+ * @typedef {Object} Notice
+ *
+ * @property {Duration} offset How far in advance of the activation the notice is sent.
+ * @property {string} announcement The message printed for this notice.
+ * @property {Boolean} isDefault Whether this is the timer's default notice (from announce_offset), which reminders use unless
+ *                               a different notice is requested.
+ */
+
+/**
+ * @typedef {Object} CyclePhase One step of a repeating cycle, e.g. "Archduke" within the Toxic Spill cycle.
+ *
+ * @property {string} sub_area The sub-area that is active during this phase
+ * @property {number | {}} duration How long this phase lasts, in milliseconds or a luxon Duration object format.
+ * @property {string} announce_string The message printed when this phase begins
+ * @property {string} demand_string The message printed when this phase is upcoming
+ * @property {number | {}} [announce_offset] How far in advance of the phase's start the announcement should be sent.
+ * @property {NoticeSeed[]} [notices] Additional advance notices of the phase's start.
+ * @property {Boolean} [silent] If it's silent it doesn't get announced but otherwise works
+ */
+
+/**
+ * @typedef {Object} CycleSeed A serializable representation of a multi-phase cycle, such as the tides of Balack's Cove.
+ * A cycle is expanded into one TimerSeed per phase, each of which repeats once per cycle.
+ *
+ * @property {string} area The area shorthand (e.g. spill) that this cycle is for
+ * @property {string} seed_time A reference timestamp string that indicates when the first phase began. Assumed ISO format.
+ * @property {CyclePhase[]} phases The ordered phases of the cycle. Each phase begins when the previous one ends.
+ * @property {number | {}} [repeat_time] The total length of the cycle. If given, it must equal the sum of the phase durations.
+ * @property {Boolean} [silent] The default silent value for the phases of this cycle
+ * @property {string} [active_from] For limited-time events, the timestamp (ISO format) before which no phase activates.
+ * @property {string} [active_until] For limited-time events, the timestamp (ISO format) after which no phase activates.
+ */
+
 /**
  * Timers track various events within MouseHunt, generally things that would otherwise not be visible without travel. For example,
  * a Timer could be created to track when the Toxic Spill location's severity reaches the "Archduke" level. When a timer activates,
@@ -37,7 +86,7 @@ class Timer {
 
         // If the input Timer seed is a primitive (e.g. 1), or is missing required properties, bail.
         const keys = Object.keys(seed);
-        const required = ['area', 'seed_time', 'repeat_time'];
+        const required = seed.once ? ['area', 'seed_time'] : ['area', 'seed_time', 'repeat_time'];
         // If a required key is missing, or has a falsy value, then the seed is invalid.
         if (!keys.length || !required.every(rq => (keys.indexOf(rq) !== -1 && seed[rq])))
             throw new TypeError(`Input timer seed is missing required keys or values. Require values for keys "${required.join('", "')}".`);
@@ -52,15 +101,28 @@ class Timer {
         if (!this._seedTime.isValid)
             throw new TypeError(`(${this.name}): Input seed time "${seed.seed_time}" failed to parse into a valid DateTime.`);
 
-        // Create the Duration that represents the time period between activations.
-        this._repeatDuration = getAsDuration(seed.repeat_time || 0, true);
+        // Create the Duration that represents the time period between activations. One-shot timers only
+        // activate at their seed time, so their repeat duration merely needs to be valid.
+        this._repeatDuration = getAsDuration(seed.repeat_time || (seed.once ? { days: 1 } : 0), true);
         if (this._repeatDuration.as('minutes') < 1)
             throw new RangeError(`(${this.name}): Input repeat duration is "${seed.repeat_time}" (invalid or too short).`);
 
-        // Require the stored seed time to be in the past.
-        while (DateTime.utc() < this._seedTime) {
-            Logger.warn(`(${this.name}): seed time ("${this._seedTime}") in future: decrementing ${this._repeatDuration.as('minutes')} minutes.`);
-            this._seedTime = this._seedTime.minus(this._repeatDuration);
+        // A stable identifier, so that data about this timer can be persisted across restarts.
+        this._key = `${this._area}|${this._subArea || ''}|${this._seedTime.toMillis()}`;
+
+        // Limited-time timers only activate within their active window. A one-shot timer's window is its seed time.
+        this._once = !!seed.once;
+        this._activeFrom = this._once ? this._seedTime : getAsDateTime(seed.active_from, 'active_from', this.name);
+        this._activeUntil = this._once ? this._seedTime : getAsDateTime(seed.active_until, 'active_until', this.name);
+        if (this._activeFrom && this._activeUntil && this._activeUntil < this._activeFrom)
+            throw new RangeError(`(${this.name}): Input active_until "${seed.active_until}" is before active_from "${seed.active_from}".`);
+
+        // Require the stored seed time to be in the past, by moving it back a whole number of repeats.
+        const ahead = this._seedTime.diff(DateTime.utc()).as('milliseconds');
+        if (ahead > 0) {
+            const repeats = Math.ceil(ahead / this._repeatDuration.as('milliseconds'));
+            Logger.warn(`(${this.name}): seed time ("${this._seedTime}") in future: decrementing ${repeats} x ${this._repeatDuration.as('minutes')} minutes.`);
+            this._seedTime = this._seedTime.minus(this._repeatDuration.as('milliseconds') * repeats);
         }
 
         // Always set an announce string.
@@ -80,14 +142,45 @@ class Timer {
         // If no advance warning is specified, the timer will send reminders only when it activates.
         this._advanceNotice = getAsDuration(seed.announce_offset || 0, true);
 
+        // Additional notices are sent at their own times. Every notice must precede the following activation, which
+        // one-shot timers don't have, so e.g. a one-off event can be announced days ahead.
+        /** @type {Notice[]} */
+        this._notices = [{ offset: this._advanceNotice, announcement: this._announcement, isDefault: true }];
+        for (const notice of (seed.notices || [])) {
+            if (!notice || notice.offset === undefined)
+                throw new TypeError(`(${this.name}): Input notice is missing its offset.`);
+            this._notices.push({
+                offset: getAsDuration(notice.offset, true),
+                announcement: notice.announce_string || this._announcement,
+                isDefault: false,
+            });
+        }
+        const offsets = this._notices.map(notice => notice.offset.as('milliseconds'));
+        if (!this._once && offsets.some(offset => offset >= this._repeatDuration.as('milliseconds')))
+            throw new RangeError(`(${this.name}): Input notice offsets must be shorter than the repeat duration.`);
+        if (new Set(offsets).size !== offsets.length)
+            throw new RangeError(`(${this.name}): Input notices must have different offsets.`);
+
         // Default to not silent
         this._silent = !!seed.silent;
 
+        // If given, the phase duration describes how long the timer's state lasts after it activates.
+        this._duration = null;
+        if (seed.duration) {
+            this._duration = getAsDuration(seed.duration, true);
+            if (this._duration.as('milliseconds') <= 0
+                || (!this._once && this._duration.as('milliseconds') > this._repeatDuration.as('milliseconds')))
+                throw new RangeError(`(${this.name}): Input phase duration is "${seed.duration}" (invalid, or longer than the repeat duration).`);
+        }
+
         /** @type {Object <string, NodeJS.Timer>} the NodeJS.Timer object created by NodeJS.setTimeout() */
         this._timeout = {};
         /** @type {Object <string, NodeJS.Timer>} the NodeJS.Timer object created by NodeJS.setInterval() */
         this._interval = {};
 
+        // Keep the input, so that the timer can be written back to a file.
+        this._seed = Object.assign({}, seed);
+
         // Set a unique id for this timer.
         this._id = getId();
     }
@@ -112,6 +205,26 @@ class Timer {
         return this._id;
     }
 
+    /**
+     * An identifier for this timer that is the same across restarts, as long as its definition does not change.
+     *
+     * @instance
+     * @returns {string} e.g. "fg|close|1500897600000"
+     */
+    get key() {
+        return this._key;
+    }
+
+    /**
+     * Returns a copy of the seed that created this timer.
+     *
+     * @instance
+     * @returns {TimerSeed}
+     */
+    getSeed() {
+        return Object.assign({}, this._seed);
+    }
+
     /**
      * Advances the known last activation time by the repeat duration.
      * @instance
@@ -160,15 +273,103 @@ class Timer {
      * Determine the next time this particular Timer activates.
      *
      * @instance
-     * @returns {DateTime} a new Date object that indicates the next time this Timer will activate.
+     * @returns {DateTime | null} a new Date object that indicates the next time this Timer will activate, or null if
+     *                            the timer's active window has ended.
      */
     getNext() {
-        return this.getLastActivation().plus(this._repeatDuration);
+        return this.upcoming().next().value || null;
+    }
+
+    /**
+     * Determine the most recent activation whose announcement time (i.e. the activation time, less
+     * any advance notice) has already passed.
+     *
+     * @instance
+     * @returns {DateTime} The activation that was most recently announced (or was due to be announced).
+     */
+    getLastAnnounced() {
+        const next = this.getNext();
+        return (next && next.minus(this._advanceNotice) <= DateTime.utc()) ? next : this.getLastActivation();
+    }
+
+    /**
+     * Whether the given time is within this timer's active window. Timers without a window are always active.
+     *
+     * @instance
+     * @param {DateTime} time The time to check, e.g. an activation of this timer.
+     * @returns {Boolean}
+     */
+    isActiveAt(time) {
+        return (!this._activeFrom || time >= this._activeFrom) && (!this._activeUntil || time <= this._activeUntil);
+    }
+
+    /**
+     * Whether this timer will never activate again, e.g. because its event has ended.
+     *
+     * @instance
+     * @returns {Boolean}
+     */
+    isExpired() {
+        return !this.getNext();
+    }
+
+    /**
+     * Whether this timer activates only once, at its seed time.
+     *
+     * @instance
+     * @returns {Boolean}
+     */
+    isOneShot() {
+        return this._once;
+    }
+
+    /**
+     * The active window of this timer. Either end may be null, if the window is open-ended.
+     *
+     * @instance
+     * @returns {{ from: DateTime | null, until: DateTime | null }}
+     */
+    getActiveWindow() {
+        return { from: this._activeFrom, until: this._activeUntil };
+    }
+
+    /**
+     * List the activations after the given one that have already happened, e.g. those that would have been
+     * announced while the bot was offline. An upcoming activation whose advance notice has passed is not included,
+     * since it can still be announced on time.
+     *
+     * @instance
+     * @param {DateTime} since The most recent activation that is known to have been announced.
+     * @returns {DateTime[]} The missed activations, in chronological order.
+     */
+    getMissedActivations(since) {
+        const missed = [];
+        if (!since || !since.isValid)
+            return missed;
+        // Walk backwards, so the results align with the current schedule even if it changed since the last announcement.
+        const earliest = DateTime.max(since, this._seedTime);
+        for (let activation = this.getLastActivation(); activation > earliest; activation = activation.minus(this._repeatDuration))
+            if (this.isActiveAt(activation))
+                missed.unshift(activation);
+        return missed;
+    }
+
+    /**
+     * Whether the phase that began with the given activation is still ongoing. Timers that do not know their
+     * phase duration are only considered ongoing until they activate.
+     *
+     * @instance
+     * @param {DateTime} activation An activation of this timer.
+     * @returns {Boolean}
+     */
+    isOngoing(activation) {
+        const end = this._duration ? activation.plus(this._duration) : activation;
+        return end > DateTime.utc();
     }
 
     /**
      * Return a generator to obtain any number of Date objects that describe when this
-     * timer activates.
+     * timer activates. Only activations within the timer's active window are returned.
      *
      * @param {DateTime} [until] The date & time beyond which no activations should be returned.
      * @instance
@@ -176,8 +377,15 @@ class Timer {
      */
     * upcoming(until) {
         let last = this.getLastActivation();
+        // Skip directly to the start of the active window, rather than iterating over every inactive period.
+        if (this._activeFrom && last < this._activeFrom) {
+            const periods = Math.ceil(this._activeFrom.diff(last).as('milliseconds') / this._repeatDuration.as('milliseconds'));
+            last = last.plus(this._repeatDuration.as('milliseconds') * (periods - 1));
+        }
         while (!until || last.plus(this._repeatDuration) < until) {
             last = last.plus(this._repeatDuration);
+            if (this._activeUntil && last > this._activeUntil)
+                return;
             yield last;
         }
     }
@@ -204,13 +412,14 @@ class Timer {
     }
 
     /**
-     * Returns the string to be displayed when the timer activates.
+     * Returns the string to be displayed when the timer activates, with its placeholders filled in.
      *
      * @instance
+     * @param {import('./timer-templates').TemplateContext} [context] The activation to describe, and any replacement text.
      * @returns {string} The announcement associated with the timer.
      */
-    getAnnouncement() {
-        return this._announcement;
+    getAnnouncement(context = {}) {
+        return renderTemplate(context.template || this._announcement, this, context);
     }
 
     /**
@@ -225,13 +434,71 @@ class Timer {
     }
 
     /**
-     * Returns the string to be displayed when this timer is nearing activation
+     * Return every notice of this timer's activations, earliest first. The default notice (from
+     * announce_offset) is always included.
+     *
+     * @instance
+     * @returns {Notice[]}
+     */
+    getNotices() {
+        return this._notices.slice().sort((a, b) => b.offset - a.offset);
+    }
+
+    /**
+     * Find the notice with the given offset, or the default notice.
+     *
+     * @instance
+     * @param {Duration | number} [offset] The offset of the notice (as a Duration or in milliseconds). If omitted, the default is returned.
+     * @returns {Notice | undefined} The matching notice, if any.
+     */
+    getNotice(offset) {
+        if (offset === undefined || offset === null)
+            return this._notices[0];
+        const ms = Duration.isDuration(offset) ? offset.as('milliseconds') : offset;
+        return this._notices.find(notice => notice.offset.as('milliseconds') === ms);
+    }
+
+    /**
+     * A stable identifier for the given notice of this timer, to remember the activations it was sent for across restarts.
+     * The default notice is identified by the timer's key.
+     *
+     * @instance
+     * @param {Notice} notice One of this timer's notices.
+     * @returns {string}
+     */
+    getNoticeKey(notice) {
+        return notice.isDefault ? this._key : `${this._key}|${notice.offset.as('milliseconds')}`;
+    }
+
+    /**
+     * Find the next activation for which the given notice is yet to be sent, e.g. when (re)scheduling the notice.
+     * Without a record of the last activation it was sent for, an additional notice whose time has already passed
+     * is assumed to have been sent, since only the default notice is caught up on.
      *
      * @instance
+     * @param {Notice} notice One of this timer's notices.
+     * @param {DateTime} [sent] The last activation for which the notice was sent, if known.
+     * @returns {DateTime | null} The activation, or null if the timer will not activate again.
+     */
+    getNextNoticeActivation(notice, sent) {
+        const known = !!(sent && sent.isValid);
+        const now = DateTime.utc();
+        for (const activation of this.upcoming()) {
+            if (known ? activation > sent : (notice.isDefault || activation.minus(notice.offset) >= now))
+                return activation;
+        }
+        return null;
+    }
+
+    /**
+     * Returns the string to be displayed when this timer is nearing activation, with its placeholders filled in.
+     *
+     * @instance
+     * @param {import('./timer-templates').TemplateContext} [context] The activation to describe, and any replacement text.
      * @returns {string} A call to action, e.g. "Closing soon, travel early!"
      */
-    getDemand() {
-        return this._demand;
+    getDemand(context = {}) {
+        return renderTemplate(context.template || this._demand, this, context);
     }
 
     /**
@@ -244,6 +511,17 @@ class Timer {
         return this._repeatDuration;
     }
 
+    /**
+     * The amount of time that this timer's state lasts after each activation, e.g. 24 hours of Archduke.
+     * Timers that are not part of a cycle may not know their phase duration.
+     *
+     * @instance
+     * @returns {Duration | null} The phase duration, or null if it is unknown.
+     */
+    getDuration() {
+        return this._duration;
+    }
+
     /**
      * Stores the registered Node.js Timer object for this timer instance, after
      * stopping any existing timeout.
@@ -326,6 +604,69 @@ class Timer {
     isSilent() {
         return this._silent;
     }
+
+    /**
+     * Whether the given input describes a multi-phase cycle rather than a single timer.
+     *
+     * @static
+     * @param {TimerSeed | CycleSeed} seed An entry from the timers file.
+     * @returns {Boolean}
+     */
+    static isCycle(seed) {
+        return !!seed && Array.isArray(seed.phases);
+    }
+
+    /**
+     * Convert a cycle definition into one TimerSeed per phase. Each phase begins when the previous phase
+     * ends, and all phases repeat with the period of the full cycle.
+     *
+     * @static
+     * @param {CycleSeed} cycle The cycle to expand.
+     * @returns {TimerSeed[]} The seeds of the timers that make up the cycle, in phase order.
+     */
+    static expandCycle(cycle) {
+        if (!Timer.isCycle(cycle) || !cycle.phases.length)
+            throw new TypeError('Cycle expansion requires an input cycle with at least one phase.');
+        if (!cycle.area || !cycle.seed_time)
+            throw new TypeError('Input cycle is missing required keys or values. Require values for keys "area", "seed_time", "phases".');
+
+        const start = DateTime.fromISO(cycle.seed_time);
+        if (!start.isValid)
+            throw new TypeError(`(${cycle.area}): Input cycle seed time "${cycle.seed_time}" failed to parse into a valid DateTime.`);
+
+        const durations = cycle.phases.map((phase, i) => {
+            if (!phase || !phase.sub_area)
+                throw new TypeError(`(${cycle.area}): Phase ${i} of the cycle is missing its sub_area.`);
+            const duration = getAsDuration(phase.duration, true);
+            if (duration.as('minutes') < 1)
+                throw new RangeError(`(${cycle.area}: ${phase.sub_area}): Input phase duration is "${phase.duration}" (invalid or too short).`);
+            return duration.as('milliseconds');
+        });
+        const period = durations.reduce((total, duration) => total + duration, 0);
+        if (cycle.repeat_time && getAsDuration(cycle.repeat_time).as('milliseconds') !== period)
+            throw new RangeError(`(${cycle.area}): Input cycle repeat duration "${cycle.repeat_time}" does not match the sum of its phases (${period} ms).`);
+
+        let elapsed = 0;
+        return cycle.phases.map((phase, i) => {
+            const seed = {
+                area: cycle.area,
+                sub_area: phase.sub_area,
+                seed_time: start.plus(elapsed).toUTC().toISO(),
+                repeat_time: period,
+                duration: durations[i],
+            };
+            elapsed += durations[i];
+            ['announce_string', 'demand_string', 'announce_offset', 'notices']
+                .filter(key => phase[key] !== undefined)
+                .forEach(key => seed[key] = phase[key]);
+            ['active_from', 'active_until']
+                .filter(key => cycle[key] !== undefined)
+                .forEach(key => seed[key] = cycle[key]);
+            if (phase.silent !== undefined ? phase.silent : cycle.silent)
+                seed.silent = true;
+            return seed;
+        });
+    }
 }
 
 /**
@@ -348,6 +689,21 @@ const id = nextId();
 function getId() {
     return id.next().value;
 }
+/**
+ * Convert the given optional timestamp into a DateTime object.
+ * @param {string} [value] an ISO timestamp from a user/file, if any.
+ * @param {string} key the name of the seed property, for error messages.
+ * @param {string} name the name of the timer, for error messages.
+ * @returns {DateTime | null} The timestamp, or null if none was given.
+ */
+function getAsDateTime(value, key, name) {
+    if (!value)
+        return null;
+    const time = DateTime.fromISO(value);
+    if (!time.isValid)
+        throw new TypeError(`(${name}): Input ${key} "${value}" failed to parse into a valid DateTime.`);
+    return time;
+}
 /**
  * Convert the given input into a Duration object
  * @param {{} | number} value a value from a user/file to be cast to a duration.
@@ -0,0 +1,171 @@
+// Per-user preferences, such as the timezone in which to show times. Unlike the hunter registry, no hunter ID is needed.
+// eslint-disable-next-line no-unused-vars
+const { Snowflake } = require('discord.js');
+const { DateTime, Duration, IANAZone } = require('luxon');
+
+const Logger = require('./logger');
+const { loadDataFromJSON, saveDataAsJSON } = require('./file-utils');
+const { scheduler } = require('./scheduler');
+const preferences_filename = 'data/user_preferences.json';
+/** @type {Object <string, Object <string, any>>} The preferences of each user, keyed by Discord ID. */
+const preferences = {};
+
+const save_frequency = Duration.fromObject({ minutes: 5 });
+let someone_initialized = 0;
+let preferencesSaveInterval;
+
+/**
+ * Meant to be called when the bot starts, before reminders are sent
+ *
+ * @returns {Promise<boolean>}
+ */
+async function initialize() {
+    if (someone_initialized)
+        return true;
+    someone_initialized = true;
+    const preferenceData = await loadPreferences();
+    // Preferences set before the file was read take precedence.
+    for (const user of Object.keys(preferenceData))
+        preferences[user] = Object.assign(preferenceData[user], preferences[user]);
+    Logger.log(`Preferences: imported preferences of ${Object.keys(preferenceData).length} users from file.`);
+    preferencesSaveInterval = scheduler.every('save user preferences', save_frequency, savePreferences);
+    return true;
+}
+
+/**
+ * Function that is called when the bot is shutting down
+ *
+ * @returns {Promise<boolean>}
+ */
+function save() {
+    if (!someone_initialized)
+        return Promise.resolve(false);
+    someone_initialized = 0;
+    scheduler.cancel(preferencesSaveInterval);
+    return savePreferences();
+}
+
+/**
+ * Load user preferences from the input path, defaulting to the value of 'preferences_filename'.
+ *
+ * @param {string} [path] The path to a JSON file to read data from. Default is the 'preferences_filename'.
+ * @returns {Promise <{}>} Data from the given file, as an object to be consumed by the caller.
+ */
+async function loadPreferences(path = preferences_filename) {
+    return loadDataFromJSON(path).catch(err => {
+        Logger.error(`Preferences: Error loading data from '${path}':\n`, err);
+        return {};
+    });
+}
+
+/**
+ * Serialize the user preferences to the given path, defaulting to the value of 'preferences_filename'
+ *
+ * @param {string} [path] The path to a file to write JSON data to. Default is the 'preferences_filename'.
+ * @returns {Promise <boolean>} Whether the save operation completed without error.
+ */
+async function savePreferences(path = preferences_filename) {
+    return saveDataAsJSON(path, preferences);
+}
+
+/**
+ * Get one of the user's preferences.
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @param {string} key The preference, e.g. "timezone".
+ * @returns {any} The user's value for the preference, or undefined if they have not set it.
+ */
+function getUserPreference(discordId, key) {
+    return preferences[discordId] ? preferences[discordId][key] : undefined;
+}
+
+/**
+ * Set or clear one of the user's preferences.
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @param {string} key The preference, e.g. "timezone".
+ * @param {any} [value] The new value. If undefined, the preference is cleared.
+ */
+function setUserPreference(discordId, key, value) {
+    if (value === undefined) {
+        if (preferences[discordId]) {
+            delete preferences[discordId][key];
+            if (!Object.keys(preferences[discordId]).length)
+                delete preferences[discordId];
+        }
+        return;
+    }
+    if (!preferences[discordId])
+        preferences[discordId] = {};
+    preferences[discordId][key] = value;
+}
+
+/**
+ * Get the timezone in which the user wants to see times.
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @returns {string | undefined} The IANA name of the user's timezone, e.g. "America/Chicago", if they set one.
+ */
+function getUserTimezone(discordId) {
+    return getUserPreference(discordId, 'timezone');
+}
+
+/**
+ * Set the user's timezone, after checking that it is a known IANA timezone (or "UTC").
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @param {string} [zone] The timezone, e.g. "America/Chicago". If omitted, the user's timezone is cleared.
+ * @returns {string} A reply for the user.
+ */
+function setUserTimezone(discordId, zone) {
+    if (!zone) {
+        setUserPreference(discordId, 'timezone', undefined);
+        return 'I forgot your timezone. I\'ll only show how long until each timer.';
+    }
+    const name = zone.toUpperCase() === 'UTC' ? 'UTC' : zone;
+    if (name !== 'UTC' && !IANAZone.isValidZone(name))
+        return `I don't know the timezone "${zone}". Use a name like America/Chicago or Europe/London.`;
+    setUserPreference(discordId, 'timezone', name);
+    return `Your timezone is set to ${name}. It's ${formatLocalTime(DateTime.utc(), name)} there.`;
+}
+
+/**
+ * Get the user's quiet hours, during which their reminders are held back.
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @returns {import('./quiet-hours').QuietHours | undefined} The user's quiet hours, if they set them.
+ */
+function getUserQuietHours(discordId) {
+    return getUserPreference(discordId, 'quiet');
+}
+
+/**
+ * Set or clear the user's quiet hours.
+ *
+ * @param {Snowflake} discordId The user's Discord ID.
+ * @param {import('./quiet-hours').QuietHours} [quiet] The quiet hours. If omitted, the user's quiet hours are cleared.
+ */
+function setUserQuietHours(discordId, quiet) {
+    setUserPreference(discordId, 'quiet', quiet);
+}
+
+/**
+ * Format the time as a local clock time in the given timezone, e.g. "Tue 14:40 CDT".
+ *
+ * @param {DateTime} time The time to format.
+ * @param {string} zone The IANA name of the timezone.
+ * @returns {string}
+ */
+function formatLocalTime(time, zone) {
+    return time.setZone(zone).toFormat('ccc HH:mm ZZZZ');
+}
+
+module.exports.initialize = initialize;
+module.exports.save = save;
+module.exports.getUserPreference = getUserPreference;
+module.exports.setUserPreference = setUserPreference;
+module.exports.getUserTimezone = getUserTimezone;
+module.exports.setUserTimezone = setUserTimezone;
+module.exports.getUserQuietHours = getUserQuietHours;
+module.exports.setUserQuietHours = setUserQuietHours;
+module.exports.formatLocalTime = formatLocalTime;
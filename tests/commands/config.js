@@ -6,6 +6,7 @@ const { stubLogger, restoreLogger } = require('../helpers/logging');
 // We need a decently realistic Message stub.
 const mockMessage = require('../helpers/mock-message');
 const mockMember = require('../helpers/mock-member');
+const Timer = require('../../src/modules/timers');
 
 // Declaration of what we're testing.
 /** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
@@ -154,6 +155,207 @@ test('commands - config', suite => {
         sinon.reset();
     });
 
+
+    /**
+     * Create an admin's message in a guild with two timer channels, one of which only announces spill timers.
+     * @param {string} [channelName] The name of the channel mentioned in the message.
+     */
+    const timerChannelMessage = (channelName = 'timers') => {
+        const messageStub = mockMessage();
+        const memberStub = mockMember({ clientStub: {
+            timers_list: [
+                new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 }),
+                new Timer({ area: 'spill', sub_area: 'arch', seed_time: '2017-06-03T11:00:00.000Z', repeat_time: 1180800000 }),
+            ],
+            timerControl: { refreshChannels: sinon.stub() },
+        } });
+        memberStub.hasPermission.withArgs('ADMINISTRATOR').returns(true);
+        Object.assign(memberStub.client.settings.guilds['987654321'], {
+            timedAnnouncementChannels: new Set(['timers', 'toxic-spill']),
+            timerChannelAreas: { 'toxic-spill': ['spill'] },
+        });
+        messageStub.guild = memberStub.guild;
+        messageStub.client = memberStub.client;
+        messageStub.member = memberStub;
+        messageStub.mentions = { channels: { first: () => ({ name: channelName }) } };
+        return messageStub;
+    };
+    suite.test('when admin views timer channels - shows the areas of each', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        await CONFIG.execute(messageStub, ['timers']);
+        const reply = messageStub.channel.send.getCall(0).args[0];
+        t.match(reply, /timers: all timers/, 'should show unrestricted channels');
+        t.match(reply, /toxic-spill: spill/, 'should show the areas of restricted channels');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets timer channel areas - saves and applies them', async t => {
+        t.plan(3);
+
+        const messageStub = timerChannelMessage();
+        await CONFIG.execute(messageStub, ['timers', 'areas', '<#123>', 'fg', 'arch']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.timerChannelAreas.timers, ['fg', 'spill:arch'], 'should store areas and sub-areas');
+        t.true(messageStub.client.timerControl.refreshChannels.calledOnce, 'should update the scheduled timers');
+        t.match(messageStub.channel.send.getCall(0).args[0], /timers: fg, spill arch/, 'should confirm the change');
+
+        sinon.reset();
+    });
+    suite.test('when admin resets timer channel areas - announces all timers', async t => {
+        t.plan(1);
+
+        const messageStub = timerChannelMessage('toxic-spill');
+        await CONFIG.execute(messageStub, ['timers', 'areas', '<#123>', 'all']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.false('toxic-spill' in guildSettings.timerChannelAreas, 'should remove the restriction');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets an unknown timer channel area - changes nothing', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage('toxic-spill');
+        await CONFIG.execute(messageStub, ['timers', 'areas', '<#123>', 'mars']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.timerChannelAreas['toxic-spill'], ['spill'], 'should keep the existing areas');
+        t.match(messageStub.channel.send.getCall(0).args[0], /don't know these areas: mars/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets an area template - stores it', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        await CONFIG.execute(messageStub, ['templates', 'gate', 'announce', 'The', 'gate', 'closes', '{relative}']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.timerTemplates, { fg: { announce: 'The gate closes {relative}' } }, 'should store the text for the area');
+        t.match(messageStub.channel.send.getCall(0).args[0], /fg timers will use this announce text/, 'should confirm the change');
+
+        sinon.reset();
+    });
+    suite.test('when admin resets an area template - removes it', async t => {
+        t.plan(1);
+
+        const messageStub = timerChannelMessage();
+        messageStub.client.settings.guilds['987654321'].timerTemplates = { fg: { demand: 'Hurry' } };
+        await CONFIG.execute(messageStub, ['templates', 'fg', 'demand', 'reset']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.timerTemplates, {}, 'should remove the area');
+
+        sinon.reset();
+    });
+    suite.test('when admin views templates - lists them and the placeholders', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        messageStub.client.settings.guilds['987654321'].timerTemplates = { spill: { demand: 'Spill {next_phase_in}' } };
+        await CONFIG.execute(messageStub, ['templates']);
+        const reply = messageStub.channel.send.getCall(0).args[0];
+        t.match(reply, /spill demand: Spill \{next_phase_in\}/, 'should list the templates');
+        t.match(reply, /\{ends_in\}/, 'should list the placeholders');
+
+        sinon.reset();
+    });
+    suite.test('when admin creates a dashboard - stores and posts it', async t => {
+        t.plan(3);
+
+        const messageStub = timerChannelMessage();
+        messageStub.client.timerControl.refreshDashboards = sinon.stub();
+        messageStub.mentions = { channels: { first: () => ({ id: '555', type: 'text', toString: () => '<#555>' }) } };
+        await CONFIG.execute(messageStub, ['dashboard', '<#555>']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.dashboard, { channel: '555' }, 'should store the channel');
+        t.true(messageStub.client.timerControl.refreshDashboards.calledOnce, 'should post the dashboard');
+        t.match(messageStub.channel.send.getCall(0).args[0], /dashboard pinned in <#555>/, 'should confirm the change');
+
+        sinon.reset();
+    });
+    suite.test('when admin turns off the dashboard - removes it', async t => {
+        t.plan(1);
+
+        const messageStub = timerChannelMessage();
+        messageStub.client.settings.guilds['987654321'].dashboard = { channel: '555', message: '1' };
+        messageStub.mentions = { channels: { first: () => undefined } };
+        await CONFIG.execute(messageStub, ['dashboard', 'off']);
+        t.false('dashboard' in messageStub.client.settings.guilds['987654321'], 'should forget the dashboard');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets the DM notice channel - stores it', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        messageStub.mentions = { channels: { first: () => ({ id: '556', type: 'text', toString: () => '<#556>' }) } };
+        await CONFIG.execute(messageStub, ['dmnotice', '<#556>']);
+        t.strictEqual(messageStub.client.settings.guilds['987654321'].dmNoticeChannel, '556', 'should store the channel');
+        t.match(messageStub.channel.send.getCall(0).args[0], /DMs are closed in <#556>/, 'should confirm the change');
+
+        sinon.reset();
+    });
+    suite.test('when admin binds a role to a sub-area - stores it', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        messageStub.mentions.roles = { first: () => ({ id: '777', name: 'arch-spill' }) };
+        await CONFIG.execute(messageStub, ['roles', 'arch', '<@&777>']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.timerRoles, { 'spill:arch': '777' }, 'should store the role for the sub-area');
+        t.match(messageStub.channel.send.getCall(0).args[0], /mention arch-spill when spill arch timers/, 'should confirm the change');
+
+        sinon.reset();
+    });
+    suite.test('when admin unbinds a role - removes it', async t => {
+        t.plan(1);
+
+        const messageStub = timerChannelMessage();
+        messageStub.mentions.roles = { first: () => undefined };
+        messageStub.client.settings.guilds['987654321'].timerRoles = { 'fg': '777' };
+        await CONFIG.execute(messageStub, ['roles', 'fg', 'off']);
+        t.deepEqual(messageStub.client.settings.guilds['987654321'].timerRoles, {}, 'should forget the role');
+
+        sinon.reset();
+    });
+    suite.test('when admin posts a role menu - reacts with each role', async t => {
+        t.plan(3);
+
+        const messageStub = timerChannelMessage();
+        const menu = { id: 'menu', react: sinon.stub().resolves() };
+        const channel = { id: '555', type: 'text', send: sinon.stub().resolves(menu), toString: () => '<#555>' };
+        messageStub.mentions = { channels: { first: () => channel }, roles: { first: () => undefined } };
+        messageStub.client.settings.guilds['987654321'].timerRoles = { 'fg': '777', 'spill:arch': '778' };
+        await CONFIG.execute(messageStub, ['roles', 'menu', '<#555>']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.strictEqual(menu.react.callCount, 2, 'should react once per role');
+        t.strictEqual(guildSettings.timerRoleMenu.message, 'menu', 'should remember the menu');
+        t.match(messageStub.channel.send.getCall(0).args[0], /pick their timer roles in <#555>/, 'should confirm');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets a cleanup policy - stores it', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        await CONFIG.execute(messageStub, ['cleanup', 'keep', '3']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.deepEqual(guildSettings.announcementCleanup, { mode: 'keep', count: 3 }, 'should store the policy');
+        t.match(messageStub.channel.send.getCall(0).args[0], /only the latest 3 announcements/, 'should describe the policy');
+
+        sinon.reset();
+    });
+    suite.test('when admin sets an unknown cleanup policy - changes nothing', async t => {
+        t.plan(2);
+
+        const messageStub = timerChannelMessage();
+        await CONFIG.execute(messageStub, ['cleanup', 'sometimes']);
+        const guildSettings = messageStub.client.settings.guilds['987654321'];
+        t.false('announcementCleanup' in guildSettings, 'should not store a policy');
+        t.match(messageStub.channel.send.getCall(0).args[0], /only know these cleanup policies/, 'should explain');
+
+        sinon.reset();
+    });
+
     suite.test('Restore Loggers - config', t => {
         restoreLogger(logStubs);
         t.end();
@@ -0,0 +1,60 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { Duration } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+// We need a decently realistic Message stub.
+const mockMessage = require('../helpers/mock-message');
+const { deliveryQueue } = require('../../src/modules/delivery-queue');
+
+// Declaration of what we're testing.
+/** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
+let DELIVERIES;
+
+test('commands - DELIVERIES', suite => {
+    let logStubs;
+    let queueStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        queueStubs = [
+            sinon.stub(deliveryQueue, 'getStats').returns({
+                pending: 3, retrying: 1, oldest: Duration.fromObject({ seconds: 12 }), sent: 40, retried: 2, permanent: 1, exhausted: 0,
+            }),
+            sinon.stub(deliveryQueue, 'getDeadLetters').returns([
+                { at: '2020-01-01T00:00:00.000Z', recipient: '1', label: 'reminder #abc123', kind: 'dms_closed', reason: 'Cannot send messages to this user', attempts: 1 },
+                { at: '2020-01-02T00:00:00.000Z', recipient: '2', label: 'reminder #def456', kind: 'exhausted', reason: 'Service Unavailable', attempts: 4 },
+            ]),
+        ];
+
+        // Now that we have stubs active, we can require the test subject.
+        DELIVERIES = require('../../src/commands/deliveries');
+        t.end();
+    });
+
+    suite.test('when called without arguments - replies with the queue statistics', async t => {
+        t.plan(3);
+
+        const messageStub = mockMessage();
+        const result = await DELIVERIES.execute(messageStub, []);
+        t.true(result.success, 'should succeed');
+        const reply = messageStub.channel.send.getCall(0).args[0];
+        t.match(reply, /Waiting: 3 \(1 to be retried\), the oldest for 12s/, 'should describe the waiting deliveries');
+        t.match(reply, /Given up: 1 undeliverable, 0 after too many retries/, 'should describe the failures');
+    });
+    suite.test('when called with dead - lists the latest dead letters first', async t => {
+        t.plan(2);
+
+        const messageStub = mockMessage();
+        await DELIVERIES.execute(messageStub, ['dead', '1']);
+        const reply = messageStub.channel.send.getCall(0).args[0];
+        t.match(reply, /reminder #def456 for 2 \(exhausted, 4 attempts\)/, 'should describe the latest dead letter');
+        t.false(/abc123/.test(reply), 'should list only the requested number');
+    });
+
+    suite.test('Restore Stubs - DELIVERIES', t => {
+        queueStubs.forEach(stub => stub.restore());
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
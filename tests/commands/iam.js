@@ -7,6 +7,7 @@ const { stubLogger, restoreLogger } = require('../helpers/logging');
 const { stubHunterRegistry, restoreHunterRegistry } = require('../helpers/hunters');
 // We need a decently realistic Message stub.
 const mockMessage = require('../helpers/mock-message');
+const { getUserTimezone, getUserQuietHours } = require('../../src/modules/user-preferences');
 
 // Declaration of what we're testing.
 /** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
@@ -105,6 +106,40 @@ test('commands - IAM', suite => {
 
         sinon.reset();
     });
+    suite.test('when called with "tz" and a timezone - sets the timezone without a hunter ID', async t => {
+        t.plan(3);
+
+        const messageStub = mockMessage();
+        await IAM.execute(messageStub, ['tz', 'America/Chicago']);
+        t.strictEqual(getUserTimezone(messageStub.author.id), 'America/Chicago', 'should set the timezone');
+        t.strictEqual(hunterStubs.setHunterID.callCount, 0, 'should not set a hunter ID');
+        await IAM.execute(messageStub, ['tz', 'off']);
+        t.strictEqual(getUserTimezone(messageStub.author.id), undefined, 'should clear the timezone');
+
+        sinon.reset();
+    });
+    suite.test('when called with "tz" and an unknown timezone - explains', async t => {
+        t.plan(2);
+
+        const messageStub = mockMessage();
+        await IAM.execute(messageStub, ['tz', 'Mars/Olympus']);
+        t.strictEqual(getUserTimezone(messageStub.author.id), undefined, 'should not set the timezone');
+        t.match(messageStub.channel.send.getCall(0).args[0], /don't know the timezone/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when called with "quiet" and hours - sets the quiet hours', async t => {
+        t.plan(3);
+
+        const messageStub = mockMessage();
+        await IAM.execute(messageStub, ['quiet', '23:00-07:00', 'digest']);
+        t.deepEqual(getUserQuietHours(messageStub.author.id), { start: '23:00', end: '07:00', mode: 'digest' }, 'should set the quiet hours');
+        t.match(messageStub.channel.send.getCall(0).args[0], /sent together/, 'should describe the quiet hours');
+        await IAM.execute(messageStub, ['quiet', 'off']);
+        t.strictEqual(getUserQuietHours(messageStub.author.id), undefined, 'should clear the quiet hours');
+
+        sinon.reset();
+    });
     suite.test('Restore Loggers - iam', t => {
         restoreHunterRegistry(hunterStubs);
         restoreLogger(logStubs);
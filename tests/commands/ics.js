@@ -0,0 +1,102 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+// We need a decently realistic Message stub.
+const mockMessage = require('../helpers/mock-message');
+const Timer = require('../../src/modules/timers');
+const { DateTime } = require('luxon');
+
+// Declaration of what we're testing.
+/** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
+let ICS;
+
+const mockClient = () => ({
+    timers_list: [
+        new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000,
+            demand_string: '**Forbidden Grove** Travel early, the gate closes' }),
+        new Timer({ area: 'cove', sub_area: 'low', seed_time: '2017-07-21T14:40:00.000Z', repeat_time: 67200000,
+            duration: { hours: 16 }, demand_string: '**Balack\'s Cove** Low Tide starts' }),
+        new Timer({ area: 'relic_hunter', seed_time: '2017-07-10T00:00:00.000Z', repeat_time: 86400000, silent: true }),
+    ],
+});
+
+/**
+ * Count the activations of the given timers in the next days.
+ * @param {Timer[]} timers The timers to count.
+ * @param {number} days The number of days to look ahead.
+ * @returns {number}
+ */
+const countActivations = (timers, days) => timers
+    .reduce((total, timer) => total + Array.from(timer.upcoming(DateTime.utc().plus({ days }))).length, 0);
+
+/**
+ * Read the calendar that was attached to the reply.
+ * @param {Object} messageStub The message that the command replied to.
+ * @returns {string}
+ */
+const getCalendar = messageStub => messageStub.channel.send.getCall(0).args[1].files[0].attachment.toString('utf8');
+
+test('commands - ICS', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+
+        // Now that we have stubs active, we can require the test subject.
+        ICS = require('../../src/commands/ics');
+        t.end();
+    });
+
+    suite.test('when given no arguments - attaches a week of non-silent timers', async t => {
+        t.plan(4);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub });
+        const result = await ICS.execute(messageStub, []);
+        t.true(result.success, 'should succeed');
+        const ics = getCalendar(messageStub);
+        t.strictEqual(ics.match(/BEGIN:VEVENT/g).length, countActivations(clientStub.timers_list.slice(0, 2), 7),
+            'should include each activation in the next 7 days');
+        t.true(ics.includes('SUMMARY:Forbidden Grove Travel early\\, the gate closes'), 'should use the demand string');
+        t.true(ics.includes('DESCRIPTION:Balack\'s Cove Low Tide starts\\nLasts 16h'), 'should include the phase duration');
+    });
+    suite.test('when given an area and days - filters the timers', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub });
+        await ICS.execute(messageStub, ['cove', '14']);
+        const ics = getCalendar(messageStub);
+        t.false(ics.includes('Forbidden Grove'), 'should exclude other areas');
+        t.strictEqual(ics.match(/BEGIN:VEVENT/g).length, countActivations(clientStub.timers_list.slice(1, 2), 14),
+            'should include 14 days of activations');
+    });
+    suite.test('when the demand string has placeholders - fills them in for each event', async t => {
+        t.plan(2);
+
+        const timer = new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000,
+            demand_string: 'The gate closes at {absolute_utc}' });
+        const messageStub = mockMessage({ clientStub: { timers_list: [timer] } });
+        await ICS.execute(messageStub, []);
+        const summaries = getCalendar(messageStub).match(/SUMMARY:.*/g);
+        const [first, second] = timer.upcoming(DateTime.utc().plus({ days: 2 }));
+        t.true(summaries[0].includes(first.toUTC().toFormat('yyyy-LL-dd HH:mm')), 'should describe the first activation');
+        t.true(summaries[1].includes(second.toUTC().toFormat('yyyy-LL-dd HH:mm')), 'should describe the next activation');
+    });
+    suite.test('when channel#send fails - logs error', async t => {
+        t.plan(2);
+
+        const messageStub = mockMessage({ clientStub: mockClient(), sendStub: sinon.stub().rejects(Error('oops!')) });
+        const result = await ICS.execute(messageStub, []);
+        t.match(logStubs.error.getCall(0).args[0], /failed to send/, 'should indicate error source');
+        t.true(result.botError, 'should indicate bot error');
+
+        sinon.reset();
+    });
+
+    suite.test('Restore Loggers - ics', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,70 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { DateTime } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+// We need a decently realistic Message stub.
+const mockMessage = require('../helpers/mock-message');
+const Timer = require('../../src/modules/timers');
+const timerData = require('../../data/timer_settings.json');
+
+// Declaration of what we're testing.
+/** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
+let NOW;
+
+const mockClient = () => ({
+    timers_list: [].concat(...timerData.map(e => Timer.isCycle(e) ? Timer.expandCycle(e) : [e])).map(s => new Timer(s)),
+});
+
+test('commands - NOW', suite => {
+    let logStubs;
+    let clock;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        // While the Forbidden Grove is open and the Toxic Spill is falling through Baron.
+        clock = sinon.useFakeTimers(DateTime.fromISO('2017-07-28T12:30:00Z').toMillis());
+
+        // Now that we have stubs active, we can require the test subject.
+        NOW = require('../../src/commands/now');
+        t.end();
+    });
+
+    suite.test('when channel is text - replies with a compact summary', async t => {
+        t.plan(5);
+
+        const messageStub = mockMessage({ clientStub: mockClient() });
+        const result = await NOW.execute(messageStub, []);
+        t.true(result.success, 'should succeed');
+        const { embed } = messageStub.channel.send.getCall(0).args[1];
+        t.match(embed.description, /\*\*Forbidden Grove\*\*: Open, then Closed in 3 hours and 30 minutes/, 'should describe the gate');
+        t.match(embed.description, /\*\*Seasonal Garden\*\*: Spring, then Summer/, 'should describe the season');
+        t.match(embed.description, /\*\*Toxic Spill\*\*: Baron\/Baroness \(falling\), then Lord\/Lady/, 'should describe the spill trend');
+        t.false(/Daily Reset|Relic Hunter/.test(embed.description), 'should skip areas without phases');
+    });
+    suite.test('when channel is dm - replies with details', async t => {
+        t.plan(3);
+
+        const messageStub = mockMessage({ channelType: 'dm', clientStub: mockClient() });
+        const result = await NOW.execute(messageStub, []);
+        t.true(result.sentDM, 'should signal the DM');
+        const { embed } = messageStub.channel.send.getCall(0).args[1];
+        const cove = embed.fields.find(field => field.name === 'Balack\'s Cove');
+        t.match(cove.value, /^Now: \*\*\w+ Tide\*\*, since /, 'should describe the current tide');
+        t.match(cove.value, /\nEnds in .*\nNext: .*\nThen: .*\nThen: /, 'should describe when the tide ends and the next phases');
+    });
+    suite.test('when channel#send fails - logs error', async t => {
+        t.plan(2);
+
+        const messageStub = mockMessage({ clientStub: mockClient(), sendStub: sinon.stub().rejects(Error('oops!')) });
+        const result = await NOW.execute(messageStub, []);
+        t.match(logStubs.error.getCall(0).args[0], /failed to send/, 'should indicate error source');
+        t.true(result.botError, 'should indicate bot error');
+    });
+
+    suite.test('Restore Loggers - now', t => {
+        clock.restore();
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,82 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+// We need a decently realistic Message stub.
+const mockMessage = require('../helpers/mock-message');
+const mockMember = require('../helpers/mock-member');
+const Timer = require('../../src/modules/timers');
+const Reminder = require('../../src/modules/reminders');
+
+// Declaration of what we're testing.
+/** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
+let REMIND;
+
+/**
+ * Create a message from the bot owner in a server with a #team channel.
+ * @param {Reminder[]} reminders The known reminders.
+ */
+const channelMessage = (reminders = []) => {
+    const messageStub = mockMessage({ authorId: '1' });
+    const memberStub = mockMember({ memberId: '1' });
+    messageStub.author.send = sinon.stub().resolves();
+    messageStub.author.username = 'owner';
+    messageStub.member = memberStub;
+    messageStub.guild = Object.assign({ name: 'guild', channels: { cache: new Map([['10', { id: '10', type: 'text', name: 'team' }]]) } },
+        memberStub.guild);
+    messageStub.client = Object.assign(memberStub.client, {
+        reminders,
+        timers_list: [
+            new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 }),
+            new Timer({ area: 'fg', sub_area: 'open', seed_time: '2017-07-24T08:00:00.000Z', repeat_time: 72000000 }),
+        ],
+        timerControl: { scheduleReminder: sinon.stub() },
+    });
+    return messageStub;
+};
+
+test('commands - REMIND', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+
+        // Now that we have stubs active, we can require the test subject.
+        REMIND = require('../../src/commands/remind');
+        t.end();
+    });
+
+    suite.test('when asked for a channel reminder of an unknown area - lists the known timers', async t => {
+        t.plan(2);
+
+        const messageStub = channelMessage();
+        await REMIND.execute(messageStub, ['channel', '<#10>', 'nowhere']);
+        const reply = messageStub.author.send.getCall(0).args[0];
+        t.match(reply, /I'm sorry, there weren't any timers/, 'should explain that there is no such timer');
+        t.match(reply, /\*\*fg\*\* \(close, open\)/, 'should list the known timers');
+    });
+    suite.test('when asked for a channel reminder - creates it', async t => {
+        t.plan(2);
+
+        const messageStub = channelMessage();
+        await REMIND.execute(messageStub, ['channel', '<#10>', 'fg', 'close', 'always']);
+        const [reminder] = messageStub.client.reminders;
+        t.deepEqual([reminder.channel, reminder.area, reminder.count], ['10', 'fg', -1], 'should post in the channel');
+        t.true(messageStub.client.timerControl.scheduleReminder.calledWith(reminder), 'should schedule it');
+    });
+    suite.test('when asked to stop a channel reminder - turns it off rather than sending it once', async t => {
+        t.plan(3);
+
+        const existing = new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: -1, channel: '10', guild: '987654321' });
+        const messageStub = channelMessage([existing]);
+        await REMIND.execute(messageStub, ['channel', '<#10>', 'fg', 'close', 'stop']);
+        t.strictEqual(existing.count, 0, 'should turn off the existing reminder');
+        t.strictEqual(messageStub.client.reminders.length, 1, 'should not create another');
+        t.match(messageStub.author.send.getCall(0).args[0], /Turned off #/, 'should confirm');
+    });
+
+    suite.test('Restore Loggers - REMIND', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,245 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+// We need a decently realistic Message stub.
+const mockMessage = require('../helpers/mock-message');
+const Timer = require('../../src/modules/timers');
+
+// Declaration of what we're testing.
+/** @type {{ execute: (Message, tokens: string[] ) => Promise<import('../../src/interfaces/command-result')>}} */
+let TIMER;
+
+const fgSeed = { area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 };
+const cycleSeed = { area: 'cove', seed_time: '2017-07-21T12:00:00.000Z', phases: [
+    { sub_area: 'low', duration: { hours: 16 } },
+    { sub_area: 'high', duration: { hours: 2 } },
+] };
+
+/**
+ * Create a client stub with real timers, and stubbed timer management.
+ * @param {Object[]} timerData The content of the fake timers file.
+ */
+const mockClient = (timerData = [fgSeed, cycleSeed]) => ({
+    timers_list: [].concat(...timerData.map(e => Timer.isCycle(e) ? Timer.expandCycle(e) : [e])).map(s => new Timer(s)),
+    timerControl: {
+        load: sinon.stub().resolves(JSON.parse(JSON.stringify(timerData))),
+        save: sinon.stub().resolves(true),
+        schedule: sinon.stub(),
+        unschedule: sinon.stub(),
+        reload: sinon.stub().resolves('Reloaded'),
+    },
+    settings: { botPrefix: '-mh', owner: '1' },
+});
+
+test('commands - TIMER', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+
+        // Now that we have stubs active, we can require the test subject.
+        TIMER = require('../../src/commands/timer');
+        t.end();
+    });
+
+    suite.test('when given no arguments - lists timers', async t => {
+        t.plan(3);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub });
+        const result = await TIMER.execute(messageStub, []);
+        t.true(result.replied, 'should reply');
+        const reply = messageStub.channel.send.getCall(0).args[0];
+        t.true(clientStub.timers_list.every(timer => reply.includes(`\`${timer.id}\``)), 'should list every timer id');
+        t.true(result.success, 'should succeed');
+
+        sinon.reset();
+    });
+    suite.test('when showing an unknown id - fails', async t => {
+        t.plan(2);
+
+        const messageStub = mockMessage({ clientStub: mockClient() });
+        const result = await TIMER.execute(messageStub, ['show', 'nope']);
+        t.match(messageStub.channel.send.getCall(0).args[0], /don't know a timer/, 'should explain');
+        t.false(result.success, 'should fail');
+
+        sinon.reset();
+    });
+    suite.test('when adding without a repeat - does not save', async t => {
+        t.plan(3);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        const result = await TIMER.execute(messageStub, ['add', 'mars', 'seed', '2020-01-01T00:00:00Z']);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /couldn't add/, 'should explain');
+        t.false(result.success, 'should fail');
+
+        sinon.reset();
+    });
+    suite.test('when adding with a bad setting - does not save', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['add', 'mars', 'repeat', 'often']);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /isn't a duration/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when adding a valid timer - saves and schedules it', async t => {
+        t.plan(5);
+
+        const clientStub = mockClient();
+        const known = clientStub.timers_list.length;
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        const result = await TIMER.execute(messageStub, ['add', 'mars', 'olympus', 'seed', '2020-01-01T00:00:00Z',
+            'repeat', '1d2h', 'announce', 'Hello Mars']);
+        t.true(result.success, 'should succeed');
+        const [saved] = clientStub.timerControl.save.getCall(0).args;
+        t.deepEqual(saved[saved.length - 1], {
+            area: 'mars',
+            sub_area: 'olympus',
+            seed_time: '2020-01-01T00:00:00.000Z',
+            repeat_time: 93600000,
+            announce_string: 'Hello Mars',
+        }, 'should save the new seed');
+        t.strictEqual(saved.length, 3, 'should keep the existing timers');
+        t.strictEqual(clientStub.timers_list.length, known + 1, 'should add to the timers list');
+        t.true(clientStub.timerControl.schedule.calledOnce, 'should schedule the timer');
+
+        sinon.reset();
+    });
+    suite.test('when editing a timer - replaces and reschedules it', async t => {
+        t.plan(4);
+
+        const clientStub = mockClient();
+        const [fg] = clientStub.timers_list;
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        const result = await TIMER.execute(messageStub, ['edit', fg.id, 'offset', '15m']);
+        t.true(result.success, 'should succeed');
+        const [saved] = clientStub.timerControl.save.getCall(0).args;
+        t.strictEqual(saved[0].announce_offset, 900000, 'should save the change');
+        t.true(clientStub.timerControl.unschedule.calledOnceWith(fg), 'should unschedule the old timer');
+        t.strictEqual(clientStub.timers_list[0].getAdvanceNotice().as('minutes'), 15, 'should replace the timer');
+
+        sinon.reset();
+    });
+    suite.test('when removing a cycle phase - refuses', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        const phase = clientStub.timers_list.find(timer => timer.getArea() === 'cove');
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['remove', phase.id]);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /part of a cycle/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when removing a timer - unschedules and forgets it', async t => {
+        t.plan(3);
+
+        const clientStub = mockClient();
+        const [fg] = clientStub.timers_list;
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['remove', fg.id]);
+        t.deepEqual(clientStub.timerControl.save.getCall(0).args[0], [cycleSeed], 'should save without the timer');
+        t.true(clientStub.timerControl.unschedule.calledOnceWith(fg), 'should unschedule the timer');
+        t.false(clientStub.timers_list.includes(fg), 'should remove the timer from the list');
+
+        sinon.reset();
+    });
+    suite.test('when the file cannot be saved - leaves timers alone', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        clientStub.timerControl.save.resolves(false);
+        const [fg] = clientStub.timers_list;
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['remove', fg.id]);
+        t.false(clientStub.timerControl.unschedule.called, 'should not unschedule');
+        t.true(clientStub.timers_list.includes(fg), 'should keep the timer');
+
+        sinon.reset();
+    });
+
+    suite.test('when adding a duplicate timer - does not save', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['add', 'fg', 'close', 'seed', fgSeed.seed_time, 'repeat', '20h']);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /didn't add that timer, because:\ntimers\[2\]: duplicates/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when editing a timer into a duplicate - does not save', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient([fgSeed, Object.assign({}, fgSeed, { sub_area: 'open' })]);
+        const open = clientStub.timers_list[1];
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        await TIMER.execute(messageStub, ['edit', open.id, 'sub', 'close']);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /duplicates the area, sub-area, and seed time/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when non-owner changes a timer - refuses', async t => {
+        t.plan(3);
+
+        const clientStub = mockClient();
+        const [fg] = clientStub.timers_list;
+        const messageStub = mockMessage({ clientStub, authorId: '2' });
+        const result = await TIMER.execute(messageStub, ['remove', fg.id]);
+        t.false(clientStub.timerControl.save.called, 'should not save');
+        t.match(messageStub.channel.send.getCall(0).args[0], /Only the bot owner can remove timers/, 'should explain');
+        t.false(result.success, 'should fail');
+
+        sinon.reset();
+    });
+    suite.test('when non-owner reloads - refuses', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub, authorId: '2' });
+        await TIMER.execute(messageStub, ['reload']);
+        t.false(clientStub.timerControl.reload.called, 'should not reload');
+        t.match(messageStub.channel.send.getCall(0).args[0], /Only the bot owner/, 'should explain');
+
+        sinon.reset();
+    });
+    suite.test('when owner reloads - reloads and replies with the outcome', async t => {
+        t.plan(3);
+
+        const clientStub = mockClient();
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        const result = await TIMER.execute(messageStub, ['reload']);
+        t.true(clientStub.timerControl.reload.calledOnce, 'should reload');
+        t.strictEqual(messageStub.channel.send.getCall(0).args[0], 'Reloaded', 'should reply with the outcome');
+        t.true(result.success, 'should succeed');
+
+        sinon.reset();
+    });
+    suite.test('when owner validates - reports problems in the timers file', async t => {
+        t.plan(2);
+
+        const clientStub = mockClient();
+        clientStub.timerControl.load.resolves([fgSeed, { area: 'mars', seed_time: 'never', repeat_time: 72000000 }]);
+        const messageStub = mockMessage({ clientStub, authorId: '1' });
+        const result = await TIMER.execute(messageStub, ['validate']);
+        t.match(messageStub.channel.send.getCall(0).args[0], /1 problems:\ntimers\[1\]: seed_time/, 'should list the problems');
+        t.true(result.success, 'should succeed');
+
+        sinon.reset();
+    });
+
+    suite.test('Restore Loggers - timer', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
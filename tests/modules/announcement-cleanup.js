@@ -0,0 +1,76 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { DateTime } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { findStaleAnnouncements, cleanUpAnnouncement } = require('../../src/modules/announcement-cleanup');
+
+const now = DateTime.fromISO('2020-01-01T12:00:00Z');
+const record = (message, area, sentHoursAgo, endsInHours, channel = '1') => ({
+    channel,
+    message,
+    area,
+    sent: now.minus({ hours: sentHoursAgo }).toISO(),
+    ends: endsInHours === null ? null : now.plus({ hours: endsInHours }).toISO(),
+});
+const records = [
+    record('a', 'fg', 30, -10),
+    record('b', 'fg', 10, 10),
+    record('c', 'spill', 20, -1),
+    record('d', 'fg', 20, -5),
+    record('e', 'fg', 25, null, '2'),
+];
+const ids = list => list.map(r => r.message).sort();
+
+test('announcement cleanup', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given no policy - keeps everything', t => {
+        t.plan(1);
+        t.deepEqual(findStaleAnnouncements(records, undefined, now), [], 'should find nothing stale');
+    });
+    suite.test('given keep policy - keeps the latest of each area in each channel', t => {
+        t.plan(2);
+        t.deepEqual(ids(findStaleAnnouncements(records, { mode: 'keep', count: 1 }, now)), ['a', 'd'], 'should find older announcements');
+        t.deepEqual(ids(findStaleAnnouncements(records, { mode: 'keep', count: 2 }, now)), ['a'], 'should keep the requested number');
+    });
+    suite.test('given phase policy - finds ended phases', t => {
+        t.plan(1);
+        t.deepEqual(ids(findStaleAnnouncements(records, { mode: 'phase' }, now)), ['a', 'c', 'd'], 'should find ended phases');
+    });
+    suite.test('given strike policy - finds superseded and ended announcements', t => {
+        t.plan(1);
+        t.deepEqual(ids(findStaleAnnouncements(records, { mode: 'strike' }, now)), ['a', 'c', 'd'], 'should find stale announcements');
+    });
+    suite.test('given strike policy - edits the announcement', async t => {
+        t.plan(1);
+        const message = { content: 'The gate is closed', edit: sinon.stub().resolves(), delete: sinon.stub().resolves() };
+        const channel = { name: 'timers', messages: { fetch: sinon.stub().resolves(message) } };
+        await cleanUpAnnouncement(channel, records[0], { mode: 'strike' });
+        t.true(message.edit.calledWith('~~The gate is closed~~ (ended)'), 'should strike through the announcement');
+    });
+    suite.test('given other policies - deletes the announcement', async t => {
+        t.plan(1);
+        const message = { content: 'The gate is closed', edit: sinon.stub().resolves(), delete: sinon.stub().resolves() };
+        const channel = { name: 'timers', messages: { fetch: sinon.stub().resolves(message) } };
+        await cleanUpAnnouncement(channel, records[0], { mode: 'phase' });
+        t.true(message.delete.calledOnce, 'should delete the announcement');
+    });
+    suite.test('given a deleted announcement - does nothing', async t => {
+        t.plan(1);
+        const channel = { name: 'timers', messages: { fetch: sinon.stub().rejects(Object.assign(new Error('Unknown Message'), { code: 10008 })) } };
+        await cleanUpAnnouncement(channel, records[0], { mode: 'phase' });
+        t.false(logStubs.error.called, 'should not log an error');
+    });
+
+    suite.test('Restore Loggers - announcement cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,48 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const Timer = require('../../src/modules/timers');
+const Reminder = require('../../src/modules/reminders');
+const { deliveryQueue } = require('../../src/modules/delivery-queue');
+const { sendChannelReminder } = require('../../src/modules/channel-reminders');
+
+test('channel reminders', suite => {
+    let logStubs;
+    let deliverStub;
+    const timer = new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000,
+        announce_string: 'The gate closes' });
+    const channel = { send: sinon.stub().resolves({ id: '99' }) };
+    const client = { timers_list: [timer], channels: { fetch: sinon.stub().resolves(channel) } };
+    const makeReminder = () => new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: 2, channel: '10', guild: '20', role: '30' });
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        deliverStub = sinon.stub(deliveryQueue, 'deliver');
+        t.end();
+    });
+
+    suite.test('given a delivered post - mentions the role and uses up a send', async t => {
+        t.plan(3);
+        deliverStub.callsFake(delivery => delivery.send());
+        const reminder = makeReminder();
+        await sendChannelReminder(client, reminder, timer);
+        t.match(channel.send.lastCall.args[0], /^<@&30> The gate closes/, 'should mention the role');
+        t.strictEqual(reminder.count, 1, 'should use up a send');
+        t.ok(reminder.lastSent, 'should record the send');
+    });
+    suite.test('given an undeliverable post - keeps the send', async t => {
+        t.plan(2);
+        deliverStub.resolves(null);
+        const reminder = makeReminder();
+        t.strictEqual(await sendChannelReminder(client, reminder, timer), null, 'should resolve with nothing');
+        t.strictEqual(reminder.count, 2, 'should not use up a send');
+    });
+
+    suite.test('Restore Stubs - channel reminders', t => {
+        deliverStub.restore();
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
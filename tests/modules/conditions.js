@@ -0,0 +1,88 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { DateTime } = require('luxon');
+const Timer = require('../../src/modules/timers');
+const {
+    isConditionRequest, parseConditions, describeConditions, findOccurrences, getNextOccurrence, nextOccurrence,
+} = require('../../src/modules/conditions');
+
+// Every 20 hours, the gate is open from 08:00 to 12:00 and the tide is low from 10:00 to 14:00 (on the 24th).
+const makeTimers = () => [
+    new Timer({ area: 'fg', sub_area: 'open', seed_time: '2017-07-23T12:00:00.000Z', repeat_time: 72000000, demand_string: 'The gate opens' }),
+    new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-23T16:00:00.000Z', repeat_time: 72000000, demand_string: 'The gate closes' }),
+    new Timer({ area: 'cove', sub_area: 'low', seed_time: '2017-07-23T14:00:00.000Z', repeat_time: 72000000, demand_string: 'Low tide' }),
+    new Timer({ area: 'cove', sub_area: 'high', seed_time: '2017-07-23T18:00:00.000Z', repeat_time: 72000000, demand_string: 'High tide' }),
+    new Timer({ area: 'reset', seed_time: '2017-07-23T00:00:00.000Z', repeat_time: 86400000, demand_string: 'Reset' }),
+];
+const iso = time => time.toUTC().toISO();
+const lowDuringOpen = [{ area: 'cove', sub_area: 'low' }, { area: 'fg', sub_area: 'open' }];
+
+test('conditions', suite => {
+    let logStubs;
+    let clock;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        clock = sinon.useFakeTimers(DateTime.fromISO('2017-07-24T09:00:00.000Z').toMillis());
+        t.end();
+    });
+
+    suite.test('given a request - recognizes combined phases', t => {
+        t.plan(3);
+        t.true(isConditionRequest(['when', 'cove', 'low']), 'should recognize "when"');
+        t.true(isConditionRequest(['cove', 'low', 'DURING', 'fg', 'open']), 'should recognize separators');
+        t.false(isConditionRequest(['cove', 'low', 'always']), 'should not mistake a single timer');
+    });
+    suite.test('given a request - parses the conditions and count', t => {
+        t.plan(2);
+        const request = parseConditions(makeTimers(), ['when', 'cove', 'is', 'low', 'tide', 'during', 'FG', 'open', 'always']);
+        t.deepEqual(request.conditions, lowDuringOpen, 'should find each phase');
+        t.strictEqual(request.count, -1, 'should find the count');
+    });
+    suite.test('given an invalid request - explains the problem', t => {
+        t.plan(3);
+        const timers = makeTimers();
+        t.match(parseConditions(timers, ['cove', 'low', 'and', 'reset']), /which phase "reset"/, 'should require phases');
+        t.match(parseConditions(timers, ['fg', 'open', 'and', 'fg', 'close']), /can't be Open and Closed at once/,
+            'should reject contradictions');
+        t.match(parseConditions(timers, ['when', 'fg', 'open']), /at least two/, 'should require several areas');
+    });
+    suite.test('given conditions - describes them', t => {
+        t.plan(1);
+        t.strictEqual(describeConditions(lowDuringOpen), 'Balack\'s Cove is Low Tide and Forbidden Grove is Open');
+    });
+    suite.test('given conditions - predicts when they hold at once', t => {
+        t.plan(2);
+        const occurrences = findOccurrences(makeTimers(), lowDuringOpen, { limit: 2 });
+        t.deepEqual(occurrences.map(({ start, end }) => [iso(start), iso(end)]), [
+            ['2017-07-24T10:00:00.000Z', '2017-07-24T12:00:00.000Z'],
+            ['2017-07-25T06:00:00.000Z', '2017-07-25T08:00:00.000Z'],
+        ], 'should find each span');
+        t.strictEqual(findOccurrences(makeTimers(), lowDuringOpen, { until: DateTime.fromISO('2017-07-24T11:00:00.000Z') })
+            .length, 1, 'should stop at the given time');
+    });
+    suite.test('given conditions that hold now - starts with the ongoing span', t => {
+        t.plan(2);
+        clock.setSystemTime(DateTime.fromISO('2017-07-24T11:00:00.000Z').toMillis());
+        const timers = makeTimers();
+        t.strictEqual(iso(findOccurrences(timers, lowDuringOpen)[0].start), '2017-07-24T10:00:00.000Z', 'should be ongoing');
+        t.strictEqual(iso(getNextOccurrence(timers, lowDuringOpen).start), '2017-07-25T06:00:00.000Z',
+            'should find the next start');
+        clock.setSystemTime(DateTime.fromISO('2017-07-24T09:00:00.000Z').toMillis());
+    });
+    suite.test('given conditions - summarizes the next occurrence', t => {
+        t.plan(2);
+        const embed = nextOccurrence(makeTimers(), lowDuringOpen, '-mh');
+        t.match(embed.description, /^Starts in 1 hour, ends in 3 hours\nThen: Starts in 21 hours/, 'should describe the spans');
+        t.match(embed.description, /`-mh remind when cove low and fg open`/, 'should explain how to be reminded');
+    });
+
+    suite.test('Restore Loggers - conditions', t => {
+        clock.restore();
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
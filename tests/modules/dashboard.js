@@ -0,0 +1,94 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { buildDashboard, updateDashboard, isDashboard } = require('../../src/modules/dashboard');
+
+/**
+ * Create a guild with a dashboard channel, whose existing messages are given.
+ * @param {Object <string, Object>} messages The messages in the channel, keyed by id.
+ */
+const mockGuild = (messages = {}) => {
+    const posted = { id: 'new', pin: sinon.stub().resolves() };
+    const channel = {
+        name: 'timers',
+        send: sinon.stub().resolves(posted),
+        messages: {
+            fetch: sinon.stub().callsFake(id => messages[id]
+                ? Promise.resolve(messages[id])
+                : Promise.reject(Object.assign(new Error('Unknown Message'), { code: 10008 }))),
+        },
+    };
+    const guild = { name: 'Test Guild', available: true, channels: { cache: new Map([['1', channel]]) } };
+    return { guild, channel, posted };
+};
+
+test('dashboard', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given no dashboard - does nothing', async t => {
+        t.plan(2);
+        const { guild, channel } = mockGuild();
+        t.false(await updateDashboard(guild, {}, []), 'should not post');
+        t.false(channel.send.called, 'should not send');
+    });
+    suite.test('given a new dashboard - posts and pins it', async t => {
+        t.plan(4);
+        const { guild, channel, posted } = mockGuild();
+        const guildSettings = { dashboard: { channel: '1' } };
+        t.true(await updateDashboard(guild, guildSettings, []), 'should report the new message');
+        t.true(channel.send.calledOnce, 'should send the dashboard');
+        t.true(posted.pin.calledOnce, 'should pin the dashboard');
+        t.strictEqual(guildSettings.dashboard.message, 'new', 'should remember the message');
+    });
+    suite.test('given an existing dashboard - edits it', async t => {
+        t.plan(3);
+        const existing = { id: 'old', edit: sinon.stub().resolves() };
+        const { guild, channel } = mockGuild({ old: existing });
+        const guildSettings = { dashboard: { channel: '1', message: 'old' } };
+        t.false(await updateDashboard(guild, guildSettings, []), 'should not post');
+        t.true(existing.edit.calledOnce, 'should edit the message');
+        t.false(channel.send.called, 'should not send');
+    });
+    suite.test('given a deleted dashboard - posts a new one', async t => {
+        t.plan(2);
+        const { guild, channel } = mockGuild();
+        const guildSettings = { dashboard: { channel: '1', message: 'old' } };
+        t.true(await updateDashboard(guild, guildSettings, []), 'should report the new message');
+        t.true(channel.send.calledOnce && guildSettings.dashboard.message === 'new', 'should replace the message');
+    });
+    suite.test('given other errors - does not post', async t => {
+        t.plan(2);
+        const { guild, channel } = mockGuild();
+        channel.messages.fetch = sinon.stub().rejects(new Error('Missing Access'));
+        const guildSettings = { dashboard: { channel: '1', message: 'old' } };
+        try {
+            await updateDashboard(guild, guildSettings, []);
+        } catch (err) {
+            t.match(err.message, /Missing Access/, 'should raise the error');
+        }
+        t.false(channel.send.called, 'should not send');
+    });
+    suite.test('given messages - identifies the dashboard', t => {
+        t.plan(3);
+        const guildSettings = { dashboard: { channel: '1', message: 'old' } };
+        t.true(isDashboard({ id: 'old' }, guildSettings), 'should identify the dashboard');
+        t.false(isDashboard({ id: 'other' }, guildSettings), 'should ignore other messages');
+        t.false(isDashboard({ id: 'old' }, {}), 'should ignore guilds without dashboards');
+    });
+    suite.test('given timers - titles the dashboard', t => {
+        t.plan(1);
+        t.strictEqual(buildDashboard([]).title, 'Timer dashboard', 'should be titled');
+    });
+
+    suite.test('Restore Loggers - dashboard', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,108 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { DateTime, Duration } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const Scheduler = require('../../src/modules/scheduler');
+const DeliveryQueue = require('../../src/modules/delivery-queue');
+const { classifyError } = DeliveryQueue;
+const Reminder = require('../../src/modules/reminders');
+
+test('DeliveryQueue', suite => {
+    let logStubs;
+    let clock;
+    const start = DateTime.fromISO('2020-01-01T00:00:00Z');
+    const makeQueue = options => new DeliveryQueue(Object.assign({
+        scheduler: new Scheduler({ clock: () => DateTime.fromMillis(clock.now, { zone: 'utc' }) }),
+        pace: Duration.fromObject({ seconds: 1 }),
+        backoff: Duration.fromObject({ seconds: 10 }),
+        attempts: 3,
+    }, options));
+    const apiError = code => Object.assign(new Error(`API error ${code}`), { code });
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        clock = sinon.useFakeTimers(start.toMillis());
+        t.end();
+    });
+
+    suite.test('given errors - tells permanent failures from transient ones', t => {
+        t.plan(4);
+        t.strictEqual(classifyError(apiError(50007)), 'dms_closed', 'should recognize closed DMs');
+        t.strictEqual(classifyError(apiError(10013)), 'unknown_recipient', 'should recognize users who are gone');
+        t.strictEqual(classifyError(Object.assign(new Error('Service Unavailable'), { httpStatus: 503 })), 'transient',
+            'should retry server errors');
+        t.strictEqual(classifyError(new Error('ECONNRESET')), 'transient', 'should retry network errors');
+    });
+    suite.test('given several deliveries - paces them in order', async t => {
+        t.plan(3);
+        const queue = makeQueue();
+        const sent = [];
+        const results = ['a', 'b', 'c'].map(label => queue.deliver({ recipient: '1', label, send: () => {
+            sent.push(label);
+            return Promise.resolve(label);
+        } }));
+        await clock.tickAsync(0);
+        t.deepEqual(sent, ['a'], 'should send the first right away');
+        await clock.tickAsync(1000);
+        t.deepEqual(sent, ['a', 'b'], 'should wait for the pace before the next');
+        await clock.tickAsync(1000);
+        t.deepEqual(await Promise.all(results), ['a', 'b', 'c'], 'should resolve with the sent messages');
+    });
+    suite.test('given a transient error - retries with backoff without holding up the queue', async t => {
+        t.plan(5);
+        const queue = makeQueue();
+        const reminder = new Reminder({ user: '1', area: 'fg', count: 2 });
+        const flaky = sinon.stub();
+        flaky.onFirstCall().rejects(new Error('Service Unavailable'));
+        flaky.resolves('flaky');
+        const result = queue.deliver({ recipient: '1', label: 'flaky', send: flaky, reminders: [reminder] });
+        const other = sinon.stub().resolves('other');
+        queue.deliver({ recipient: '2', label: 'other', send: other });
+        await clock.tickAsync(1000);
+        t.true(other.calledOnce, 'should send the next delivery while the failed one waits');
+        t.strictEqual(queue.getStats().retrying, 1, 'should count the waiting retry');
+        await clock.tickAsync(10000);
+        t.strictEqual(await result, 'flaky', 'should succeed on the retry');
+        t.strictEqual(reminder.fail, 1, 'should record the failure on the reminder');
+        t.deepEqual([queue.getStats().sent, queue.getStats().retried], [2, 1], 'should count sends and retries');
+    });
+    suite.test('given a delivery that keeps failing - gives up after the last attempt', async t => {
+        t.plan(4);
+        const queue = makeQueue();
+        const send = sinon.stub().rejects(new Error('Service Unavailable'));
+        const result = queue.deliver({ recipient: '1', label: 'doomed', send });
+        await clock.tickAsync(60000);
+        t.strictEqual(await result, null, 'should resolve with nothing');
+        t.strictEqual(send.callCount, 3, 'should try the configured number of times');
+        const [letter] = queue.getDeadLetters();
+        t.deepEqual([letter.kind, letter.attempts], ['exhausted', 3], 'should record a dead letter');
+        t.strictEqual(queue.getStats().exhausted, 1, 'should count it');
+    });
+    suite.test('given closed DMs - does not retry, and reports the failure', async t => {
+        t.plan(4);
+        const onUndeliverable = sinon.spy();
+        const queue = makeQueue({ onUndeliverable });
+        const reminder = new Reminder({ id: 'abc123', user: '1', area: 'fg', count: 2 });
+        const send = sinon.stub().rejects(apiError(50007));
+        const result = queue.deliver({ recipient: '1', label: 'closed', send, reminders: [reminder] });
+        await clock.tickAsync(60000);
+        t.strictEqual(await result, null, 'should resolve with nothing');
+        t.true(send.calledOnce, 'should not retry');
+        t.deepEqual(onUndeliverable.firstCall.args.slice(1), ['dms_closed'], 'should report the kind of failure');
+        t.deepEqual(queue.getDeadLetters()[0].reminders, ['abc123'], 'should record the reminders in the dead letter');
+    });
+    suite.test('given saved dead letters - restores them before new ones', t => {
+        t.plan(1);
+        const queue = makeQueue();
+        queue.restoreDeadLetters([{ label: 'old' }]);
+        t.deepEqual(queue.getDeadLetters().map(letter => letter.label), ['old'], 'should restore them');
+    });
+
+    suite.test('Restore Loggers - DeliveryQueue', t => {
+        clock.restore();
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,59 @@
+const test = require('tape');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { DateTime } = require('luxon');
+const Timer = require('../../src/modules/timers');
+const Reminder = require('../../src/modules/reminders');
+const { parseDigestRequest, getNextDigestTime, buildDigest } = require('../../src/modules/digest');
+
+const timers = [
+    new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000, demand_string: 'The gate closes' }),
+    new Timer({ area: 'fg', sub_area: 'open', seed_time: '2017-07-24T08:00:00.000Z', repeat_time: 72000000, demand_string: 'The gate opens' }),
+    new Timer({ area: 'reset', seed_time: '2017-07-24T00:00:00.000Z', repeat_time: 86400000, demand_string: 'Reset' }),
+];
+
+test('daily digest', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given a request - parses the time and areas', t => {
+        t.plan(3);
+        t.deepEqual(parseDigestRequest(timers, ['8:00', 'fg', 'close']), { time: '08:00', areas: ['fg'] }, 'should find each area once');
+        t.match(parseDigestRequest(timers, ['fg']), /what time/, 'should require a time');
+        t.match(parseDigestRequest(timers, ['08:00', 'mars']), /don't know the area "mars"/, 'should reject unknown areas');
+    });
+    suite.test('given a time of day - finds the next digest in the user\'s timezone', t => {
+        t.plan(2);
+        // 14:00 UTC is 09:00 CDT.
+        const after = DateTime.fromISO('2020-07-14T14:00:00.000Z');
+        t.strictEqual(getNextDigestTime('08:00', 'America/Chicago', after).toISO(), '2020-07-15T13:00:00.000Z', 'should be tomorrow');
+        t.strictEqual(getNextDigestTime('10:00', 'America/Chicago', after).toISO(), '2020-07-14T15:00:00.000Z', 'should be today');
+    });
+    suite.test('given areas - builds an agenda grouped by area', t => {
+        t.plan(4);
+        const embed = buildDigest(timers, ['fg', 'reset'], 'UTC', DateTime.utc());
+        t.deepEqual(embed.fields.map(field => field.name), ['Forbidden Grove', 'Daily Reset'], 'should have a field per area');
+        const lines = embed.fields[0].value.split('\n');
+        t.true(lines.length >= 2, 'should list each activation in the next day');
+        t.true(lines.some(line => line.startsWith('The gate closes')) && lines.some(line => line.startsWith('The gate opens')),
+            'should include each timer of the area');
+        t.match(embed.fields[1].value, /^Reset .+ UTC\)$/, 'should show the local time');
+    });
+    suite.test('given a digest seed - creates a digest reminder', t => {
+        t.plan(3);
+        const digest = new Reminder({ user: '1', count: -1, digest: { time: '08:00', areas: ['fg'] } });
+        t.true(digest.isDigest(), 'should be a digest');
+        t.false(digest.matches(timers[0]), 'should not match timers');
+        t.throws(() => new Reminder({ user: '1', count: -1, digest: { time: '8am', areas: [] } }), TypeError, 'should validate the digest');
+    });
+
+    suite.test('Restore Loggers - daily digest', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,45 @@
+const test = require('tape');
+const { DateTime, Duration } = require('luxon');
+
+const { buildCalendar, formatTime } = require('../../src/modules/ics');
+
+test('buildCalendar', suite => {
+    const start = DateTime.fromISO('2020-01-01T12:00:00Z');
+    const event = {
+        uid: 'fg-close-1@mhtimerbot',
+        start,
+        end: start.plus(Duration.fromObject({ hours: 4 })),
+        summary: 'Forbidden Grove; Travel early, the gate closes',
+        description: 'Line one\nLine two',
+    };
+
+    suite.test('given a time - formats it as UTC', t => {
+        t.plan(1);
+        t.strictEqual(formatTime(DateTime.fromISO('2020-01-01T07:30:00-05:00')), '20200101T123000Z', 'should use UTC');
+    });
+    suite.test('given no events - returns an empty calendar', t => {
+        t.plan(3);
+        const ics = buildCalendar([]);
+        t.true(ics.startsWith('BEGIN:VCALENDAR\r\n'), 'should begin the calendar');
+        t.true(ics.endsWith('END:VCALENDAR\r\n'), 'should end the calendar');
+        t.false(ics.includes('VEVENT'), 'should have no events');
+    });
+    suite.test('given an event - describes it', t => {
+        t.plan(5);
+        const ics = buildCalendar([event]);
+        t.true(ics.includes('\r\nUID:fg-close-1@mhtimerbot\r\n'), 'should include the uid');
+        t.true(ics.includes('\r\nDTSTART:20200101T120000Z\r\n'), 'should include the start');
+        t.true(ics.includes('\r\nDTEND:20200101T160000Z\r\n'), 'should include the end');
+        t.true(ics.includes('\r\nSUMMARY:Forbidden Grove\\; Travel early\\, the gate closes\r\n'), 'should escape the summary');
+        t.true(ics.includes('\r\nDESCRIPTION:Line one\\nLine two\r\n'), 'should escape newlines');
+    });
+    suite.test('given a long value - folds the line', t => {
+        t.plan(2);
+        const ics = buildCalendar([Object.assign({}, event, { summary: 'x'.repeat(200) })]);
+        const lines = ics.split('\r\n');
+        t.true(lines.every(line => Buffer.byteLength(line, 'utf8') <= 75), 'should not exceed 75 octets per line');
+        const summary = lines.slice(lines.findIndex(line => line.startsWith('SUMMARY:')))
+            .filter((line, i) => i === 0 || line.startsWith(' '));
+        t.strictEqual(summary.map((line, i) => i ? line.slice(1) : line).join(''), `SUMMARY:${'x'.repeat(200)}`, 'should unfold to the value');
+    });
+});
@@ -0,0 +1,56 @@
+const test = require('tape');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { DateTime } = require('luxon');
+const { parseQuietHours, isQuietTime, isHeld, getQuietEnd, describeQuietHours } = require('../../src/modules/quiet-hours');
+
+const night = { start: '23:00', end: '07:00', mode: 'drop' };
+
+test('quiet hours', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given a window - parses the quiet hours', t => {
+        t.plan(4);
+        t.deepEqual(parseQuietHours(['23:00-07:00']), night, 'should drop reminders by default');
+        t.deepEqual(parseQuietHours(['23:00', '7:00', 'digest']), Object.assign({}, night, { mode: 'digest' }), 'should accept separate times and a mode');
+        t.strictEqual(parseQuietHours(['23:00']), null, 'should need an end');
+        t.strictEqual(parseQuietHours(['25:00-07:00']), null, 'should reject invalid times');
+    });
+    suite.test('given a window across midnight - finds quiet times', t => {
+        t.plan(3);
+        t.true(isQuietTime(night, 'UTC', DateTime.fromISO('2020-07-14T23:30:00Z')), 'should include the evening');
+        t.true(isQuietTime(night, 'UTC', DateTime.fromISO('2020-07-15T06:59:00Z')), 'should include the morning');
+        t.false(isQuietTime(night, 'UTC', DateTime.fromISO('2020-07-15T07:00:00Z')), 'should end at the end time');
+    });
+    suite.test('given a timezone - uses local time', t => {
+        t.plan(2);
+        // 04:30 UTC is 23:30 CDT.
+        const at = DateTime.fromISO('2020-07-15T04:30:00Z');
+        t.true(isQuietTime(night, 'America/Chicago', at), 'should be quiet locally');
+        t.strictEqual(getQuietEnd(night, 'America/Chicago', at).toISO(), '2020-07-15T12:00:00.000Z', 'should end at 07:00 CDT');
+    });
+    suite.test('given the urgent mode - only sends urgent reminders', t => {
+        t.plan(3);
+        const at = DateTime.fromISO('2020-07-14T23:30:00Z');
+        const urgentOnly = Object.assign({}, night, { mode: 'urgent' });
+        t.true(isHeld({}, urgentOnly, 'UTC', at), 'should hold normal reminders');
+        t.false(isHeld({ urgent: true }, urgentOnly, 'UTC', at), 'should send urgent reminders');
+        t.true(isHeld({ urgent: true }, night, 'UTC', at), 'should hold urgent reminders in other modes');
+    });
+    suite.test('given no quiet hours - holds nothing', t => {
+        t.plan(2);
+        t.false(isHeld({}, undefined), 'should not hold');
+        t.match(describeQuietHours(undefined), /no quiet hours/, 'should say so');
+    });
+
+    suite.test('Restore Loggers - quiet hours', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
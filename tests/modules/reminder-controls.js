@@ -0,0 +1,96 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { EventEmitter } = require('events');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { MessageEmbed } = require('discord.js');
+const { DateTime } = require('luxon');
+const Reminder = require('../../src/modules/reminders');
+const {
+    getControls, applyReminderControl, watchReminderControls, addReminderControls,
+} = require('../../src/modules/reminder-controls');
+
+const timerReminder = (count = 2) => new Reminder({ user: '1', area: 'fg', sub_area: 'close', count });
+/** Create a sent reminder DM, whose collector can be fed reactions. */
+const mockReminderMessage = () => {
+    const collector = new EventEmitter();
+    return {
+        collector,
+        message: {
+            id: 'dm',
+            embeds: [new MessageEmbed({ title: 'The gate closes in 15 minutes' })],
+            createReactionCollector: sinon.stub().returns(collector),
+            edit: sinon.stub().resolves(),
+            react: sinon.stub().resolves(),
+        },
+    };
+};
+
+test('reminder controls', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given a reminder - offers controls', t => {
+        t.plan(3);
+        t.deepEqual(getControls(timerReminder()), ['💤', '🛑', '🔁'], 'should offer every control');
+        const personal = new Reminder({ user: '1', count: 1, at: '2020-07-14T18:00:00.000Z', text: 'trap' });
+        t.deepEqual(getControls(personal), ['💤', '🛑'], 'should not make personal reminders perpetual');
+        const conditional = new Reminder({ user: '1', count: 1, conditions: [{ area: 'cove', sub_area: 'low' }, { area: 'fg', sub_area: 'open' }] });
+        t.deepEqual(getControls(conditional), ['🛑', '🔁'], 'should not snooze conditional reminders');
+    });
+    suite.test('given a control - changes the count', t => {
+        t.plan(4);
+        const reminder = timerReminder(1);
+        applyReminderControl(reminder, 'snooze');
+        t.strictEqual(reminder.count, 2, 'should give back the sent reminder when snoozed');
+        applyReminderControl(reminder, 'always');
+        t.strictEqual(reminder.count, -1, 'should make it perpetual');
+        applyReminderControl(reminder, 'snooze');
+        t.strictEqual(reminder.count, -1, 'should keep perpetual reminders perpetual');
+        applyReminderControl(reminder, 'stop');
+        t.true(reminder.isExpired(), 'should stop it');
+    });
+    suite.test('given a snoozed personal reminder - makes it due again', t => {
+        t.plan(2);
+        const now = DateTime.fromISO('2020-07-14T18:00:00.000Z');
+        const personal = new Reminder({ user: '1', count: 0, at: '2020-07-14T18:00:00.000Z', text: 'trap' });
+        applyReminderControl(personal, 'snooze', now);
+        t.strictEqual(personal.count, 1, 'should be active again');
+        t.strictEqual(personal.at.toISO(), now.plus({ minutes: 10 }).toISO(), 'should be due after the snooze');
+    });
+    suite.test('given a reaction from the user - applies it and confirms', async t => {
+        t.plan(4);
+        const reminder = timerReminder();
+        const { message, collector } = mockReminderMessage();
+        const onControl = sinon.spy();
+        await addReminderControls(message, reminder, onControl);
+        t.strictEqual(reminder.lastMessage, 'dm', 'should remember the message');
+        t.strictEqual(message.react.callCount, 3, 'should add the controls');
+        collector.emit('collect', { emoji: { name: '🛑' } });
+        t.true(onControl.calledOnceWith(reminder, 'stop'), 'should update the pending dispatch');
+        const { embed } = message.edit.getCall(0).args[0];
+        t.match(embed.fields.find(field => field.name === 'Status').value, /Stopped/, 'should confirm in the embed');
+    });
+    suite.test('given reactions - only collects the user\'s controls', t => {
+        t.plan(4);
+        const reminder = timerReminder();
+        const { message } = mockReminderMessage();
+        watchReminderControls(message, reminder, () => {});
+        const [filter] = message.createReactionCollector.getCall(0).args;
+        t.true(filter({ emoji: { name: '💤' } }, { id: '1' }), 'should collect the user\'s controls');
+        t.false(filter({ emoji: { name: '💤' } }, { id: '2' }), 'should ignore other users');
+        t.false(filter({ emoji: { name: '👍' } }, { id: '1' }), 'should ignore other reactions');
+        t.strictEqual(watchReminderControls(message, reminder, () => {}, DateTime.utc().minus({ days: 2 })), null,
+            'should not collect once the controls expire');
+    });
+
+    suite.test('Restore Loggers - reminder controls', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
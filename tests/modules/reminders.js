@@ -0,0 +1,156 @@
+const test = require('tape');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { DateTime } = require('luxon');
+const Timer = require('../../src/modules/timers');
+const Reminder = require('../../src/modules/reminders');
+const { readReminderFile, createReminderFile, findUserReminder, parsePersonalReminder, reminder_file_version } = Reminder;
+
+test('Reminders', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given a seed - creates a reminder with an ID', t => {
+        t.plan(4);
+        const reminder = new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: 3 });
+        t.match(reminder.id, /^[0-9a-f]{6}$/, 'should have a short ID');
+        t.true(reminder.created.isValid, 'should know when it was created');
+        t.strictEqual(reminder.lastSent, null, 'should not have been sent');
+        t.false(reminder.isExpired(), 'should be active');
+    });
+    suite.test('given invalid seeds - throws', t => {
+        t.plan(4);
+        t.throws(() => new Reminder(), TypeError, 'should require a seed');
+        t.throws(() => new Reminder({ user: '1', count: 1 }), TypeError, 'should require an area');
+        t.throws(() => new Reminder({ user: '1', area: 'fg', count: -2 }), RangeError, 'should require a valid count');
+        t.throws(() => new Reminder({ user: '1', area: 'fg', count: 1, notice: 'soon' }), RangeError, 'should require a valid notice');
+    });
+    suite.test('given sends and failures - tracks them', t => {
+        t.plan(4);
+        const reminder = new Reminder({ user: '1', area: 'fg', count: 1 });
+        reminder.recordFailure(new Error('Cannot send messages to this user'));
+        t.strictEqual(reminder.fail, 1, 'should count the failure');
+        t.strictEqual(reminder.failures[0].reason, 'Cannot send messages to this user', 'should remember the reason');
+        const at = DateTime.fromISO('2020-07-14T12:00:00Z');
+        reminder.recordSent(at);
+        t.strictEqual(reminder.fail, 0, 'should reset the failure count');
+        t.strictEqual(reminder.lastSent, at, 'should remember when it was sent');
+    });
+    suite.test('given many failures - keeps the latest', t => {
+        t.plan(2);
+        const reminder = new Reminder({ user: '1', area: 'fg', count: 1 });
+        for (let i = 0; i < 15; ++i)
+            reminder.recordFailure(`failure ${i}`);
+        t.strictEqual(reminder.failures.length, 10, 'should limit the history');
+        t.strictEqual(reminder.failures[9].reason, 'failure 14', 'should keep the latest');
+    });
+    suite.test('given a reminder - round-trips through JSON', t => {
+        t.plan(1);
+        const reminder = new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: -1, notice: 3600000, urgent: true });
+        reminder.recordSent(DateTime.fromISO('2020-07-14T12:00:00Z'));
+        const copy = new Reminder(JSON.parse(JSON.stringify(reminder)));
+        t.deepEqual(copy.toJSON(), reminder.toJSON(), 'should keep every property');
+    });
+    suite.test('given a version 1 file - migrates it', t => {
+        t.plan(2);
+        const seeds = readReminderFile([{ user: '1', area: 'fg', count: 2, fail: 1 }]);
+        const reminder = new Reminder(seeds[0]);
+        t.strictEqual(reminder.fail, 1, 'should keep the properties');
+        t.match(reminder.id, /^[0-9a-f]{6}$/, 'should give it an ID');
+    });
+    suite.test('given reminders - writes a versioned file', t => {
+        t.plan(3);
+        const file = createReminderFile([new Reminder({ id: 'abc123', user: '1', area: 'fg', count: 2 })]);
+        t.strictEqual(file.version, reminder_file_version, 'should include the version');
+        t.strictEqual(file.reminders[0].id, 'abc123', 'should include the reminders');
+        t.deepEqual(readReminderFile(file), file.reminders, 'should read its own format');
+    });
+    suite.test('given a lead time - finds the next dispatch', t => {
+        t.plan(4);
+        const timers = [
+            new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 }),
+            new Timer({ area: 'fg', sub_area: 'open', seed_time: '2017-07-24T08:00:00.000Z', repeat_time: 72000000 }),
+        ];
+        const reminder = new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: 1, lead: 1800000 });
+        const next = reminder.getNextDispatch(timers, DateTime.utc());
+        t.strictEqual(next.timer, timers[0], 'should only use matching timers');
+        t.strictEqual(next.activation.diff(next.due).as('milliseconds'), 1800000, 'should be the lead time before the activation');
+        const after = reminder.getNextDispatch(timers, next.due);
+        t.strictEqual(after.activation.diff(next.activation).as('milliseconds'), 72000000, 'should move on to the following activation');
+        t.strictEqual(new Reminder({ user: '1', area: 'fg', count: 1 }).getNextDispatch(timers, DateTime.utc()), null,
+            'should not dispatch reminders without lead times');
+    });
+    suite.test('given a notice and a lead time - throws', t => {
+        t.plan(2);
+        t.throws(() => new Reminder({ user: '1', area: 'fg', count: 1, lead: 0 }), RangeError, 'should require a positive lead time');
+        t.throws(() => new Reminder({ user: '1', area: 'fg', count: 1, lead: 60000, notice: 0 }), TypeError, 'should not allow both');
+    });
+    suite.test('given a personal reminder - round-trips through JSON', t => {
+        t.plan(4);
+        const reminder = new Reminder({ user: '1', count: 1, at: '2020-07-14T18:00:00.000Z', text: 'check my trap' });
+        t.true(reminder.isPersonal(), 'should be personal');
+        t.strictEqual(reminder.getName(), '"check my trap"', 'should be named by its note');
+        t.strictEqual(reminder.area, undefined, 'should have no area');
+        t.deepEqual(new Reminder(JSON.parse(JSON.stringify(reminder))).toJSON(), reminder.toJSON(), 'should keep every property');
+    });
+    suite.test('given "in" a duration - parses a personal reminder', t => {
+        t.plan(3);
+        const now = DateTime.fromISO('2020-07-14T12:00:00.000Z', { zone: 'utc' });
+        const { at, text } = parsePersonalReminder(['in', '2h30m', 'check', 'my', 'trap'], 'UTC', now);
+        t.strictEqual(at.toISO(), '2020-07-14T14:30:00.000Z', 'should be due after the duration');
+        t.strictEqual(text, 'check my trap', 'should keep the note');
+        t.match(parsePersonalReminder(['in', '90', 'trap'], 'UTC', now), /How long/, 'should reject durations without units');
+    });
+    suite.test('given "at" a time - parses a personal reminder in the user\'s timezone', t => {
+        t.plan(4);
+        const now = DateTime.fromISO('2020-07-14T20:00:00.000Z', { zone: 'utc' });
+        t.strictEqual(parsePersonalReminder(['at', '18:00', 'tournament'], 'America/Chicago', now).at.toISO(),
+            '2020-07-14T23:00:00.000Z', 'should use the local time today');
+        t.strictEqual(parsePersonalReminder(['at', '18:00'], 'UTC', now).at.toISO(),
+            '2020-07-15T18:00:00.000Z', 'should use tomorrow once the time has passed');
+        t.strictEqual(parsePersonalReminder(['at', '2020-07-20', '09:15', 'event'], 'UTC', now).at.toISO(),
+            '2020-07-20T09:15:00.000Z', 'should accept a date');
+        t.match(parsePersonalReminder(['at', '2020-07-01', '09:15'], 'UTC', now), /already passed/, 'should reject past dates');
+    });
+    suite.test('given an ID - finds the user\'s reminder', t => {
+        t.plan(3);
+        const reminders = [
+            new Reminder({ id: 'abc123', user: '1', area: 'fg', count: 2 }),
+            new Reminder({ id: 'def456', user: '1', area: 'fg', count: 0 }),
+        ];
+        t.strictEqual(findUserReminder(reminders, '1', '#ABC123'), reminders[0], 'should find it with a "#"');
+        t.strictEqual(findUserReminder(reminders, '2', 'abc123'), undefined, 'should not find other users\' reminders');
+        t.strictEqual(findUserReminder(reminders, '1', 'def456'), undefined, 'should not find expired reminders');
+    });
+    suite.test('given a channel reminder - round-trips through JSON', t => {
+        t.plan(5);
+        const reminder = new Reminder({ user: '1', area: 'fg', sub_area: 'close', count: -1, channel: '10', guild: '20', role: '30' });
+        const copy = new Reminder(JSON.parse(JSON.stringify(reminder)));
+        t.true(copy.isChannel(), 'should be a channel reminder');
+        t.deepEqual([copy.channel, copy.guild, copy.role], ['10', '20', '30'], 'should keep the channel, server, and role');
+        t.strictEqual(copy.getName(), 'fg: close in <#10>', 'should name the channel');
+        t.strictEqual(findUserReminder([copy], '1', copy.id), undefined, 'should not be found among the mod\'s own reminders');
+        t.throws(() => new Reminder({ user: '1', area: 'fg', count: 1, channel: '10' }), TypeError, 'should require a server');
+    });
+
+    suite.test('given a conditional reminder - round-trips through JSON', t => {
+        t.plan(4);
+        const conditions = [{ area: 'cove', sub_area: 'low' }, { area: 'fg', sub_area: 'open' }];
+        const reminder = new Reminder({ user: '1', count: 3, conditions });
+        const copy = new Reminder(JSON.parse(JSON.stringify(reminder)));
+        t.true(copy.isConditional(), 'should be a conditional reminder');
+        t.deepEqual(copy.conditions, conditions, 'should keep the conditions');
+        t.strictEqual(copy.getName(), 'cove: low + fg: open', 'should name every condition');
+        t.throws(() => new Reminder({ user: '1', count: 1, conditions: [{ area: 'cove' }] }), TypeError, 'should require phases');
+    });
+
+    suite.test('Restore Loggers - Reminders', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -0,0 +1,115 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { DateTime, Duration } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const Scheduler = require('../../src/modules/scheduler');
+
+test('Scheduler', suite => {
+    let logStubs;
+    let clock;
+    const start = DateTime.fromISO('2020-01-01T00:00:00Z');
+    const makeScheduler = () => new Scheduler({ clock: () => DateTime.fromMillis(clock.now, { zone: 'utc' }) });
+    const at = minutes => () => start.plus({ minutes });
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+    suite.test('Install fake timers', t => {
+        clock = sinon.useFakeTimers(start.toMillis());
+        t.end();
+    });
+
+    suite.test('given jobs - lists them soonest first', t => {
+        t.plan(2);
+        const scheduler = makeScheduler();
+        const ids = [30, 10, 20].map(minutes => scheduler.schedule(`job ${minutes}`, at(minutes), () => {}));
+        const pending = scheduler.listPending();
+        t.deepEqual(pending.map(job => job.name), ['job 10', 'job 20', 'job 30'], 'should order by due time');
+        t.strictEqual(pending[0].id, ids[1], 'should report job ids');
+        scheduler.stop();
+    });
+    suite.test('given a job that is never due - does not schedule it', t => {
+        t.plan(2);
+        const scheduler = makeScheduler();
+        t.strictEqual(scheduler.schedule('never', () => null, () => {}), null, 'should not return an id');
+        t.deepEqual(scheduler.listPending(), [], 'should have nothing pending');
+    });
+    suite.test('given due jobs - runs them in order', t => {
+        t.plan(2);
+        const scheduler = makeScheduler();
+        const ran = [];
+        scheduler.schedule('second', at(20), () => ran.push('second'));
+        scheduler.schedule('first', at(10), () => ran.push('first'));
+        clock.tick(15 * 60 * 1000);
+        t.deepEqual(ran, ['first'], 'should run only the due job');
+        clock.tick(10 * 60 * 1000);
+        t.deepEqual(ran, ['first', 'second'], 'should run the later job when due');
+        scheduler.stop();
+    });
+    suite.test('given a repeating job - recomputes its due time after each run', t => {
+        t.plan(3);
+        const scheduler = makeScheduler();
+        const run = sinon.spy();
+        const next = sinon.spy(previous => previous ? previous.plus({ hours: 1 }) : start.plus({ hours: 1 }));
+        scheduler.schedule('hourly', next, run);
+        clock.tick(3 * 60 * 60 * 1000);
+        t.strictEqual(run.callCount, 3, 'should run each hour');
+        t.strictEqual(+run.lastCall.args[0], +start.plus({ hours: 3 }), 'should receive the due time');
+        t.strictEqual(+scheduler.listPending()[0].due, +start.plus({ hours: 4 }), 'should be due again');
+        scheduler.stop();
+    });
+    suite.test('given every - repeats with the period', t => {
+        t.plan(1);
+        const scheduler = makeScheduler();
+        const run = sinon.spy();
+        scheduler.every('often', Duration.fromObject({ minutes: 5 }), run);
+        clock.tick(16 * 60 * 1000);
+        t.strictEqual(run.callCount, 3, 'should run every 5 minutes');
+        scheduler.stop();
+    });
+    suite.test('given a cancelled job - does not run it', t => {
+        t.plan(3);
+        const scheduler = makeScheduler();
+        const run = sinon.spy();
+        const id = scheduler.schedule('cancelled', at(10), run);
+        const other = scheduler.schedule('other', at(5), () => {});
+        t.true(scheduler.cancel(id), 'should report the cancellation');
+        t.false(scheduler.cancel(id), 'should not cancel twice');
+        clock.tick(20 * 60 * 1000);
+        t.false(run.called, 'should not run');
+        scheduler.cancel(other);
+    });
+    suite.test('given a job that throws - keeps running other jobs', t => {
+        t.plan(2);
+        const scheduler = makeScheduler();
+        const run = sinon.spy();
+        scheduler.schedule('broken', at(1), () => { throw new Error('oops'); });
+        scheduler.schedule('working', at(2), run);
+        clock.tick(3 * 60 * 1000);
+        t.true(run.calledOnce, 'should run the other job');
+        t.deepEqual(scheduler.listPending(), [], 'should have nothing pending');
+    });
+    suite.test('given a job beyond the longest timeout - waits for it in steps', t => {
+        t.plan(2);
+        const scheduler = makeScheduler();
+        const run = sinon.spy();
+        scheduler.schedule('distant', () => start.plus({ days: 60 }), run);
+        clock.tick(Duration.fromObject({ days: 30 }).as('milliseconds'));
+        t.false(run.called, 'should not run early');
+        clock.tick(Duration.fromObject({ days: 30 }).as('milliseconds'));
+        t.true(run.calledOnce, 'should run when due');
+        scheduler.stop();
+    });
+
+    suite.test('Restore timers', t => {
+        clock.restore();
+        t.end();
+    });
+    suite.test('Cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -1,7 +1,7 @@
 const test = require('tape');
 const sinon = require('sinon');
 
-const { checkPerms } = require('../../src/modules/security');
+const { checkPerms, canRunCommand } = require('../../src/modules/security');
 const mockMember = require('../helpers/mock-member');
 
 test('checkPerms', suite => {
@@ -117,3 +117,34 @@ test('checkPerms', suite => {
         t.end();
     });
 });
+
+test('canRunCommand', suite => {
+    /**
+     * Create a message from a guild member with the given permission.
+     * @param {string} [permission] The Discord permission the member has, if any.
+     * @param {string} [authorId] The author's Discord ID.
+     */
+    const makeMessage = (permission, authorId = '123456789') => {
+        const member = mockMember({ memberId: authorId });
+        member.hasPermission.callsFake(name => name === permission);
+        return { author: { id: authorId }, member, client: member.client };
+    };
+    suite.test('given each command\'s level - checks that level', t => {
+        t.plan(5);
+        t.true(canRunCommand(makeMessage(), {}), 'should let anyone run unprotected commands');
+        t.true(canRunCommand(makeMessage('ADMINISTRATOR'), { minPerm: 'admin' }), 'should let admins run admin commands');
+        t.true(canRunCommand(makeMessage('MANAGE_MESSAGES'), { minPerm: 'mod' }), 'should let mods run mod commands');
+        t.false(canRunCommand(makeMessage('MANAGE_MESSAGES'), { minPerm: 'admin' }), 'should not let mods run admin commands');
+        t.false(canRunCommand(makeMessage('ADMINISTRATOR'), { minPerm: 'owner' }), 'should not let admins run owner commands');
+    });
+    suite.test('given the owner - allows every command', t => {
+        t.plan(1);
+        t.true(canRunCommand(makeMessage(undefined, '1'), { minPerm: 'owner' }), 'should let the owner run owner commands');
+    });
+    suite.test('given a DM - allows only unprotected commands', t => {
+        t.plan(2);
+        const message = { author: { id: '123456789' }, client: { settings: { owner: '1' } } };
+        t.true(canRunCommand(message, {}), 'should allow unprotected commands');
+        t.false(canRunCommand(message, { minPerm: 'mod' }), 'should refuse protected commands');
+    });
+});
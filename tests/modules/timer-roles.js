@@ -0,0 +1,85 @@
+const test = require('tape');
+const sinon = require('sinon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const Timer = require('../../src/modules/timers');
+const { getRoleKey, getTimerRoleIds, buildRoleMenu, handleRoleReaction, changeTimerRole } = require('../../src/modules/timer-roles');
+
+const timers = [
+    new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 }),
+    new Timer({ area: 'spill', sub_area: 'arch', seed_time: '2017-06-03T11:00:00.000Z', repeat_time: 1180800000 }),
+];
+const guildSettings = () => ({ timerRoles: { 'spill:arch': '11', 'fg': '22' } });
+const mockRoleMember = (roleIds = []) => ({
+    roles: {
+        cache: new Map(roleIds.map(id => [id, {}])),
+        add: sinon.stub().resolves(),
+        remove: sinon.stub().resolves(),
+    },
+});
+
+test('timer roles', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given area descriptions - creates role keys', t => {
+        t.plan(3);
+        t.strictEqual(getRoleKey(timers, ['arch']), 'spill:arch', 'should include the sub-area');
+        t.strictEqual(getRoleKey(timers, ['gate']), 'fg', 'should use just the area');
+        t.strictEqual(getRoleKey(timers, ['mars']), null, 'should not describe unknown areas');
+    });
+    suite.test('given bound roles - finds the roles of a timer', t => {
+        t.plan(2);
+        t.deepEqual(getTimerRoleIds(guildSettings(), timers[0]), ['22'], 'should find the area role');
+        t.deepEqual(getTimerRoleIds({}, timers[1]), [], 'should find nothing without roles');
+    });
+    suite.test('given bound roles - builds a menu with one reaction per role', t => {
+        t.plan(2);
+        const { content, emojis } = buildRoleMenu(guildSettings());
+        t.deepEqual(Object.values(emojis), ['spill:arch', 'fg'], 'should have a reaction for each role');
+        t.match(content, /<@&11> - spill arch/, 'should describe each role');
+    });
+    suite.test('given a reaction to the menu - changes the role', async t => {
+        t.plan(4);
+        const settings = Object.assign(guildSettings(), { timerRoleMenu: { channel: '1', message: 'menu', emojis: { '🇦': 'spill:arch' } } });
+        const member = mockRoleMember();
+        const reaction = emoji => ({
+            emoji: { name: emoji },
+            message: { id: 'menu', guild: { members: { fetch: sinon.stub().resolves(member) } } },
+        });
+        t.true(await handleRoleReaction(reaction('🇦'), { id: '5', username: 'hunter' }, true, settings), 'should handle the reaction');
+        t.true(member.roles.add.calledWith('11'), 'should give the role');
+        t.false(await handleRoleReaction(reaction('🇿'), { id: '5', username: 'hunter' }, true, settings), 'should ignore other reactions');
+        await handleRoleReaction(reaction('🇦'), { id: '5', username: 'hunter' }, false, settings);
+        t.true(member.roles.remove.calledWith('11'), 'should take the role');
+    });
+    suite.test('given a subscription request - gives the role', async t => {
+        t.plan(2);
+        const member = mockRoleMember();
+        const reply = await changeTimerRole(member, guildSettings(), timers, ['spill', 'arch'], true);
+        t.true(member.roles.add.calledWith('11'), 'should give the role');
+        t.match(reply, /pinged when spill arch timers/, 'should confirm');
+    });
+    suite.test('given an unsubscription request without the role - changes nothing', async t => {
+        t.plan(2);
+        const member = mockRoleMember();
+        const reply = await changeTimerRole(member, guildSettings(), timers, ['fg'], false);
+        t.false(member.roles.remove.called, 'should not change roles');
+        t.match(reply, /You don't get pinged for fg timers/, 'should explain');
+    });
+    suite.test('given an unknown area - lists the roles', async t => {
+        t.plan(1);
+        const reply = await changeTimerRole(mockRoleMember(), guildSettings(), timers, ['cove'], true);
+        t.match(reply, /roles for: spill arch, fg/, 'should list the available roles');
+    });
+
+    suite.test('Restore Loggers - timer roles', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
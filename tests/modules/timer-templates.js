@@ -0,0 +1,74 @@
+const test = require('tape');
+const sinon = require('sinon');
+const { DateTime } = require('luxon');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const Timer = require('../../src/modules/timers');
+const { renderTemplate, getGuildTemplate } = require('../../src/modules/timer-templates');
+
+test('renderTemplate', suite => {
+    let logStubs;
+    let clock;
+    let close, open, timers;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        // Half an hour before the Forbidden Grove closes.
+        clock = sinon.useFakeTimers(DateTime.fromISO('2017-07-24T11:30:00Z').toMillis());
+        close = new Timer({ area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: { hours: 20 },
+            announce_string: 'The gate closes {relative} ({absolute_utc}), and opens {next_phase_in}' });
+        open = new Timer({ area: 'fg', sub_area: 'open', seed_time: '2017-07-24T16:00:00.000Z', repeat_time: { hours: 20 },
+            duration: { hours: 16 } });
+        timers = [close, open];
+        t.end();
+    });
+
+    suite.test('given text without placeholders - returns it unchanged', t => {
+        t.plan(1);
+        t.strictEqual(renderTemplate('The gate is closing', close), 'The gate is closing', 'should not change the text');
+    });
+    suite.test('given the timer announcement - fills in its placeholders', t => {
+        t.plan(1);
+        t.strictEqual(close.getAnnouncement({ timers }),
+            'The gate closes in 30 minutes (2017-07-24 12:00 UTC), and opens in 4 hours and 30 minutes',
+            'should describe the next activation');
+    });
+    suite.test('given other timers - describes the following phase', t => {
+        t.plan(3);
+        t.strictEqual(renderTemplate('{area_name}: {next_phase} {next_phase_in}', close, { timers }),
+            'Forbidden Grove: Open in 4 hours and 30 minutes', 'should name the next phase');
+        t.strictEqual(renderTemplate('{ends_in}', close, { timers }), 'in 4 hours and 30 minutes',
+            'should end phases without a duration when the next phase begins');
+        t.strictEqual(renderTemplate('{ends_in}', open, { timers }), 'in 20 hours and 30 minutes',
+            'should end phases with a duration after it');
+    });
+    suite.test('given an activation - describes it instead of the next one', t => {
+        t.plan(1);
+        const at = DateTime.fromISO('2017-07-25T08:00:00Z');
+        t.strictEqual(renderTemplate('{absolute_utc} then {next_phase}', close, { at, timers }), '2017-07-25 08:00 UTC then Open',
+            'should describe the given activation');
+    });
+    suite.test('given no other timers - next phase is the timer itself', t => {
+        t.plan(1);
+        t.strictEqual(renderTemplate('{next_phase}', close), 'Closed', 'should use the timer');
+    });
+    suite.test('given unknown placeholders - leaves them as-is', t => {
+        t.plan(1);
+        t.strictEqual(renderTemplate('{unknown} {area_name}', close), '{unknown} Forbidden Grove', 'should keep unknown placeholders');
+    });
+    suite.test('given a guild override - replaces the text', t => {
+        t.plan(3);
+        const guildSettings = { timerTemplates: { fg: { demand: 'Gate: {next_phase}' } } };
+        t.strictEqual(getGuildTemplate(guildSettings, 'fg', 'demand'), 'Gate: {next_phase}', 'should find the override');
+        t.strictEqual(getGuildTemplate(guildSettings, 'fg', 'announce'), undefined, 'should only replace the requested text');
+        t.strictEqual(close.getDemand({ timers, template: getGuildTemplate(guildSettings, 'fg', 'demand') }), 'Gate: Open',
+            'should render the override');
+    });
+
+    suite.test('Restore Loggers - renderTemplate', t => {
+        clock.restore();
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
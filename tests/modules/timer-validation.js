@@ -0,0 +1,95 @@
+const test = require('tape');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { validateTimerData, describeTimerErrors } = require('../../src/modules/timer-validation');
+
+const fgSeed = { area: 'fg', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000, announce_offset: 900000 };
+const coveSeed = { area: 'cove', seed_time: '2017-07-21T12:00:00.000Z', phases: [
+    { sub_area: 'low', duration: { hours: 16 } },
+    { sub_area: 'high', duration: { hours: 2 } },
+] };
+
+test('validateTimerData', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given valid timers and cycles - returns no errors', t => {
+        t.plan(1);
+        t.deepEqual(validateTimerData([fgSeed, coveSeed]), [], 'should find no problems');
+    });
+    suite.test('given a non-array - returns an error', t => {
+        t.plan(1);
+        t.strictEqual(validateTimerData({}).length, 1, 'should reject the file');
+    });
+    suite.test('given several bad seeds - reports every problem with its index', t => {
+        const timerData = [
+            fgSeed,
+            { area: 'mars', seed_time: 'yesterday', repeat_time: 1000 },
+            { sub_area: 'nothing' },
+            Object.assign({}, fgSeed, { announce_offset: 72000000 }),
+        ];
+        const errors = validateTimerData(timerData);
+        t.plan(6);
+        t.deepEqual(errors.map(e => e.index), [1, 1, 2, 3], 'should report each problem in file order');
+        t.match(errors[0].message, /seed_time "yesterday" is not an ISO timestamp/, 'should check the seed time');
+        t.match(errors[1].message, /shorter than one minute/, 'should check the repeat time');
+        t.match(errors[2].message, /missing required values for "area", "seed_time", "repeat_time"/, 'should check required fields');
+        t.match(errors[3].message, /announce_offset must be smaller than repeat_time/, 'should check the advance notice');
+        t.match(describeTimerErrors(errors), /^timers\[1\]: /, 'should describe the location of each problem');
+    });
+    suite.test('given duplicate timers - reports the duplicate', t => {
+        t.plan(2);
+        const errors = validateTimerData([fgSeed, Object.assign({}, fgSeed, { announce_string: 'Again' })]);
+        t.strictEqual(errors.length, 1, 'should find one problem');
+        t.match(errors[0].message, /duplicates .* timers\[0\]/, 'should name the original');
+    });
+    suite.test('given a bad cycle - reports the cycle', t => {
+        t.plan(2);
+        const errors = validateTimerData([fgSeed, { area: 'cove', seed_time: '2017-07-21T12:00:00.000Z', phases: [{ sub_area: 'low' }] }]);
+        t.strictEqual(errors.length, 1, 'should find one problem');
+        t.strictEqual(errors[0].location, 'timers[1]', 'should locate the cycle');
+    });
+    suite.test('given unreachable sub-areas - reports them', t => {
+        t.plan(2);
+        const errors = validateTimerData([
+            fgSeed,
+            { area: 'mars', sub_area: 'Olympus', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 },
+            { area: 'moon', sub_area: 'close', seed_time: '2017-07-24T12:00:00.000Z', repeat_time: 72000000 },
+        ]);
+        t.deepEqual(errors.map(e => e.index), [1, 2], 'should report each unreachable sub-area');
+        t.match(errors[0].message, /sub-area "Olympus" cannot be requested/, 'should name the sub-area');
+    });
+    suite.test('given bad notices - reports each one', t => {
+        t.plan(4);
+        const errors = validateTimerData([
+            Object.assign({}, fgSeed, { notices: [{ offset: 3600000 }, { offset: 900000 }, { offset: 72000000 }, {}] }),
+            Object.assign({}, fgSeed, { sub_area: 'open', notices: 'soon' }),
+        ]);
+        t.deepEqual(errors.map(e => e.index), [0, 0, 0, 1], 'should report each bad notice');
+        t.match(errors[0].message, /notices\[1\] has the same offset/, 'should check for duplicate offsets');
+        t.match(errors[1].message, /notices\[2\] offset must be smaller/, 'should check the offset against the repeat');
+        t.match(errors[2].message, /notices\[3\] has an invalid or missing offset/, 'should check for missing offsets');
+    });
+    suite.test('given a one-shot timer with long notices - returns no errors', t => {
+        t.plan(1);
+        const errors = validateTimerData([{ area: 'halloween', seed_time: '2017-10-31T00:00:00.000Z', once: true, repeat_time: 3600000,
+            announce_offset: { days: 2 }, notices: [{ offset: { days: 7 } }] }]);
+        t.deepEqual(errors, [], 'should not compare the notices to the repeat');
+    });
+    suite.test('given unknown placeholders - reports them', t => {
+        t.plan(2);
+        const errors = validateTimerData([Object.assign({}, fgSeed, { announce_string: 'Closes {relative}, {when}' })]);
+        t.strictEqual(errors.length, 1, 'should find one problem');
+        t.match(errors[0].message, /unknown placeholders \{when\}/, 'should name the placeholder');
+    });
+
+    suite.test('Restore Loggers - validateTimerData', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
@@ -1,5 +1,8 @@
 // Required test imports
 const test = require('tape');
+const sinon = require('sinon');
+
+const { DateTime, Duration } = require('luxon');
 
 // Functionality to be tested.
 const Timer = require('../../src/modules/timers');
@@ -24,6 +27,7 @@ test('Timer ctor', function (suite) {
             { obj: { area: 'mars', seed_time: 0, repeat_time: 60001 }, error: TypeError, msg: 'given invalid seed_time format' },
             { obj: { area: 'mars', seed_time: '1970', repeat_time: 1 }, error: RangeError, msg: 'given short repeat' },
             { obj: { area: 'mars', seed_time: '1970', repeat_time: { seconds: 1 } }, error: RangeError, msg: 'given short luxon repeat' },
+            { obj: { area: 'mars', seed_time: '1970', repeat_time: 60000, duration: 120000 }, error: RangeError, msg: 'given duration longer than repeat' },
         ];
         t.plan(plan.length);
         plan.forEach(({ obj, error, msg }) => t.throws(() => new Timer(obj), error, msg));
@@ -67,3 +71,316 @@ test('Timer ctor', function (suite) {
         t.end();
     });
 });
+
+test('Timer.expandCycle', function (suite) {
+    let logStubs;
+    const cycle = {
+        area: 'cove',
+        seed_time: '2017-07-21T12:00:00.000Z',
+        phases: [
+            { sub_area: 'mid', duration: { hours: 1 }, announce_string: 'mid', announce_offset: 300000 },
+            { sub_area: 'high', duration: { minutes: 40 }, announce_string: 'high' },
+            { sub_area: 'low', duration: 3600000 * 16, announce_string: 'low' },
+        ],
+    };
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given non-cycle input - throws', t => {
+        const plan = [
+            { obj: undefined, error: TypeError, msg: 'requires input' },
+            { obj: { area: 'mars', seed_time: '1970', repeat_time: 60000 }, error: TypeError, msg: 'requires phases' },
+            { obj: { area: 'mars', seed_time: '1970', phases: [] }, error: TypeError, msg: 'requires at least one phase' },
+            { obj: { seed_time: '1970', phases: [{ sub_area: 'a', duration: 60000 }] }, error: TypeError, msg: 'requires area' },
+        ];
+        t.plan(plan.length);
+        plan.forEach(({ obj, error, msg }) => t.throws(() => Timer.expandCycle(obj), error, msg));
+    });
+    suite.test('given improper phases - throws', t => {
+        const plan = [
+            { phases: [{ duration: 60000 }], error: TypeError, msg: 'given phase without sub_area' },
+            { phases: [{ sub_area: 'a', duration: 1 }], error: RangeError, msg: 'given short phase' },
+            { phases: [{ sub_area: 'a' }], error: RangeError, msg: 'given phase without duration' },
+        ];
+        t.plan(plan.length);
+        plan.forEach(({ phases, error, msg }) => t.throws(() => Timer.expandCycle({ area: 'mars', seed_time: '1970', phases }), error, msg));
+    });
+    suite.test('given mismatched repeat_time - throws', t => {
+        t.plan(1);
+        t.throws(() => Timer.expandCycle(Object.assign({}, cycle, { repeat_time: 60000 })), RangeError, 'should require sum of phases');
+    });
+    suite.test('given valid cycle - returns one seed per phase', t => {
+        t.plan(3);
+        const seeds = Timer.expandCycle(cycle);
+        t.strictEqual(seeds.length, cycle.phases.length, 'should expand every phase');
+        t.deepEqual(seeds.map(s => s.sub_area), ['mid', 'high', 'low'], 'should preserve phase order');
+        t.true(seeds.every(s => s.area === 'cove'), 'should use the cycle area');
+    });
+    suite.test('given valid cycle - offsets each phase by the previous durations', t => {
+        t.plan(4);
+        const seeds = Timer.expandCycle(cycle);
+        t.deepEqual(seeds.map(s => s.seed_time), [
+            '2017-07-21T12:00:00.000Z',
+            '2017-07-21T13:00:00.000Z',
+            '2017-07-21T13:40:00.000Z',
+        ], 'should start each phase when the previous ends');
+        t.true(seeds.every(s => s.repeat_time === 63600000), 'should repeat with the cycle period');
+        t.deepEqual(seeds.map(s => s.duration), [3600000, 2400000, 57600000], 'should keep the phase durations');
+        t.strictEqual(seeds[0].announce_offset, 300000, 'should keep phase announce offsets');
+    });
+    suite.test('given valid cycle - seeds construct Timers', t => {
+        t.plan(2);
+        const timers = Timer.expandCycle(cycle).map(s => new Timer(s));
+        t.strictEqual(timers.length, 3, 'should create a Timer per phase');
+        t.strictEqual(timers[1].getDuration().as('minutes'), 40, 'should provide the phase duration');
+    });
+    suite.test('given silent cycle - phases default to silent', t => {
+        t.plan(1);
+        const seeds = Timer.expandCycle(Object.assign({}, cycle, { silent: true }));
+        t.true(seeds.every(s => s.silent), 'should mark every phase silent');
+    });
+
+    suite.test('Cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
+
+test('Timer missed activations', function (suite) {
+    let logStubs;
+    const hour = Duration.fromObject({ hours: 1 });
+    /** Create a timer that activates every hour, offset a half-hour from now. */
+    const makeTimer = (extra = {}) => new Timer(Object.assign({
+        area: 'mars',
+        seed_time: DateTime.utc().minus({ hours: 10, minutes: 30 }).toISO(),
+        repeat_time: hour.as('milliseconds'),
+    }, extra));
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given same seed - key is stable', t => {
+        t.plan(2);
+        const seed = { area: 'mars', sub_area: 'olympus', seed_time: '1970-01-01T00:00:00Z', repeat_time: 60000 };
+        const [a, b] = [new Timer(seed), new Timer(seed)];
+        t.notEqual(a.id, b.id, 'should have different ids');
+        t.strictEqual(a.key, b.key, 'should have the same key');
+    });
+    suite.test('given no advance notice - last announced is last activation', t => {
+        t.plan(1);
+        const timer = makeTimer();
+        t.strictEqual(+timer.getLastAnnounced(), +timer.getLastActivation(), 'should use last activation');
+    });
+    suite.test('given advance notice has passed - last announced is next activation', t => {
+        t.plan(1);
+        const timer = makeTimer({ announce_offset: { minutes: 45 } });
+        t.strictEqual(+timer.getLastAnnounced(), +timer.getNext(), 'should use next activation');
+    });
+    suite.test('given invalid since - reports nothing missed', t => {
+        t.plan(1);
+        t.deepEqual(makeTimer().getMissedActivations(DateTime.fromISO('')), [], 'should return empty array');
+    });
+    suite.test('given since is last announced - reports nothing missed', t => {
+        t.plan(1);
+        const timer = makeTimer();
+        t.deepEqual(timer.getMissedActivations(timer.getLastAnnounced()), [], 'should return empty array');
+    });
+    suite.test('given older since - reports each missed activation', t => {
+        t.plan(3);
+        const timer = makeTimer();
+        const last = timer.getLastAnnounced();
+        const missed = timer.getMissedActivations(last.minus({ hours: 3 }));
+        t.strictEqual(missed.length, 3, 'should find three activations');
+        t.strictEqual(+missed[2], +last, 'should end with the last announced activation');
+        t.true(missed[0] < missed[1], 'should be chronological');
+    });
+    suite.test('given advance notice has passed - does not report the upcoming activation as missed', t => {
+        t.plan(2);
+        const timer = makeTimer({ announce_offset: { minutes: 45 } });
+        const missed = timer.getMissedActivations(timer.getLastActivation().minus({ hours: 2 }));
+        t.strictEqual(missed.length, 2, 'should find the activations that happened');
+        t.false(missed.some(activation => +activation === +timer.getNext()), 'should leave the upcoming one to be announced');
+    });
+    suite.test('given the upcoming activation was announced - reports nothing missed', t => {
+        t.plan(1);
+        const timer = makeTimer({ announce_offset: { minutes: 45 } });
+        t.deepEqual(timer.getMissedActivations(timer.getLastAnnounced()), [], 'should return empty array');
+    });
+    suite.test('given duration - phase is ongoing until it ends', t => {
+        t.plan(2);
+        const timer = makeTimer({ duration: { minutes: 40 } });
+        t.true(timer.isOngoing(timer.getLastActivation()), 'should be ongoing 30 minutes in');
+        t.false(timer.isOngoing(timer.getLastActivation().minus(hour)), 'should have ended');
+    });
+    suite.test('given no duration - phase is ongoing only before activation', t => {
+        t.plan(2);
+        const timer = makeTimer();
+        t.false(timer.isOngoing(timer.getLastActivation()), 'should not be ongoing after activation');
+        t.true(timer.isOngoing(timer.getNext()), 'should be ongoing before activation');
+    });
+
+    suite.test('Cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
+
+test('Timer active windows', function (suite) {
+    let logStubs;
+    const day = Duration.fromObject({ days: 1 });
+    const now = DateTime.utc().startOf('hour');
+    const makeTimer = extra => new Timer(Object.assign({
+        area: 'halloween',
+        seed_time: now.minus({ days: 30, minutes: 30 }).toISO(),
+        repeat_time: day.as('milliseconds'),
+    }, extra));
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given active_until before active_from - throws', t => {
+        t.plan(2);
+        t.throws(() => makeTimer({ active_from: now.toISO(), active_until: now.minus(day).toISO() }), RangeError, 'should throw RangeError');
+        t.throws(() => makeTimer({ active_from: 'soon' }), TypeError, 'should throw TypeError for invalid times');
+    });
+    suite.test('given a future window - first activation is within it', t => {
+        t.plan(3);
+        const from = now.plus({ days: 10 });
+        const timer = makeTimer({ active_from: from.toISO(), active_until: from.plus({ days: 3 }).toISO() });
+        const next = timer.getNext();
+        t.true(next >= from && next < from.plus(day), 'should be the first activation in the window');
+        t.strictEqual(Array.from(timer.upcoming(from.plus({ days: 30 }))).length, 3, 'should stop at the end of the window');
+        t.false(timer.isExpired(), 'should not be expired');
+    });
+    suite.test('given a past window - is expired', t => {
+        t.plan(4);
+        const timer = makeTimer({ active_until: now.minus({ days: 2 }).toISO() });
+        t.strictEqual(timer.getNext(), null, 'should have no next activation');
+        t.true(timer.isExpired(), 'should be expired');
+        t.deepEqual(Array.from(timer.upcoming(now.plus({ days: 5 }))), [], 'should have no upcoming activations');
+        t.strictEqual(timer.getMissedActivations(now.minus({ days: 5 })).length, 3, 'should only miss activations in the window');
+    });
+    suite.test('given a one-shot timer - activates only at its seed time', t => {
+        t.plan(5);
+        const seedTime = now.plus({ hours: 5 });
+        const timer = new Timer({ area: 'halloween', sub_area: 'ends', seed_time: seedTime.toISO(), once: true });
+        t.true(timer.isOneShot(), 'should be a one-shot timer');
+        t.strictEqual(+timer.getNext(), +seedTime, 'should activate at the seed time');
+        t.deepEqual(Array.from(timer.upcoming(now.plus({ days: 5 }))).map(Number), [+seedTime], 'should activate once');
+        t.true(timer.isActiveAt(seedTime), 'should be active at the seed time');
+        t.false(timer.isActiveAt(seedTime.plus(day)), 'should not be active afterwards');
+    });
+    suite.test('given a one-shot timer with a long notice - announces it days ahead', t => {
+        t.plan(2);
+        const seedTime = now.plus({ days: 5 });
+        const timer = new Timer({ area: 'halloween', sub_area: 'ends', seed_time: seedTime.toISO(), once: true,
+            announce_offset: { days: 2 }, notices: [{ offset: { days: 4 } }] });
+        t.strictEqual(timer.getAdvanceNotice().as('days'), 2, 'should keep the notice');
+        t.strictEqual(+timer.getNext(), +seedTime, 'should still activate at the seed time');
+    });
+    suite.test('given a one-shot timer far in the future - moves the seed back at once', t => {
+        t.plan(2);
+        logStubs.warn.resetHistory();
+        const seedTime = now.plus({ days: 90 });
+        const timer = new Timer({ area: 'halloween', sub_area: 'ends', seed_time: seedTime.toISO(), once: true });
+        t.strictEqual(logStubs.warn.withArgs(sinon.match(/seed time .* in future/)).callCount, 1, 'should warn once');
+        t.strictEqual(+timer.getNext(), +seedTime, 'should still activate at the seed time');
+    });
+    suite.test('given a cycle with a window - phases share it', t => {
+        t.plan(1);
+        const seeds = Timer.expandCycle({ area: 'cove', seed_time: '2017-07-21T12:00:00.000Z', active_until: '2017-08-01T00:00:00.000Z',
+            phases: [{ sub_area: 'low', duration: { hours: 16 } }, { sub_area: 'high', duration: { hours: 2 } }] });
+        t.true(seeds.every(seed => seed.active_until === '2017-08-01T00:00:00.000Z'), 'should copy the window to each phase');
+    });
+
+    suite.test('Cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
+
+test('Timer notices', function (suite) {
+    let logStubs;
+    const seed = {
+        area: 'fg',
+        sub_area: 'close',
+        seed_time: '2017-07-24T12:00:00.000Z',
+        repeat_time: { hours: 20 },
+        announce_offset: { minutes: 15 },
+        announce_string: 'The gate closes in 15 minutes',
+    };
+    suite.test('Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given no notices - has only the default notice', t => {
+        t.plan(3);
+        const notices = new Timer(seed).getNotices();
+        t.strictEqual(notices.length, 1, 'should have one notice');
+        t.true(notices[0].isDefault, 'should be the default notice');
+        t.strictEqual(notices[0].announcement, seed.announce_string, 'should use the announce string');
+    });
+    suite.test('given notices - sorts them earliest first', t => {
+        t.plan(3);
+        const timer = new Timer(Object.assign({ notices: [
+            { offset: 0, announce_string: 'The gate is closed' },
+            { offset: { hours: 1 } },
+        ] }, seed));
+        t.deepEqual(timer.getNotices().map(n => n.offset.as('minutes')), [60, 15, 0], 'should sort by offset');
+        t.strictEqual(timer.getNotice(0).announcement, 'The gate is closed', 'should use the notice announce string');
+        t.strictEqual(timer.getNotice(Duration.fromObject({ hours: 1 })).announcement, seed.announce_string,
+            'should default to the timer announce string');
+    });
+    suite.test('given unknown offset - finds no notice', t => {
+        t.plan(2);
+        const timer = new Timer(seed);
+        t.strictEqual(timer.getNotice(), timer.getNotices()[0], 'should return the default notice');
+        t.strictEqual(timer.getNotice(60000), undefined, 'should not find the notice');
+    });
+    suite.test('given invalid notices - throws', t => {
+        t.plan(3);
+        t.throws(() => new Timer(Object.assign({ notices: [{ announce_string: 'soon' }] }, seed)), TypeError,
+            'should throw TypeError for a missing offset');
+        t.throws(() => new Timer(Object.assign({ notices: [{ offset: { hours: 20 } }] }, seed)), RangeError,
+            'should throw RangeError for offsets longer than the repeat');
+        t.throws(() => new Timer(Object.assign({ notices: [{ offset: { minutes: 15 } }] }, seed)), RangeError,
+            'should throw RangeError for duplicate offsets');
+    });
+    suite.test('given a notice whose time has passed - is not sent again after a restart or reload', t => {
+        t.plan(5);
+        // The next activation is in 30 minutes, so its hour-ahead notice was due 30 minutes ago.
+        const next = DateTime.utc().plus({ minutes: 30 }).startOf('second');
+        const timer = new Timer(Object.assign({}, seed, {
+            seed_time: next.minus({ hours: 20 }).toISO(),
+            notices: [{ offset: { hours: 1 } }],
+        }));
+        const [early, standard] = timer.getNotices();
+        t.notEqual(timer.getNoticeKey(early), timer.getNoticeKey(standard), 'should tell the notices apart');
+        t.strictEqual(+timer.getNextNoticeActivation(standard), +next, 'should send the default notice when it is due');
+        t.strictEqual(+timer.getNextNoticeActivation(early), +next.plus({ hours: 20 }),
+            'should assume a passed additional notice was sent');
+        t.strictEqual(+timer.getNextNoticeActivation(early, next), +next.plus({ hours: 20 }),
+            'should skip the activation it was sent for');
+        t.strictEqual(+timer.getNextNoticeActivation(early, next.minus({ hours: 20 })), +next,
+            'should send it if it was missed');
+    });
+    suite.test('given a cycle phase with notices - copies them to the phase', t => {
+        t.plan(2);
+        const seeds = Timer.expandCycle({ area: 'cove', seed_time: '2017-07-21T12:00:00.000Z', phases: [
+            { sub_area: 'low', duration: { hours: 16 }, notices: [{ offset: { hours: 1 } }] },
+            { sub_area: 'high', duration: { hours: 2 } },
+        ] });
+        t.strictEqual(seeds[0].notices.length, 1, 'should copy the notices of the phase');
+        t.strictEqual(seeds[1].notices, undefined, 'should not copy them to other phases');
+    });
+
+    suite.test('Cleanup', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});
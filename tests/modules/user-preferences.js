@@ -0,0 +1,49 @@
+const test = require('tape');
+
+// Stub Logger methods to minimize crosstalk.
+const { stubLogger, restoreLogger } = require('../helpers/logging');
+
+const { DateTime } = require('luxon');
+const { getUserTimezone, setUserTimezone, getUserPreference, setUserPreference, formatLocalTime } = require('../../src/modules/user-preferences');
+
+test('user preferences', suite => {
+    let logStubs;
+    suite.test('Test Suite Setup', t => {
+        logStubs = stubLogger();
+        t.end();
+    });
+
+    suite.test('given a known timezone - remembers it', t => {
+        t.plan(2);
+        t.match(setUserTimezone('1', 'America/Chicago'), /set to America\/Chicago/, 'should confirm');
+        t.strictEqual(getUserTimezone('1'), 'America/Chicago', 'should remember the timezone');
+    });
+    suite.test('given utc in any case - remembers UTC', t => {
+        t.plan(1);
+        setUserTimezone('2', 'utc');
+        t.strictEqual(getUserTimezone('2'), 'UTC', 'should normalize the name');
+    });
+    suite.test('given an unknown timezone - keeps the old one', t => {
+        t.plan(2);
+        t.match(setUserTimezone('1', 'Nowhere/Special'), /don't know the timezone/, 'should explain');
+        t.strictEqual(getUserTimezone('1'), 'America/Chicago', 'should keep the timezone');
+    });
+    suite.test('given no timezone - forgets it', t => {
+        t.plan(2);
+        setUserTimezone('1');
+        t.strictEqual(getUserTimezone('1'), undefined, 'should forget the timezone');
+        setUserPreference('1', 'other', true);
+        t.true(getUserPreference('1', 'other'), 'should keep other preferences');
+    });
+    suite.test('given a timezone - formats local clock times', t => {
+        t.plan(2);
+        const time = DateTime.fromISO('2020-07-14T19:40:00.000Z');
+        t.strictEqual(formatLocalTime(time, 'America/Chicago'), 'Tue 14:40 CDT', 'should show day, time, and zone');
+        t.strictEqual(formatLocalTime(time, 'UTC'), 'Tue 19:40 UTC', 'should support UTC');
+    });
+
+    suite.test('Restore Loggers - user preferences', t => {
+        restoreLogger(logStubs);
+        t.end();
+    });
+});